@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import { redactEmail } from './redaction.js';
 
 /**
  * Middleware to verify Bearer JWT token from Authorization header.
@@ -30,7 +31,7 @@ export const verifyAuthToken = (req, res, next) => {
     }
 
     req.user = decoded;
-    console.log(`✅ Authenticated as: ${decoded.email}`);
+    console.log(`✅ Authenticated as: ${redactEmail(decoded.email)}`);
     next();
     
   } catch (error) {
@@ -49,3 +50,24 @@ export const verifyAuthToken = (req, res, next) => {
     });
   }
 };
+
+/**
+ * Middleware for admin-only routes; use after verifyAuthToken. Admins are the
+ * addresses in ADMIN_EMAILS (comma-separated) or tokens with role "admin".
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (req.user?.role === 'admin' || adminEmails.includes(req.user?.email?.toLowerCase())) {
+    return next();
+  }
+
+  console.warn(`🚫 Admin access denied for ${redactEmail(req.user?.email)}`);
+  return res.status(403).json({
+    success: false,
+    message: 'Admin access required'
+  });
+};
@@ -0,0 +1,136 @@
+import { ROLE_STAGES } from './careerRoles.js';
+import { findSkillGaps, listOf, rankItems, toRankedRecommendation } from './recommendationEngine.js';
+
+/**
+ * Career path: a staged roadmap from the user's current skills to their
+ * career goal. The role's missing skills are grouped into its stages
+ * (foundation, core, specialization); each stage gets the catalog courses and
+ * certifications that close its gaps, milestones to check progress against,
+ * and a share of the timeframe proportional to how much it has to cover.
+ * Later stages assume the earlier ones are done.
+ */
+
+const STAGE_TITLES = {
+  foundation: 'Foundations',
+  core: 'Core skills',
+  specialization: 'Specialization'
+};
+
+const STAGE_COURSES = 2;
+const STAGE_CERTIFICATIONS = 1;
+// Skills named in a "build a project" milestone
+const PROJECT_SKILLS = 3;
+
+/**
+ * Build the roadmap for a career goal
+ * @param {Object} options
+ * @param {string[]} options.skills - Skills from the user's profile
+ * @param {string} [options.level] - junior, mid or senior
+ * @param {Object} options.targetRole - Role requirements (careerRoles.js)
+ * @param {Object} options.goal - users.career_goal ({ timeframe_months, set_at })
+ * @param {Object[]} options.catalog - Catalog items (loadCatalog)
+ * @returns {{readiness: number, missing_skills: string[], stages: Object[]}}
+ *   readiness is the percentage of required skills the user already has
+ */
+export function buildCareerPath({ skills = [], level = null, targetRole, goal, catalog = [] }) {
+  const gaps = findSkillGaps(skills, targetRole);
+  const missing = new Set(gaps.map(gap => gap.name.toLowerCase()));
+
+  const required = targetRole.skills.filter(skill => skill.required);
+  const readiness = required.length
+    ? Math.round(100 * required.filter(skill => !missing.has(skill.name.toLowerCase())).length / required.length)
+    : 100;
+
+  const stageGaps = ROLE_STAGES.map(stage => {
+    const stageSkills = new Set(
+      targetRole.skills.filter(skill => skill.stage === stage).map(skill => skill.name.toLowerCase())
+    );
+    return { stage, gaps: gaps.filter(gap => stageSkills.has(gap.name.toLowerCase())) };
+  }).filter(entry => entry.gaps.length);
+
+  const schedule = scheduleStages(stageGaps, goal.timeframe_months);
+  const startedAt = new Date(goal.set_at || Date.now());
+
+  // Skills the user will have once the earlier stages are done
+  const assumedSkills = [...skills];
+  const used = new Set();
+
+  const stages = stageGaps.map(({ stage, gaps: open }, index) => {
+    const context = {
+      skills: assumedSkills,
+      level,
+      targetRole: {
+        title: targetRole.title,
+        skills: targetRole.skills.filter(skill => skill.stage === stage)
+      }
+    };
+    const pick = (type, limit) => rankItems(
+      catalog.filter(item => item.type === type && !used.has(item.slug || item.id)),
+      context
+    )
+      .filter(result => result.closes.length)
+      .slice(0, limit);
+
+    const courses = pick('course', STAGE_COURSES);
+    const certifications = pick('certification', STAGE_CERTIFICATIONS);
+    [...courses, ...certifications].forEach(result => used.add(result.item.slug || result.item.id));
+
+    const { startMonth, endMonth } = schedule[index];
+    const targetDate = addMonths(startedAt, endMonth);
+    const isLast = index === stageGaps.length - 1;
+
+    const milestones = [
+      `Build a project that uses ${listOf(open.slice(0, PROJECT_SKILLS).map(gap => gap.name))}`,
+      ...certifications.map(result => `Earn the ${certificationName(result.item.title)}`),
+      `Add ${listOf(open.map(gap => gap.name))} to your resume`,
+      ...(isLast ? [`Start applying for ${targetRole.title} roles`] : [])
+    ].map(title => ({ title, target_date: targetDate }));
+
+    open.forEach(gap => assumedSkills.push(gap.name));
+
+    return {
+      stage,
+      title: STAGE_TITLES[stage],
+      start_month: startMonth,
+      end_month: endMonth,
+      skills: open.map(gap => ({ name: gap.name, required: gap.weight >= 1 })),
+      courses: courses.map(toRankedRecommendation),
+      certifications: certifications.map(toRankedRecommendation),
+      milestones
+    };
+  });
+
+  return {
+    readiness,
+    missing_skills: gaps.map(gap => gap.name),
+    stages
+  };
+}
+
+// Split the timeframe across stages by the gap weight each one covers; every
+// stage gets at least one month unless the timeframe is shorter than that
+function scheduleStages(stageGaps, timeframeMonths) {
+  const weights = stageGaps.map(({ gaps }) => gaps.reduce((total, gap) => total + gap.weight, 0));
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+  let covered = 0;
+  let previousEnd = 0;
+  return weights.map(weight => {
+    covered += weight;
+    const startMonth = Math.min(previousEnd + 1, timeframeMonths);
+    const endMonth = Math.max(startMonth, Math.round(timeframeMonths * covered / totalWeight));
+    previousEnd = endMonth;
+    return { startMonth, endMonth };
+  });
+}
+
+// Most catalog titles already end in "Certification" or "Certificate"
+function certificationName(title) {
+  return /\bcertifi(?:cate|cation)\b/i.test(title) ? title : `${title} certification`;
+}
+
+function addMonths(date, months) {
+  const target = new Date(date);
+  target.setUTCMonth(target.getUTCMonth() + months);
+  return target.toISOString().slice(0, 10);
+}
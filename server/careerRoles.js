@@ -0,0 +1,283 @@
+import { normalizeSkill } from './skillTaxonomy.js';
+
+/**
+ * Role requirements: the skills each target role needs, in the order people
+ * usually learn them. Skill names are taxonomy names (skillTaxonomy.js) so
+ * they compare directly with profile skills. Skills are required unless
+ * marked required: false; stage places them on the career path.
+ */
+
+export const ROLE_STAGES = ['foundation', 'core', 'specialization'];
+
+export const MIN_TIMEFRAME_MONTHS = 1;
+export const MAX_TIMEFRAME_MONTHS = 60;
+export const DEFAULT_TIMEFRAME_MONTHS = 12;
+
+const ROLES = [
+  {
+    id: 'frontend-developer',
+    title: 'Frontend Developer',
+    aliases: ['front-end developer', 'frontend engineer', 'front-end engineer', 'ui developer'],
+    skills: [
+      { name: 'HTML', stage: 'foundation' },
+      { name: 'CSS', stage: 'foundation' },
+      { name: 'JavaScript', stage: 'foundation' },
+      { name: 'Git', stage: 'foundation' },
+      { name: 'React', stage: 'core' },
+      { name: 'TypeScript', stage: 'core' },
+      { name: 'REST APIs', stage: 'core' },
+      { name: 'Unit Testing', stage: 'specialization' },
+      { name: 'Next.js', stage: 'specialization', required: false },
+      { name: 'Tailwind CSS', stage: 'specialization', required: false },
+      { name: 'UI/UX Design', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'backend-developer',
+    title: 'Backend Developer',
+    aliases: ['back-end developer', 'backend engineer', 'back-end engineer', 'api developer'],
+    skills: [
+      { name: 'Git', stage: 'foundation' },
+      { name: 'SQL', stage: 'foundation' },
+      { name: 'Node.js', stage: 'core' },
+      { name: 'REST APIs', stage: 'core' },
+      { name: 'PostgreSQL', stage: 'core' },
+      { name: 'Unit Testing', stage: 'core' },
+      { name: 'Docker', stage: 'specialization' },
+      { name: 'Redis', stage: 'specialization', required: false },
+      { name: 'Microservices', stage: 'specialization', required: false },
+      { name: 'AWS', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'full-stack-developer',
+    title: 'Full Stack Developer',
+    aliases: ['full-stack developer', 'fullstack developer', 'full stack engineer', 'full-stack engineer'],
+    skills: [
+      { name: 'HTML', stage: 'foundation' },
+      { name: 'CSS', stage: 'foundation' },
+      { name: 'JavaScript', stage: 'foundation' },
+      { name: 'Git', stage: 'foundation' },
+      { name: 'SQL', stage: 'foundation' },
+      { name: 'React', stage: 'core' },
+      { name: 'Node.js', stage: 'core' },
+      { name: 'REST APIs', stage: 'core' },
+      { name: 'PostgreSQL', stage: 'core' },
+      { name: 'TypeScript', stage: 'specialization' },
+      { name: 'Docker', stage: 'specialization' },
+      { name: 'Next.js', stage: 'specialization', required: false },
+      { name: 'AWS', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'mobile-developer',
+    title: 'Mobile Developer',
+    aliases: ['mobile engineer', 'app developer', 'android developer', 'ios developer'],
+    skills: [
+      { name: 'Git', stage: 'foundation' },
+      { name: 'JavaScript', stage: 'foundation' },
+      { name: 'React Native', stage: 'core' },
+      { name: 'REST APIs', stage: 'core' },
+      { name: 'Firebase', stage: 'core' },
+      { name: 'Android', stage: 'specialization', required: false },
+      { name: 'iOS', stage: 'specialization', required: false },
+      { name: 'Flutter', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'devops-engineer',
+    title: 'DevOps Engineer',
+    aliases: ['devops', 'site reliability engineer', 'sre', 'platform engineer'],
+    skills: [
+      { name: 'Linux', stage: 'foundation' },
+      { name: 'Bash', stage: 'foundation' },
+      { name: 'Git', stage: 'foundation' },
+      { name: 'Docker', stage: 'core' },
+      { name: 'CI/CD', stage: 'core' },
+      { name: 'AWS', stage: 'core' },
+      { name: 'Kubernetes', stage: 'specialization' },
+      { name: 'Terraform', stage: 'specialization' },
+      { name: 'Ansible', stage: 'specialization', required: false },
+      { name: 'Python', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'cloud-architect',
+    title: 'Cloud Architect',
+    aliases: ['cloud solutions architect', 'solutions architect', 'cloud engineer', 'aws architect'],
+    skills: [
+      { name: 'Linux', stage: 'foundation' },
+      { name: 'Git', stage: 'foundation' },
+      { name: 'AWS', stage: 'core' },
+      { name: 'Docker', stage: 'core' },
+      { name: 'Serverless', stage: 'core' },
+      { name: 'Kubernetes', stage: 'specialization' },
+      { name: 'Terraform', stage: 'specialization' },
+      { name: 'Microservices', stage: 'specialization' },
+      { name: 'Azure', stage: 'specialization', required: false },
+      { name: 'Google Cloud', stage: 'specialization', required: false },
+      { name: 'Python', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'data-analyst',
+    title: 'Data Analyst',
+    aliases: ['business analyst', 'bi analyst', 'business intelligence analyst', 'analytics analyst'],
+    skills: [
+      { name: 'Microsoft Excel', stage: 'foundation' },
+      { name: 'Statistics', stage: 'foundation' },
+      { name: 'SQL', stage: 'foundation' },
+      { name: 'Data Analysis', stage: 'core' },
+      { name: 'Data Visualization', stage: 'core' },
+      { name: 'Power BI', stage: 'core' },
+      { name: 'Python', stage: 'specialization', required: false },
+      { name: 'Pandas', stage: 'specialization', required: false },
+      { name: 'Tableau', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'data-scientist',
+    title: 'Data Scientist',
+    aliases: ['data science', 'applied scientist'],
+    skills: [
+      { name: 'Python', stage: 'foundation' },
+      { name: 'Statistics', stage: 'foundation' },
+      { name: 'SQL', stage: 'foundation' },
+      { name: 'Pandas', stage: 'core' },
+      { name: 'NumPy', stage: 'core' },
+      { name: 'Data Visualization', stage: 'core' },
+      { name: 'Machine Learning', stage: 'core' },
+      { name: 'scikit-learn', stage: 'specialization' },
+      { name: 'Deep Learning', stage: 'specialization', required: false },
+      { name: 'Natural Language Processing', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'data-engineer',
+    title: 'Data Engineer',
+    aliases: ['big data engineer', 'etl developer', 'analytics engineer'],
+    skills: [
+      { name: 'SQL', stage: 'foundation' },
+      { name: 'Python', stage: 'foundation' },
+      { name: 'Git', stage: 'foundation' },
+      { name: 'PostgreSQL', stage: 'core' },
+      { name: 'ETL', stage: 'core' },
+      { name: 'Apache Spark', stage: 'core' },
+      { name: 'AWS', stage: 'specialization' },
+      { name: 'Docker', stage: 'specialization', required: false },
+      { name: 'Kubernetes', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'machine-learning-engineer',
+    title: 'Machine Learning Engineer',
+    aliases: ['ml engineer', 'ai engineer', 'deep learning engineer'],
+    skills: [
+      { name: 'Python', stage: 'foundation' },
+      { name: 'Statistics', stage: 'foundation' },
+      { name: 'Git', stage: 'foundation' },
+      { name: 'Machine Learning', stage: 'core' },
+      { name: 'scikit-learn', stage: 'core' },
+      { name: 'Deep Learning', stage: 'core' },
+      { name: 'PyTorch', stage: 'specialization' },
+      { name: 'Docker', stage: 'specialization' },
+      { name: 'TensorFlow', stage: 'specialization', required: false },
+      { name: 'Generative AI', stage: 'specialization', required: false }
+    ]
+  },
+  {
+    id: 'product-manager',
+    title: 'Product Manager',
+    aliases: ['product owner', 'technical product manager', 'pm'],
+    skills: [
+      { name: 'Communication', stage: 'foundation' },
+      { name: 'Agile', stage: 'foundation' },
+      { name: 'Jira', stage: 'foundation' },
+      { name: 'Product Management', stage: 'core' },
+      { name: 'Data Analysis', stage: 'core' },
+      { name: 'UI/UX Design', stage: 'core', required: false },
+      { name: 'Leadership', stage: 'specialization' },
+      { name: 'SQL', stage: 'specialization', required: false }
+    ]
+  }
+];
+
+const ROLE_INDEX = new Map();
+for (const role of ROLES) {
+  [role.id, role.title, ...role.aliases].forEach(key => ROLE_INDEX.set(key.toLowerCase(), role));
+}
+
+/**
+ * Look up a role by ID, title or alias
+ * @param {string} query - e.g. "cloud-architect", "Cloud Architect", "solutions architect"
+ * @returns {Object|null} { id, title, skills } or null when unknown
+ */
+export function findRole(query) {
+  if (!query || typeof query !== 'string') return null;
+  const role = ROLE_INDEX.get(query.trim().toLowerCase().replace(/\s+/g, ' '));
+  return role ? toRequirements(role) : null;
+}
+
+/**
+ * Every role a career goal can target
+ * @returns {Array<{id, title}>}
+ */
+export function listRoles() {
+  return ROLES.map(role => ({ id: role.id, title: role.title }));
+}
+
+/**
+ * Requirements for a stored career goal, in the targetRole shape the
+ * recommendation engine takes
+ * @param {Object} [goal] - users.career_goal ({ role_id, ... })
+ * @returns {Object|null} { id, title, skills: [{ name, required, stage }] }
+ */
+export function goalRequirements(goal) {
+  return goal?.role_id ? findRole(goal.role_id) : null;
+}
+
+/**
+ * Validate a career goal from a request body
+ * @param {Object} body - { role, timeframe_months? }; role is a role ID, title or alias
+ * @returns {{goal: Object|null, errors: string[]}} goal is what users.career_goal
+ *   stores: { role_id, role, timeframe_months, set_at }
+ */
+export function parseCareerGoal(body = {}) {
+  const errors = [];
+
+  const role = findRole(body.role);
+  if (typeof body.role !== 'string' || !body.role.trim()) {
+    errors.push('role is required');
+  } else if (!role) {
+    errors.push(`Unknown role "${body.role}". Supported roles: ${ROLES.map(known => known.title).join(', ')}`);
+  }
+
+  const timeframe = body.timeframe_months ?? DEFAULT_TIMEFRAME_MONTHS;
+  if (!Number.isInteger(timeframe) || timeframe < MIN_TIMEFRAME_MONTHS || timeframe > MAX_TIMEFRAME_MONTHS) {
+    errors.push(`timeframe_months must be a whole number from ${MIN_TIMEFRAME_MONTHS} to ${MAX_TIMEFRAME_MONTHS}`);
+  }
+
+  if (errors.length) return { goal: null, errors };
+
+  return {
+    goal: {
+      role_id: role.id,
+      role: role.title,
+      timeframe_months: timeframe,
+      set_at: new Date().toISOString()
+    },
+    errors
+  };
+}
+
+function toRequirements(role) {
+  return {
+    id: role.id,
+    title: role.title,
+    skills: role.skills.map(skill => ({
+      name: normalizeSkill(skill.name)?.name || skill.name,
+      required: skill.required !== false,
+      stage: skill.stage
+    }))
+  };
+}
@@ -0,0 +1,232 @@
+import fs from 'fs/promises';
+import { supabase } from '../supabase.js';
+import { parseCatalogItem, catalogSlug } from './items.js';
+
+/**
+ * Recommendation catalog: the courses and certifications recommendations are
+ * picked from. Items live in the catalog_items table and are managed through
+ * /admin/catalog or scripts/import-catalog.js. When the table is missing or
+ * empty (a fresh install), recommendations read the JSON file in
+ * RECOMMENDATION_CATALOG_FILE, or the bundled default-catalog.json.
+ */
+
+const CATALOG_FILE = process.env.RECOMMENDATION_CATALOG_FILE || new URL('./default-catalog.json', import.meta.url);
+const IMPORT_BATCH_SIZE = 500;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+export { CATALOG_ITEM_TYPES, CATALOG_LEVELS, parseCatalogItem } from './items.js';
+
+/**
+ * Every active item, for generating recommendations
+ * @returns {Promise<Object[]>} Catalog items
+ */
+export async function loadCatalog() {
+  const { data, error } = await supabase
+    .from('catalog_items')
+    .select('*')
+    .eq('active', true)
+    .order('title');
+
+  if (error) {
+    console.warn('⚠️ Failed to load recommendation catalog, using the catalog file:', error.message);
+  } else if (data.length) {
+    return data;
+  }
+
+  return readCatalogFile();
+}
+
+/**
+ * One page of catalog items, for the admin API
+ * @param {Object} [filters]
+ * @param {string} [filters.type] - course or certification
+ * @param {string} [filters.skill] - Items teaching this skill (taxonomy name)
+ * @param {string} [filters.tag] - Items with this tag
+ * @param {boolean} [filters.includeInactive] - Also list deactivated items
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+export async function listCatalogItems({ type, skill, tag, includeInactive = false, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const start = Math.max(Number(offset) || 0, 0);
+
+  let query = supabase
+    .from('catalog_items')
+    .select('*', { count: 'exact' });
+
+  if (type) query = query.eq('type', type);
+  if (skill) query = query.contains('skills', [skill]);
+  if (tag) query = query.contains('tags', [tag.toLowerCase()]);
+  if (!includeInactive) query = query.eq('active', true);
+
+  const { data, error, count } = await query
+    .order('type')
+    .order('title')
+    .range(start, start + pageSize - 1);
+
+  if (error) throw catalogError(error);
+  return { items: data, total: count ?? data.length };
+}
+
+/**
+ * @param {string} id - Catalog item ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getCatalogItem(id) {
+  const { data, error } = await supabase
+    .from('catalog_items')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw catalogError(error);
+  return data;
+}
+
+/**
+ * @param {Object} item - Validated fields (parseCatalogItem)
+ * @returns {Promise<Object>} Stored item
+ */
+export async function createCatalogItem(item) {
+  const { data, error } = await supabase
+    .from('catalog_items')
+    .insert({ ...item, slug: catalogSlug(item) })
+    .select()
+    .single();
+
+  if (error) throw catalogError(error);
+  return data;
+}
+
+/**
+ * Edit an item. The slug is the item's recommendation ID, which feedback and
+ * stored recommendations refer to, so it stays as it was created even when
+ * the title or provider changes; see renameCatalogItem.
+ * @param {string} id - Catalog item ID
+ * @param {Object} changes - Validated fields (parseCatalogItem with partial)
+ * @returns {Promise<Object|null>} Updated item, or null when it does not exist
+ */
+export async function updateCatalogItem(id, changes) {
+  const { data, error } = await supabase
+    .from('catalog_items')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw catalogError(error);
+  return data;
+}
+
+/**
+ * Give an item the slug of its current type, provider and title, e.g. after
+ * a rename, so imports of the renamed item match it. Users' feedback on the
+ * item moves to the new slug in the same transaction (rename_catalog_item,
+ * migrations/009); a user with feedback under both slugs keeps the latest.
+ * @param {string} id - Catalog item ID
+ * @returns {Promise<Object|null>} Updated item, or null when it does not exist
+ */
+export async function renameCatalogItem(id) {
+  const current = await getCatalogItem(id);
+  if (!current) return null;
+
+  const slug = catalogSlug(current);
+  if (slug === current.slug) return current;
+
+  const { data, error } = await supabase
+    .rpc('rename_catalog_item', { target_id: id, new_slug: slug })
+    .maybeSingle();
+
+  if (error) throw catalogError(error);
+  return data;
+}
+
+/**
+ * @param {string} id - Catalog item ID
+ * @returns {Promise<boolean>} Whether an item was deleted
+ */
+export async function deleteCatalogItem(id) {
+  const { data, error } = await supabase
+    .from('catalog_items')
+    .delete()
+    .eq('id', id)
+    .select('id');
+
+  if (error) throw catalogError(error);
+  return data.length > 0;
+}
+
+/**
+ * Add or update many items at once. Items are matched to stored ones by type,
+ * provider and title, so importing a file again updates it in place. Nothing
+ * is written unless every item is valid.
+ * @param {Object[]} rawItems - Items as in default-catalog.json
+ * @param {Object} [options]
+ * @param {boolean} [options.deactivateMissing] - Deactivate stored items the import does not contain
+ * @returns {Promise<{imported: number, deactivated: number, errors: string[]}>}
+ */
+export async function importCatalogItems(rawItems, { deactivateMissing = false } = {}) {
+  if (!Array.isArray(rawItems) || !rawItems.length) {
+    return { imported: 0, deactivated: 0, errors: ['items must be a non-empty array'] };
+  }
+
+  const bySlug = new Map();
+  const errors = [];
+
+  rawItems.forEach((raw, index) => {
+    const { item, errors: itemErrors } = parseCatalogItem(raw);
+    if (itemErrors.length) {
+      errors.push(...itemErrors.map(message => `items[${index}]: ${message}`));
+      return;
+    }
+    // A later duplicate in the same file wins
+    const slug = catalogSlug(item);
+    bySlug.set(slug, { ...item, slug, updated_at: new Date().toISOString() });
+  });
+
+  if (errors.length) return { imported: 0, deactivated: 0, errors };
+
+  const rows = [...bySlug.values()];
+  for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('catalog_items')
+      .upsert(rows.slice(start, start + IMPORT_BATCH_SIZE), { onConflict: 'slug' });
+
+    if (error) throw catalogError(error);
+  }
+
+  let deactivated = 0;
+  if (deactivateMissing) {
+    const { data, error } = await supabase
+      .from('catalog_items')
+      .update({ active: false, updated_at: new Date().toISOString() })
+      .eq('active', true)
+      .not('slug', 'in', `(${[...bySlug.keys()].map(slug => `"${slug}"`).join(',')})`)
+      .select('id');
+
+    if (error) throw catalogError(error);
+    deactivated = data.length;
+  }
+
+  return { imported: rows.length, deactivated, errors: [] };
+}
+
+async function readCatalogFile() {
+  try {
+    const items = JSON.parse(await fs.readFile(CATALOG_FILE, 'utf8'));
+    return items
+      .map(raw => parseCatalogItem(raw).item)
+      .filter(item => item.title && item.active !== false)
+      .map(item => ({ ...item, id: catalogSlug(item), slug: catalogSlug(item) }));
+  } catch (error) {
+    console.error('❌ Failed to read recommendation catalog file:', error.message);
+    return [];
+  }
+}
+
+// Keep the Postgres error code (23505 for a duplicate item) for the routes
+function catalogError(error) {
+  return Object.assign(new Error(error.message), { code: error.code });
+}
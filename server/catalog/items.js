@@ -0,0 +1,149 @@
+import { normalizeSkill } from '../skillTaxonomy.js';
+
+/**
+ * Catalog item shape and validation. Items are stored in catalog_items with
+ * the column names used here; skills are stored by their taxonomy name so
+ * "JS" and "javascript" in an import both become "JavaScript".
+ */
+
+export const CATALOG_ITEM_TYPES = ['course', 'certification'];
+export const CATALOG_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Items tagged general are the fallback when nothing relevant to a user ranks
+export const GENERAL_TAG = 'general';
+
+// Field -> expected value type
+const CATALOG_FIELDS = {
+  type: 'type',
+  title: 'string',
+  description: 'string',
+  provider: 'string',
+  url: 'url',
+  level: 'level',
+  duration_hours: 'number',
+  price: 'number',
+  currency: 'currency',
+  skills: 'skillArray',
+  prerequisite_skills: 'skillArray',
+  tags: 'tagArray',
+  active: 'boolean'
+};
+
+// Recommendations show the provider and link, and rank on price
+const REQUIRED_FIELDS = ['type', 'title', 'provider', 'url', 'duration_hours', 'price'];
+const MAX_STRING_LENGTH = 2000;
+const MAX_ARRAY_LENGTH = 50;
+
+/**
+ * Validate a catalog item from a request body or import file. Full items come
+ * back with every field set, missing ones at their defaults, so a batch of
+ * them can be stored together (and list columns are never null).
+ * @param {Object} body - Item fields
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (updates)
+ * @returns {{item: Object, errors: string[]}} Cleaned fields, ready to store
+ */
+export function parseCatalogItem(body, { partial = false } = {}) {
+  const item = {};
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { item, errors: ['Item must be an object'] };
+  }
+
+  for (const [field, value] of Object.entries(body)) {
+    const type = CATALOG_FIELDS[field];
+    if (!type) {
+      errors.push(`${field} is not a catalog field`);
+    } else if (value === null || value === '') {
+      if (REQUIRED_FIELDS.includes(field)) errors.push(`${field} is required`);
+      else item[field] = defaultValue(type);
+    } else {
+      const error = validateValue(type, value);
+      if (error) errors.push(`${field} ${error}`);
+      else item[field] = cleanValue(type, value);
+    }
+  }
+
+  if (!partial) {
+    REQUIRED_FIELDS
+      .filter(field => body[field] === undefined)
+      .forEach(field => errors.push(`${field} is required`));
+    Object.entries(CATALOG_FIELDS)
+      .filter(([field]) => !(field in item) && !REQUIRED_FIELDS.includes(field))
+      .forEach(([field, type]) => { item[field] = defaultValue(type); });
+  } else if (!errors.length && !Object.keys(item).length) {
+    errors.push('No fields to update');
+  }
+
+  return { item, errors };
+}
+
+/**
+ * Stable identifier of an item across imports: type, provider and title
+ * @param {Object} item - { type, provider, title }
+ * @returns {string} e.g. "certification:amazon-web-services:aws-certified-developer-associate"
+ */
+export function catalogSlug({ type, provider, title }) {
+  const slugify = text => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return [type, slugify(provider) || 'independent', slugify(title)].join(':');
+}
+
+function defaultValue(type) {
+  if (type === 'skillArray' || type === 'tagArray') return [];
+  return type === 'boolean' ? true : null;
+}
+
+function validateValue(type, value) {
+  switch (type) {
+    case 'type':
+      return CATALOG_ITEM_TYPES.includes(value) ? null : `must be one of ${CATALOG_ITEM_TYPES.join(', ')}`;
+    case 'level':
+      return CATALOG_LEVELS.includes(value) ? null : `must be one of ${CATALOG_LEVELS.join(', ')}`;
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) return 'must be a non-empty string';
+      return value.length > MAX_STRING_LENGTH ? `must be at most ${MAX_STRING_LENGTH} characters` : null;
+    case 'url':
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http(s) URL';
+      } catch {
+        return 'must be an http(s) URL';
+      }
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : 'must be a non-negative number';
+    case 'currency':
+      return typeof value === 'string' && /^[A-Za-z]{3}$/.test(value) ? null : 'must be a three-letter currency code';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'skillArray':
+    case 'tagArray':
+      if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || !entry.trim())) {
+        return 'must be an array of strings';
+      }
+      return value.length > MAX_ARRAY_LENGTH ? `must have at most ${MAX_ARRAY_LENGTH} entries` : null;
+    default:
+      return 'has an unknown type';
+  }
+}
+
+function cleanValue(type, value) {
+  switch (type) {
+    case 'string':
+    case 'url':
+      return value.trim();
+    case 'currency':
+      return value.toUpperCase();
+    case 'skillArray':
+      return [...new Set(value.map(skill => normalizeSkill(skill)?.name || skill.trim()))];
+    case 'tagArray':
+      return [...new Set(value.map(tag => tag.trim().toLowerCase()))];
+    default:
+      return value;
+  }
+}
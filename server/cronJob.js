@@ -2,113 +2,65 @@ import cron from 'node-cron';
 import { supabase } from './supabase.js';
 // import { openai } from './openaiClient'; // Uncomment when ready
 import { sendEmail } from './email.js';
-
-// Simple recommendation database
-const RECOMMENDATION_DB = {
-  // Course recommendations based on skills
-  courses: {
-    javascript: ['Advanced JavaScript Patterns', 'Node.js Masterclass', 'React Performance Optimization'],
-    python: ['Python Data Science', 'Django Web Development', 'Machine Learning with Python'],
-    react: ['React Advanced Patterns', 'Next.js Complete Guide', 'React Testing Library'],
-    node: ['Node.js Architecture', 'Express.js Advanced', 'Node.js Security Best Practices'],
-    sql: ['Advanced SQL Queries', 'Database Design Principles', 'PostgreSQL Administration'],
-    aws: ['AWS Solutions Architecture', 'AWS DevOps Engineering', 'AWS Security Specialty'],
-    default: ['Problem Solving Fundamentals', 'Software Engineering Principles', 'Clean Code Practices']
-  },
-  
-  // Certification recommendations
-  certifications: {
-    javascript: ['JavaScript Institute Certification', 'React Developer Certification'],
-    python: ['Python Institute PCAP', 'Google Data Analytics Certificate'],
-    aws: ['AWS Certified Developer', 'AWS Certified Solutions Architect'],
-    react: ['Meta Frontend Developer Certificate', 'React Developer Certification'],
-    node: ['Node.js Certified Developer', 'JavaScript Institute Certification'],
-    sql: ['Oracle Database SQL Certified', 'Microsoft SQL Server Certification'],
-    default: ['CompTIA IT Fundamentals', 'Google IT Support Certificate']
-  },
-  
-  // Job recommendations based on experience level and skills
-  jobs: {
-    junior: ['Junior Frontend Developer', 'Entry Level Software Engineer', 'Junior Full Stack Developer'],
-    mid: ['Frontend Developer', 'Backend Developer', 'Full Stack Developer', 'Software Engineer'],
-    senior: ['Senior Software Engineer', 'Lead Developer', 'Technical Lead', 'Engineering Manager'],
-    default: ['Software Developer', 'Web Developer', 'Application Developer']
-  }
+import { getParsedProfile } from './parseResume.js';
+import { loadCatalog } from './catalog/index.js';
+import { toRecommendationItem } from './recommendations.js';
+import { determineExperienceLevel, findSkillGaps, rankItems, toRankedRecommendation } from './recommendationEngine.js';
+import { goalRequirements } from './careerRoles.js';
+import { getExcludedItemIds } from './recommendationFeedback.js';
+import { redactEmail } from './redaction.js';
+
+// Job titles to suggest by experience level. Courses and certifications come
+// from the recommendation catalog (catalog/).
+const JOB_RECOMMENDATIONS = {
+  junior: ['Junior Frontend Developer', 'Entry Level Software Engineer', 'Junior Full Stack Developer'],
+  mid: ['Frontend Developer', 'Backend Developer', 'Full Stack Developer', 'Software Engineer'],
+  senior: ['Senior Software Engineer', 'Lead Developer', 'Technical Lead', 'Engineering Manager'],
+  default: ['Software Developer', 'Web Developer', 'Application Developer']
 };
 
-// Simple algorithm to generate recommendations
-function generateSimpleRecommendations(userProfile) {
-  const skills = (userProfile.skills || []).map(skill => skill.toLowerCase());
-  const experience = userProfile.experience || [];
-  const education = userProfile.education || [];
+/**
+ * Ranked recommendations for a user: courses and certifications from the
+ * catalog that close the most skill gaps, and job titles for their level (led
+ * by their career goal when they have one)
+ * @param {Object} userProfile - users.parsed_resume
+ * @param {Object} [options]
+ * @param {Object[]} [options.catalog] - Catalog items (loadCatalog); loaded when omitted
+ * @param {Object} [options.targetRole] - { title, skills } to rank against (see recommendationEngine.js)
+ * @param {Set<string>} [options.excludedIds] - Recommendation item IDs the user dismissed or completed
+ * @returns {Promise<{courses: Object[], certifications: Object[], jobs: Object[], missingSkills: string[]}>}
+ *   Recommendation items (recommendations.js), best first
+ */
+async function generateSimpleRecommendations(userProfile, { catalog, targetRole = null, excludedIds = new Set() } = {}) {
+  const profile = getParsedProfile(userProfile) || {};
+  const skills = profile.skills || [];
+  const experience = profile.experience || [];
+  const items = (catalog || await loadCatalog()).filter(item => !excludedIds.has(item.slug || item.id));
   
   // Determine experience level
-  const experienceLevel = determineExperienceLevel(experience);
+  const experienceLevel = determineExperienceLevel(experience, profile.totalYearsExperience);
+  const context = { skills, level: experienceLevel, targetRole };
   
-  // Get skill-based recommendations
-  const skillBasedCourses = getSkillBasedRecommendations(skills, RECOMMENDATION_DB.courses);
-  const skillBasedCerts = getSkillBasedRecommendations(skills, RECOMMENDATION_DB.certifications);
+  // Rank catalog items by the skill gaps they close
+  const courses = rankItems(items.filter(item => item.type === 'course'), { ...context, limit: 3 });
+  const certifications = rankItems(items.filter(item => item.type === 'certification'), { ...context, limit: 2 });
   
   // Get experience-based job recommendations
-  const jobRecommendations = RECOMMENDATION_DB.jobs[experienceLevel] || RECOMMENDATION_DB.jobs.default;
-  
-  // Add some randomization to avoid same recommendations
-  const shuffledCourses = shuffleArray([...skillBasedCourses]);
-  const shuffledCerts = shuffleArray([...skillBasedCerts]);
-  const shuffledJobs = shuffleArray([...jobRecommendations]);
+  const levelJobs = (JOB_RECOMMENDATIONS[experienceLevel] || JOB_RECOMMENDATIONS.default)
+    .filter(title => title !== targetRole?.title)
+    .map(title => toRecommendationItem({ title, reason: `Suits your ${experienceLevel}-level experience` }, 'job'));
+  const goalJobs = targetRole
+    ? [toRecommendationItem({ title: targetRole.title, reason: 'The role you are working towards' }, 'job')]
+    : [];
   
   return {
-    courses: shuffledCourses.slice(0, 3),
-    certifications: shuffledCerts.slice(0, 2),
-    jobs: shuffledJobs.slice(0, 2)
+    courses: courses.map(toRankedRecommendation),
+    certifications: certifications.map(toRankedRecommendation),
+    jobs: [...goalJobs, ...levelJobs].filter(job => !excludedIds.has(job.id)).slice(0, 2),
+    missingSkills: findSkillGaps(skills, targetRole).map(gap => gap.name)
   };
 }
 
-function determineExperienceLevel(experience) {
-  const experienceText = experience.join(' ').toLowerCase();
-  
-  if (experienceText.includes('senior') || experienceText.includes('lead') || 
-      experienceText.includes('manager') || experienceText.includes('architect')) {
-    return 'senior';
-  } else if (experienceText.includes('developer') || experienceText.includes('engineer') ||
-             experienceText.match(/\d+\s*years?/)) {
-    return 'mid';
-  } else {
-    return 'junior';
-  }
-}
-
-function getSkillBasedRecommendations(userSkills, recommendationMap) {
-  const recommendations = new Set();
-  
-  // Add recommendations based on user skills
-  userSkills.forEach(skill => {
-    const skillKey = Object.keys(recommendationMap).find(key => 
-      skill.includes(key) || key.includes(skill)
-    );
-    
-    if (skillKey && recommendationMap[skillKey]) {
-      recommendationMap[skillKey].forEach(rec => recommendations.add(rec));
-    }
-  });
-  
-  // If no skill matches found, add default recommendations
-  if (recommendations.size === 0) {
-    recommendationMap.default.forEach(rec => recommendations.add(rec));
-  }
-  
-  return Array.from(recommendations);
-}
-
-function shuffleArray(array) {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
-}
-
 // Schedule cron job to run daily at 7 AM
 cron.schedule('0 7 * * *', async () => {
   console.log('⏰ Running daily recommendation cron job at', new Date().toISOString());
@@ -120,7 +72,7 @@ cron.schedule('0 7 * * *', async () => {
     // Fetch users who haven't received recommendations in the last 7 days
     const { data: users, error: userError } = await supabase
       .from('users')
-      .select('id, email, name, parsed_resume, email_notifications, last_recommendation_at')
+      .select('id, email, name, parsed_resume, career_goal, email_notifications, last_recommendation_at')
       .or(`last_recommendation_at.is.null,last_recommendation_at.lt.${cutoff.toISOString()}`)
       .not('parsed_resume', 'is', null);
 
@@ -131,17 +83,24 @@ cron.schedule('0 7 * * *', async () => {
 
     console.log(`📊 Found ${users.length} users eligible for recommendations`);
 
+    // One catalog read for the whole run
+    const catalog = await loadCatalog();
+
     let successCount = 0;
     let errorCount = 0;
 
     for (const user of users) {
       try {
-        console.log(`🔄 Processing recommendations for user: ${user.email}`);
+        console.log(`🔄 Processing recommendations for user: ${redactEmail(user.email)}`);
         
         // Generate recommendations using simple algorithm
-        const recommendations = generateSimpleRecommendations(user.parsed_resume);
+        const recommendations = await generateSimpleRecommendations(user.parsed_resume, {
+          catalog,
+          targetRole: goalRequirements(user.career_goal),
+          excludedIds: await getExcludedItemIds(user.id)
+        });
         
-        console.log(`💡 Generated recommendations for ${user.email}:`, {
+        console.log(`💡 Generated recommendations for ${redactEmail(user.email)}:`, {
           courses: recommendations.courses.length,
           certifications: recommendations.certifications.length,
           jobs: recommendations.jobs.length
@@ -159,7 +118,7 @@ cron.schedule('0 7 * * *', async () => {
           });
 
         if (recError) {
-          console.error(`❌ Error inserting recommendation for ${user.email}:`, recError.message);
+          console.error(`❌ Error inserting recommendation for ${redactEmail(user.email)}:`, recError.message);
           errorCount++;
           continue;
         }
@@ -177,7 +136,7 @@ cron.schedule('0 7 * * *', async () => {
           .eq('id', user.id);
 
         if (updateError) {
-          console.warn(`⚠️ Error updating user profile for ${user.email}:`, updateError.message);
+          console.warn(`⚠️ Error updating user profile for ${redactEmail(user.email)}:`, updateError.message);
         }
 
         // Log recommendation event
@@ -190,13 +149,13 @@ cron.schedule('0 7 * * *', async () => {
           });
 
         if (logError) {
-          console.warn(`⚠️ Error logging recommendation for ${user.email}:`, logError.message);
+          console.warn(`⚠️ Error logging recommendation for ${redactEmail(user.email)}:`, logError.message);
         }
 
         // Send email recommendations if user has notifications enabled
         if (user.email_notifications && user.email) {
           try {
-            const primarySkill = user.parsed_resume?.skills?.[0] || 'Software Development';
+            const primarySkill = getParsedProfile(user.parsed_resume)?.skills?.[0] || 'Software Development';
             
             await sendEmail(user.email, user.name || 'User', {
               primarySkill,
@@ -206,7 +165,7 @@ cron.schedule('0 7 * * *', async () => {
               jobs: recommendations.jobs
             });
             
-            console.log(`📧 Email sent successfully to ${user.email}`);
+            console.log(`📧 Email sent successfully to ${redactEmail(user.email)}`);
             
             // Log successful email
             await supabase.from('recommendation_logs').insert({
@@ -216,7 +175,7 @@ cron.schedule('0 7 * * *', async () => {
             });
             
           } catch (emailError) {
-            console.warn(`⚠️ Failed to send email to ${user.email}:`, emailError.message);
+            console.warn(`⚠️ Failed to send email to ${redactEmail(user.email)}:`, emailError.message);
             
             // Log email failure
             await supabase.from('recommendation_logs').insert({
@@ -228,14 +187,14 @@ cron.schedule('0 7 * * *', async () => {
           }
         }
         
-        console.log(`✅ Recommendations processed successfully for ${user.email}`);
+        console.log(`✅ Recommendations processed successfully for ${redactEmail(user.email)}`);
         successCount++;
         
         // Add small delay to avoid overwhelming the database
         await new Promise(resolve => setTimeout(resolve, 100));
         
       } catch (userError) {
-        console.error(`❌ Failed processing user ${user.email}:`, userError.message);
+        console.error(`❌ Failed processing user ${redactEmail(user.email)}:`, userError.message);
         errorCount++;
         
         // Log processing failure
@@ -0,0 +1,175 @@
+import { findDate, findDateRange } from '../parsers/dates.js';
+import { SKILL_CATEGORIES } from '../skillTaxonomy.js';
+
+/**
+ * Helpers shared by the JSON Resume, Europass and PDF exporters. The parser
+ * keeps education as one block per section; exports need one entry per
+ * school, so that is rebuilt here.
+ */
+
+// ISO 639-1 codes for the languages extractLanguages() recognises
+const LANGUAGE_CODES = {
+  english: 'en', swahili: 'sw', kiswahili: 'sw', french: 'fr', spanish: 'es', german: 'de',
+  portuguese: 'pt', italian: 'it', dutch: 'nl', arabic: 'ar', mandarin: 'zh', chinese: 'zh',
+  cantonese: 'zh', japanese: 'ja', korean: 'ko', hindi: 'hi', urdu: 'ur', bengali: 'bn',
+  punjabi: 'pa', russian: 'ru', polish: 'pl', turkish: 'tr', greek: 'el', hebrew: 'he',
+  persian: 'fa', farsi: 'fa', swedish: 'sv', norwegian: 'no', danish: 'da', finnish: 'fi',
+  czech: 'cs', hungarian: 'hu', romanian: 'ro', ukrainian: 'uk', vietnamese: 'vi', thai: 'th',
+  indonesian: 'id', malay: 'ms', tagalog: 'tl', filipino: 'tl', amharic: 'am', somali: 'so',
+  oromo: 'om', yoruba: 'yo', igbo: 'ig', hausa: 'ha', zulu: 'zu', xhosa: 'xh', afrikaans: 'af',
+  kinyarwanda: 'rw', luganda: 'lg', kikuyu: 'ki', tigrinya: 'ti', shona: 'sn', lingala: 'ln',
+  wolof: 'wo'
+};
+
+// extractLanguages() proficiency levels on the CEFR scale
+export const CEFR_LEVELS = {
+  fluent: 'C2',
+  professional: 'C1',
+  intermediate: 'B1',
+  basic: 'A2'
+};
+
+export const PROFICIENCY_LABELS = {
+  native: 'Native speaker',
+  fluent: 'Fluent',
+  professional: 'Professional working proficiency',
+  intermediate: 'Intermediate',
+  basic: 'Elementary'
+};
+
+const BULLET_PATTERN = /^[•·▪‣◦*\-–—]\s*/;
+
+/**
+ * ISO 639-1 code for an English language name
+ * @param {string} name - e.g. 'Swahili'
+ * @returns {string|null}
+ */
+export function languageCode(name = '') {
+  return LANGUAGE_CODES[name.toLowerCase()] || null;
+}
+
+/**
+ * Split a full name into given names and surname
+ * @param {string} name - e.g. 'Jane Wanjiru Doe'
+ * @returns {{firstName: string, lastName: string}}
+ */
+export function splitName(name = '') {
+  const parts = name.trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return { firstName: parts[0] || '', lastName: '' };
+  return { firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] };
+}
+
+/**
+ * Skills grouped under their taxonomy category labels, in taxonomy order
+ * @param {Object} profile - Parsed profile
+ * @returns {Array<{category: string, label: string, skills: string[]}>}
+ */
+export function groupedSkills(profile) {
+  const categories = profile.skillCategories || {};
+  const grouped = Object.keys(SKILL_CATEGORIES)
+    .filter(category => categories[category]?.length)
+    .map(category => ({ category, label: SKILL_CATEGORIES[category], skills: categories[category] }));
+
+  // Overridden skill lists have no categories; keep whatever is not grouped yet
+  const listed = new Set(grouped.flatMap(group => group.skills.map(skill => skill.toLowerCase())));
+  const ungrouped = (profile.skills || []).filter(skill => !listed.has(skill.toLowerCase()));
+  if (ungrouped.length) {
+    grouped.push({ category: 'other', label: grouped.length ? SKILL_CATEGORIES.other : 'Skills', skills: ungrouped });
+  }
+
+  return grouped;
+}
+
+/**
+ * One entry per school from the parser's education blocks. The parser lists
+ * the lines that name a school and the degrees it recognised; a school line
+ * starts a new entry, the first other line is the degree and anything after
+ * it is kept as notes.
+ * @param {Object} profile - Parsed profile
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Array<{institution, degree, startDate, endDate, notes: string[]}>}
+ */
+export function educationEntries(profile, language) {
+  const entries = [];
+
+  for (const block of profile.education || []) {
+    const institutions = block.institutions || [];
+    const degrees = block.degrees || [];
+    let current = null;
+
+    const startEntry = () => {
+      current = { institution: null, degree: null, startDate: null, endDate: null, notes: [] };
+      entries.push(current);
+    };
+
+    const lines = (block.content || '').split('\n')
+      .map(line => line.replace(BULLET_PATTERN, '').trim())
+      .filter(Boolean);
+
+    for (const line of lines) {
+      const { text, range, date } = withoutDate(line, language);
+      const degreeName = degrees.find(name => line.includes(name));
+      const degree = degreeName && withoutDate(degreeName, language).text;
+      const rest = degree ? trimSeparators(text.replace(degree, '')) : text;
+
+      if (institutions.some(name => line.includes(name))) {
+        // "Master en informatique, Université Paris-Saclay" names both
+        if (!current || current.institution || (degree && rest && current.degree)) startEntry();
+        if (degree && rest) {
+          current.degree = degree;
+          current.institution = rest;
+        } else {
+          current.institution = text;
+        }
+      } else if (!text) {
+        // A line holding only the dates belongs to the entry above
+        if (!current) continue;
+      } else if (!current || (degree && current.degree)) {
+        startEntry();
+        current.degree = text;
+      } else if (!current.degree) {
+        current.degree = text;
+      } else {
+        current.notes.push(line);
+        continue;
+      }
+
+      if (range) {
+        current.startDate = range.startDate;
+        current.endDate = range.endDate;
+      } else if (date && !current.endDate) {
+        current.endDate = date.date;
+      }
+    }
+  }
+
+  return entries.filter(entry => entry.institution || entry.degree);
+}
+
+function withoutDate(line, language) {
+  const range = findDateRange(line, language);
+  const date = range ? null : findDate(line, language);
+  const raw = range?.raw || date?.raw;
+  const text = trimSeparators((raw ? line.replace(raw, '') : line).replace(/\(\s*\)/g, ''));
+  return { text, range, date };
+}
+
+function trimSeparators(text) {
+  return text.replace(/^[\s,;|–—-]+|[\s,;|–—(-]+$/g, '').trim();
+}
+
+/**
+ * File name for a download, from the user's name
+ * @param {string} name - Full name, may be empty
+ * @param {string} extension - Without the dot
+ * @returns {string}
+ */
+export function exportFilename(name, extension) {
+  const slug = (name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'resume'}${slug ? '-resume' : ''}.${extension}`;
+}
@@ -0,0 +1,233 @@
+import { educationEntries, groupedSkills, splitName, languageCode, CEFR_LEVELS } from './common.js';
+
+/**
+ * Parsed profile -> Europass CV XML (SkillsPassport, schema v3.3). Elements
+ * with nothing to say are left out, as the Europass editor does on export.
+ */
+
+const EUROPASS_NAMESPACE = 'http://europass.cedefop.europa.eu/Europass';
+const EUROPASS_SCHEMA = 'http://europass.cedefop.europa.eu/xml/v3.3.0/EuropassSchema.xsd';
+const XSD_VERSION = 'V3.3';
+
+// Europass splits language skills into five CEFR-rated areas
+const LANGUAGE_SKILL_AREAS = ['Listening', 'Reading', 'SpokenInteraction', 'SpokenProduction', 'Writing'];
+
+/**
+ * Build a Europass CV document
+ * @param {Object} profile - parsedData with overrides applied
+ * @param {Object} [options] - { language, updatedAt }
+ * @returns {string} XML
+ */
+export function toEuropassXml(profile, { language, updatedAt } = {}) {
+  const contact = profile.contact || {};
+  const { firstName, lastName } = splitName(contact.name);
+  const now = new Date().toISOString();
+
+  const document = element('SkillsPassport', {
+    xmlns: EUROPASS_NAMESPACE,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': `${EUROPASS_NAMESPACE} ${EUROPASS_SCHEMA}`,
+    locale: language || 'en'
+  }, [
+    element('DocumentInfo', {}, [
+      element('DocumentType', {}, 'ECV'),
+      element('CreationDate', {}, now),
+      element('LastUpdateDate', {}, updatedAt || now),
+      element('XSDVersion', {}, XSD_VERSION),
+      element('Generator', {}, 'Skillarly'),
+      element('EuropassLogo', {}, 'false')
+    ]),
+    element('LearnerInfo', {}, [
+      element('Identification', {}, [
+        element('PersonName', {}, [
+          element('FirstName', {}, firstName),
+          element('Surname', {}, lastName)
+        ]),
+        contactInfo(contact)
+      ]),
+      profile.summary && element('Headline', {}, [
+        element('Type', {}, [
+          element('Code', {}, 'personal_statement'),
+          element('Label', {}, 'Personal statement')
+        ]),
+        element('Description', {}, [element('Label', {}, profile.summary)])
+      ]),
+      list('WorkExperienceList', (profile.experience || []).map(position => element('WorkExperience', {}, [
+        period(position.startDate, position.endDate, position.current),
+        element('Position', {}, [element('Label', {}, position.title)]),
+        position.bullets?.length && element('Activities', {}, htmlList(position.bullets)),
+        position.company && element('Employer', {}, [
+          element('Name', {}, position.company),
+          position.location && element('ContactInfo', {}, [
+            element('Address', {}, [
+              element('Contact', {}, [element('Municipality', {}, position.location)])
+            ])
+          ])
+        ])
+      ]))),
+      list('EducationList', educationEntries(profile, language).map(entry => element('Education', {}, [
+        period(entry.startDate, entry.endDate, false),
+        element('Title', {}, entry.degree || entry.institution),
+        entry.notes.length && element('Activities', {}, htmlList(entry.notes)),
+        entry.institution && element('Organisation', {}, [element('Name', {}, entry.institution)])
+      ]))),
+      skills(profile),
+      achievements(profile)
+    ])
+  ]);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${document}\n`;
+}
+
+function contactInfo(contact) {
+  const location = (contact.city || contact.countryCode) && element('Address', {}, [
+    element('Contact', {}, [
+      element('Municipality', {}, contact.city),
+      contact.countryCode && element('Country', {}, [
+        element('Code', {}, contact.countryCode),
+        element('Label', {}, contact.country)
+      ])
+    ])
+  ]);
+
+  const websites = [
+    contact.website && website(contact.website, 'personal'),
+    contact.linkedin && website(contact.linkedin, 'business'),
+    contact.github && website(contact.github, 'portfolio')
+  ].filter(Boolean);
+
+  return element('ContactInfo', {}, [
+    location,
+    contact.email && element('Email', {}, [element('Contact', {}, contact.email)]),
+    (contact.phone || contact.phoneRaw) && element('TelephoneList', {}, [
+      element('Telephone', {}, [
+        element('Contact', {}, contact.phone || contact.phoneRaw),
+        element('Use', {}, [element('Code', {}, 'mobile')])
+      ])
+    ]),
+    websites.length && element('WebsiteList', {}, websites)
+  ]);
+}
+
+function website(url, use) {
+  return element('Website', {}, [
+    element('Contact', {}, /^https?:\/\//i.test(url) ? url : `https://${url}`),
+    element('Use', {}, [element('Code', {}, use)])
+  ]);
+}
+
+function skills(profile) {
+  const languages = profile.languages || [];
+  const motherTongues = languages.filter(entry => entry.proficiency === 'native');
+  const foreign = languages.filter(entry => entry.proficiency !== 'native');
+  const groups = groupedSkills(profile);
+  const computer = groups.filter(group => !['soft_skill', 'business'].includes(group.category));
+  const other = groups.filter(group => ['soft_skill', 'business'].includes(group.category));
+
+  return element('Skills', {}, [
+    languages.length && element('Linguistic', {}, [
+      list('MotherTongueList', motherTongues.map(entry =>
+        element('MotherTongue', {}, [languageDescription(entry)])
+      )),
+      list('ForeignLanguageList', foreign.map(entry => element('ForeignLanguage', {}, [
+        languageDescription(entry),
+        CEFR_LEVELS[entry.proficiency] && element('ProficiencyLevel', {},
+          LANGUAGE_SKILL_AREAS.map(area => element(area, {}, CEFR_LEVELS[entry.proficiency]))
+        )
+      ])))
+    ]),
+    computer.length && element('Computer', {}, [
+      element('Description', {}, htmlList(computer.map(group => `${group.label}: ${group.skills.join(', ')}`)))
+    ]),
+    other.length && element('Other', {}, [
+      element('Description', {}, htmlList(other.flatMap(group => group.skills)))
+    ])
+  ]);
+}
+
+function languageDescription(entry) {
+  const code = languageCode(entry.language);
+  return element('Description', {}, [
+    code && element('Code', {}, code),
+    element('Label', {}, entry.language)
+  ]);
+}
+
+// Certifications, projects, awards and publications as Europass achievements
+function achievements(profile) {
+  const entries = [
+    ...(profile.certifications || []).map(item => achievement('certifications', 'Certifications',
+      [item.name, item.issuer, item.date, item.credentialId && `Credential ID ${item.credentialId}`, item.url])),
+    ...(profile.projects || []).map(item => achievement('projects', 'Projects',
+      [item.name, item.description, item.technologies?.length && item.technologies.join(', '), item.url])),
+    ...(profile.awards || []).map(item => achievement('honors_awards', 'Honours and awards',
+      [item.title, item.issuer, item.date])),
+    ...(profile.publications || []).map(item => achievement('publications', 'Publications',
+      [item.title, item.venue, item.date, item.url]))
+  ];
+
+  return list('AchievementList', entries);
+}
+
+function achievement(code, label, parts) {
+  return element('Achievement', {}, [
+    element('Title', {}, [element('Code', {}, code), element('Label', {}, label)]),
+    element('Description', {}, parts.filter(Boolean).join(' — '))
+  ]);
+}
+
+// Europass periods are gYear plus gMonth attributes ("--03")
+function period(startDate, endDate, current) {
+  const point = (name, value) => {
+    if (!value) return null;
+    const [year, month] = value.split('-');
+    return element(name, month ? { year, month: `--${month}` } : { year });
+  };
+
+  return element('Period', {}, [
+    point('From', startDate),
+    current ? element('Current', {}, 'true') : point('To', endDate)
+  ]);
+}
+
+// Rich-text fields (Activities, Description) hold escaped XHTML
+function htmlList(items) {
+  return `<ul>${items.map(item => `<li>${escapeXml(item)}</li>`).join('')}</ul>`;
+}
+
+function list(name, children) {
+  return children.length ? element(name, {}, children) : null;
+}
+
+/**
+ * Serialize one element. An array body holds already-built child elements;
+ * any other body is text and gets escaped. Empty elements come back as null
+ * so parents can drop them.
+ */
+function element(name, attributes = {}, body = null) {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(String(value))}"`)
+    .join('');
+
+  if (Array.isArray(body)) {
+    const children = body.filter(Boolean);
+    if (!children.length) return null;
+    return `<${name}${attrs}>${children.join('')}</${name}>`;
+  }
+
+  if (body === null || body === undefined || body === '') {
+    return attrs ? `<${name}${attrs}/>` : null;
+  }
+
+  return `<${name}${attrs}>${escapeXml(String(body))}</${name}>`;
+}
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,112 @@
+import { educationEntries, groupedSkills, PROFICIENCY_LABELS } from './common.js';
+
+/**
+ * Parsed profile -> JSON Resume (https://jsonresume.org/schema). Dates are
+ * already 'YYYY-MM' or 'YYYY', which the schema accepts as-is.
+ */
+
+export const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/**
+ * Build a JSON Resume document
+ * @param {Object} profile - parsedData with overrides applied
+ * @param {Object} [options] - { language, updatedAt }
+ * @returns {Object}
+ */
+export function toJsonResume(profile, { language, updatedAt } = {}) {
+  const contact = profile.contact || {};
+
+  return compact({
+    $schema: JSON_RESUME_SCHEMA,
+    basics: {
+      name: contact.name,
+      label: profile.experience?.[0]?.title,
+      email: contact.email,
+      phone: contact.phone || contact.phoneRaw,
+      url: contact.website,
+      summary: profile.summary,
+      location: {
+        city: contact.city,
+        countryCode: contact.countryCode
+      },
+      profiles: [
+        profileLink('LinkedIn', contact.linkedin),
+        profileLink('GitHub', contact.github)
+      ]
+    },
+    work: (profile.experience || []).map(position => ({
+      name: position.company,
+      position: position.title,
+      location: position.location,
+      startDate: position.startDate,
+      endDate: position.endDate,
+      highlights: position.bullets
+    })),
+    education: educationEntries(profile, language).map(entry => ({
+      institution: entry.institution,
+      studyType: entry.degree,
+      startDate: entry.startDate,
+      endDate: entry.endDate,
+      courses: entry.notes
+    })),
+    awards: (profile.awards || []).map(award => ({
+      title: award.title,
+      date: award.date,
+      awarder: award.issuer
+    })),
+    certificates: (profile.certifications || []).map(certification => ({
+      name: certification.name,
+      date: certification.date,
+      issuer: certification.issuer,
+      url: certification.url
+    })),
+    publications: (profile.publications || []).map(publication => ({
+      name: publication.title,
+      publisher: publication.venue,
+      releaseDate: publication.date,
+      url: publication.url
+    })),
+    skills: groupedSkills(profile).map(group => ({
+      name: group.label,
+      keywords: group.skills
+    })),
+    languages: (profile.languages || []).map(entry => ({
+      language: entry.language,
+      fluency: PROFICIENCY_LABELS[entry.proficiency]
+    })),
+    projects: (profile.projects || []).map(project => ({
+      name: project.name,
+      description: project.description,
+      keywords: project.technologies,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      url: project.url
+    })),
+    meta: {
+      version: 'v1.0.0',
+      lastModified: updatedAt
+    }
+  });
+}
+
+function profileLink(network, url) {
+  if (!url) return null;
+  const href = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+  const username = href.replace(/\/+$/, '').split('/').pop();
+  return { network, username, url: href };
+}
+
+// The schema rejects nulls; drop empty values instead of sending them
+function compact(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter(item => item !== undefined);
+    return items.length ? items : undefined;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+}
@@ -0,0 +1,80 @@
+import chromium from '@sparticuz/chromium';
+import puppeteer from 'puppeteer-core';
+import { generateResumeHtml } from '../templates/resumeTemplate.js';
+
+/**
+ * Resume PDFs rendered by headless Chromium. @sparticuz/chromium ships a
+ * build that runs on serverless hosts; CHROMIUM_EXECUTABLE_PATH points at a
+ * local Chrome instead (e.g. for development on macOS). One browser is
+ * launched on first use and shared; each render gets its own page.
+ */
+
+const RENDER_TIMEOUT_MS = Number(process.env.PDF_RENDER_TIMEOUT_MS) || 30000;
+
+let browserPromise = null;
+
+async function launchBrowser() {
+  const executablePath = process.env.CHROMIUM_EXECUTABLE_PATH || await chromium.executablePath();
+
+  const browser = await puppeteer.launch({
+    executablePath,
+    args: process.env.CHROMIUM_EXECUTABLE_PATH ? ['--no-sandbox', '--disable-dev-shm-usage'] : chromium.args,
+    defaultViewport: chromium.defaultViewport,
+    headless: true
+  });
+
+  browser.on('disconnected', () => {
+    browserPromise = null;
+  });
+
+  console.log('🖨️ Chromium started for PDF export');
+  return browser;
+}
+
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = launchBrowser().catch(error => {
+      browserPromise = null;
+      throw error;
+    });
+  }
+  return browserPromise;
+}
+
+/**
+ * Render a profile to PDF
+ * @param {Object} profile - parsedData with overrides applied
+ * @param {Object} [options] - { language }
+ * @returns {Promise<Buffer>}
+ */
+export async function renderResumePdf(profile, options = {}) {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+
+  try {
+    // The HTML is built from resume text; nothing in it should run or load
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.url().startsWith('data:')) request.continue();
+      else request.abort();
+    });
+
+    await page.setContent(generateResumeHtml(profile, options), {
+      waitUntil: 'load',
+      timeout: RENDER_TIMEOUT_MS
+    });
+
+    const pdf = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      preferCSSPageSize: true,
+      timeout: RENDER_TIMEOUT_MS
+    });
+
+    return Buffer.from(pdf);
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
@@ -15,12 +15,28 @@ import session from 'express-session';
 import passport from 'passport';
 import { initializeAuth } from './auth/linkedin.js';
 import RedisStore from 'connect-redis';
-import { createClient } from 'redis';
+import { redisClient } from './redis.js';
 import jwt from 'jsonwebtoken';
 import { verifyAuthToken } from './authMiddleware.js';
 import authRoutes from './authRoutes.js'
 import devSeedRoute from './dev-seed.js';
 import resumeRoutes from './routes/resume.js';
+import matchRoutes from './routes/match.js';
+import exportRoutes from './routes/export.js';
+import catalogRoutes from './routes/catalog.js';
+import recommendationRoutes from './routes/recommendations.js';
+import careerRoutes from './routes/career.js';
+import { rememberJobPostings, htmlToText } from './jobPostings.js';
+import { getParsedProfile } from './parseResume.js';
+import { getActiveResume } from './resumeVersions.js';
+import { applyOverridesToResume, getEditedFields } from './resumeOverrides.js';
+import { normalizeSkills, SKILL_CATEGORIES } from './skillTaxonomy.js';
+import { redactText } from './redaction.js';
+import { toRecommendationItems } from './recommendations.js';
+import { determineExperienceLevel, rankItems, toRankedRecommendation } from './recommendationEngine.js';
+import { loadCatalog } from './catalog/index.js';
+import { goalRequirements } from './careerRoles.js';
+import { getExcludedItemIds } from './recommendationFeedback.js';
 import cron from 'node-cron';
 import './cronJob.js';
 
@@ -36,11 +52,15 @@ const stripe = stripePackage(process.env.STRIPE_SECRET_KEY);
 const { Pool } = pg;
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const redisClient = createClient({ url: process.env.REDIS_URL });
 
-// Serve uploaded resumes statically -- Resume Routes
+// Resume Routes - upload, versions and signed downloads of the stored originals
 app.use(express.json());
 app.use('/upload-resume', resumeRoutes);
+app.use('/resume', matchRoutes);
+app.use('/resume', exportRoutes);
+app.use('/admin/catalog', catalogRoutes);
+app.use('/recommendations', recommendationRoutes);
+app.use('/', careerRoutes);
 
 
 // 3. Enhanced CORS Configuration
@@ -65,7 +85,7 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type', 
     'Authorization', 
@@ -207,14 +227,8 @@ app.get('/user-info', verifyAuthToken, async (req, res) => {
 
     if (userError) throw userError;
 
-    // Get latest resume - using user_email since that's your current FK
-    const { data: resume, error: resumeError } = await supabase
-      .from('resumes')
-      .select('uploaded_at')
-      .eq('user_email', email)
-      .order('uploaded_at', { ascending: false })
-      .limit(1)
-      .maybeSingle();
+    // Get the active resume version (latest upload unless another was activated)
+    const resume = await getActiveResume(email, 'id, uploaded_at');
 
     // Get latest recommendation log
     const { data: lastRec, error: recError } = await supabase
@@ -233,6 +247,7 @@ app.get('/user-info', verifyAuthToken, async (req, res) => {
       plan: user.plan,
       email_notifications: user.email_notifications,
       resume_uploaded_at: resume?.uploaded_at || null,
+      active_resume_id: resume?.id || null,
       last_recommended_at: lastRec?.recommended_at || null,
       profilepicture: user.profilepicture 
     });
@@ -259,14 +274,8 @@ app.get('/user-data', verifyAuthToken, async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Get latest resume data using user_email (your current FK)
-    const { data: latestResume, error: resumeError } = await supabase
-      .from('resumes')
-      .select('parsed_data, uploaded_at')
-      .eq('user_email', email)
-      .order('uploaded_at', { ascending: false })
-      .limit(1)
-      .maybeSingle();
+    // Get the active resume version using user_email (your current FK)
+    const latestResume = await getActiveResume(email, 'id, parsed_data, parsed_overrides, uploaded_at');
 
     // Get recommendation logs
     const { data: recLogs, error: logsError } = await supabase
@@ -276,8 +285,12 @@ app.get('/user-data', verifyAuthToken, async (req, res) => {
       .order('recommended_at', { ascending: false })
       .limit(5);
 
-    // Merge resume data (prioritize latest resume over user table)
-    const resumeData = latestResume?.parsed_data || user.parsed_resume;
+    // Merge resume data (prioritize latest resume over user table), user corrections on top
+    const overrides = latestResume?.parsed_overrides || {};
+    const activeResumeData = applyOverridesToResume(latestResume?.parsed_data, overrides);
+    const resumeData = activeResumeData || user.parsed_resume;
+    const resumeProfile = getParsedProfile(activeResumeData);
+    const profileData = getParsedProfile(resumeData);
 
     return res.json({
       success: true,
@@ -287,12 +300,20 @@ app.get('/user-data', verifyAuthToken, async (req, res) => {
       // Resume data (prioritize resumes table)
       parsed_resume: resumeData,
       uploaded_at: latestResume?.uploaded_at || null,
+      active_resume_id: latestResume?.id || null,
+      edited_fields: getEditedFields(overrides),
       
       // User profile data (can be from either table)
-      skills: latestResume?.parsed_data?.skills || user.skills,
-      certifications: latestResume?.parsed_data?.certifications || user.certifications,
-      education: latestResume?.parsed_data?.education || user.education,
-      companies: latestResume?.parsed_data?.companies || user.companies,
+      contact: profileData?.contact || null,
+      summary: profileData?.summary || null,
+      skills: resumeProfile?.skills || user.skills,
+      certifications: resumeProfile?.certifications || user.certifications,
+      education: resumeProfile?.education || user.education,
+      companies: resumeProfile?.companies || user.companies,
+      projects: profileData?.projects || [],
+      awards: profileData?.awards || [],
+      languages: profileData?.languages || [],
+      publications: profileData?.publications || [],
       
       // Recommendation history
       last_recommended_at: recLogs?.[0]?.recommended_at || null,
@@ -350,10 +371,12 @@ app.get('/user-dashboard', verifyAuthToken, async (req, res) => {
         certifications,
         education,
         companies,
+        active_resume_id,
         resumes (
           id,
           uploaded_at,
-          parsed_data
+          parsed_data,
+          parsed_overrides
         ),
         recommendation_logs (
           recommended_at
@@ -366,7 +389,11 @@ app.get('/user-dashboard', verifyAuthToken, async (req, res) => {
 
     if (error) throw error;
 
-    const latestResume = dashboardData.resumes?.[0];
+    // Active version, or the latest upload when none was chosen explicitly
+    const latestResume = dashboardData.resumes?.find(resume => resume.id === dashboardData.active_resume_id)
+      || dashboardData.resumes?.[0];
+    const activeResumeData = applyOverridesToResume(latestResume?.parsed_data, latestResume?.parsed_overrides);
+    const resumeProfile = getParsedProfile(activeResumeData);
     const recentRecommendations = dashboardData.recommendation_logs?.slice(0, 5) || [];
 
     res.json({
@@ -381,13 +408,20 @@ app.get('/user-dashboard', verifyAuthToken, async (req, res) => {
       resume: {
         uploaded_at: latestResume?.uploaded_at || null,
         has_resume: !!latestResume,
-        parsed_data: latestResume?.parsed_data || null
+        active_resume_id: latestResume?.id || null,
+        version_count: dashboardData.resumes?.length || 0,
+        parsed_data: activeResumeData || null,
+        edited_fields: getEditedFields(latestResume?.parsed_overrides)
       },
       profile: {
-        skills: latestResume?.parsed_data?.skills || dashboardData.skills,
-        certifications: latestResume?.parsed_data?.certifications || dashboardData.certifications,
-        education: latestResume?.parsed_data?.education || dashboardData.education,
-        companies: latestResume?.parsed_data?.companies || dashboardData.companies
+        skills: resumeProfile?.skills || dashboardData.skills,
+        certifications: resumeProfile?.certifications || dashboardData.certifications,
+        education: resumeProfile?.education || dashboardData.education,
+        companies: resumeProfile?.companies || dashboardData.companies,
+        projects: resumeProfile?.projects || [],
+        awards: resumeProfile?.awards || [],
+        languages: resumeProfile?.languages || [],
+        publications: resumeProfile?.publications || []
       },
       recommendations: {
         last_recommended_at: recentRecommendations[0]?.recommended_at || null,
@@ -596,7 +630,7 @@ app.post('/recommendations', recommendationsLimiter, verifyAuthToken, async (req
     // 1. Fetch user with admin privileges
     const { data: users, error: userError } = await adminSupabase
       .from('users')
-      .select('id, skills, name, plan, email_notifications, monthly_scrapes')
+      .select('id, skills, name, plan, email_notifications, monthly_scrapes, parsed_resume, career_goal')
       .eq('email', email)
       .limit(1);
 
@@ -622,12 +656,26 @@ app.post('/recommendations', recommendationsLimiter, verifyAuthToken, async (req
       .update({ monthly_scrapes: usage + 1 })
       .eq('id', user.id);
 
-    const skills = user.skills || [];
+    // Canonical skill names (JS/javascript -> JavaScript) grouped by category
+    const normalizedSkills = normalizeSkills(user.skills || []);
+    const skills = normalizedSkills.map(skill => skill.name);
     const name = user.name || 'Professional';
     const wantsEmail = user.email_notifications !== false;
-
-    // 3. Generate OpenAI-based recommendations
-    const prompt = `I have these skills: ${skills.join(', ')}. Recommend 3 online courses and 2 certifications. Format as JSON: { courses: [], certifications: [] }.`;
+    const resumeProfile = getParsedProfile(user.parsed_resume) || {};
+    const level = determineExperienceLevel(resumeProfile.experience || [], resumeProfile.totalYearsExperience);
+    const targetRole = goalRequirements(user.career_goal);
+
+    const skillSummary = Object.entries(
+      normalizedSkills.reduce((groups, skill) => {
+        const label = SKILL_CATEGORIES[skill.category] || SKILL_CATEGORIES.other;
+        (groups[label] = groups[label] || []).push(skill.name);
+        return groups;
+      }, {})
+    ).map(([label, names]) => `${label}: ${names.join(', ')}`).join('; ');
+
+    // 3. Generate OpenAI-based recommendations (skills are free text, so PII is redacted first)
+    const goal = targetRole ? ` My career goal is ${targetRole.title} within ${user.career_goal.timeframe_months} months.` : '';
+    const prompt = redactText(`I have these skills - ${skillSummary}.${goal} Recommend 3 online courses and 2 certifications. Format as JSON: { "courses": [], "certifications": [] } where each item is { "title", "description", "provider", "url" }.`).text;
 
     const response = await openai.chat.completions.create({
       model: 'gpt-3.5-turbo',
@@ -644,17 +692,35 @@ app.post('/recommendations', recommendationsLimiter, verifyAuthToken, async (req
       json = { courses: [], certifications: [] };
     }
 
-    const { courses = [], certifications = [] } = json;
-
-    // 4. Fetch live job recommendations
+    // The model's suggestions are ranked together with the catalog by the skill
+    // gaps they close; the ranking, not the model, decides what is shown.
+    // Items the user dismissed or completed are never shown again.
+    const catalog = await loadCatalog();
+    const catalogIds = new Set(catalog.map(item => item.slug));
+    const excludedIds = await getExcludedItemIds(user.id);
+    const rankCandidates = (type, suggested, limit) => rankItems([
+      ...catalog.filter(item => item.type === type && !excludedIds.has(item.slug)),
+      ...toRecommendationItems(suggested, type).filter(item => !catalogIds.has(item.id) && !excludedIds.has(item.id))
+    ], { skills, level, targetRole, limit }).map(toRankedRecommendation);
+
+    const courses = rankCandidates('course', json?.courses, 3);
+    const certifications = rankCandidates('certification', json?.certifications, 2);
+
+    // 4. Fetch live job recommendations (for the goal role when there is one)
     let jobs = [];
     try {
+      const jobSearch = targetRole ? [targetRole.title, ...skills] : skills;
       const jobsRes = await axios.post(
         `${process.env.BACKEND_URL || 'http://localhost:3000'}/jobs/remotive`,
-        { skills },
+        { skills: jobSearch },
         { headers: { Authorization: req.headers.authorization } }
       );
-      jobs = jobsRes.data.jobs || [];
+      jobs = toRecommendationItems(jobsRes.data.jobs, 'job')
+        .filter(job => !excludedIds.has(job.id))
+        .map(job => ({
+          ...job,
+          reason: targetRole ? `Remote ${targetRole.title} role, your career goal` : `Remote role looking for ${skills[0]}`
+        }));
     } catch (jobError) {
       console.warn('⚠️ Jobs fetch error:', jobError.message);
     }
@@ -792,11 +858,26 @@ app.post('/jobs/remotive', verifyAuthToken, async (req, res) => {
     const response = await fetch(`https://remotive.io/api/remote-jobs?search=${query}`);
     const data = await response.json();
 
-    const jobs = data.jobs.slice(0, 5).map(job => ({
+    const postings = data.jobs.slice(0, 5).map(job => ({
+      source: 'remotive',
+      id: String(job.id),
       title: job.title,
       company: job.company_name,
-      description: job.description.replace(/<[^>]+>/g, '').slice(0, 160) + '...',
-      link: job.url
+      description: htmlToText(job.description),
+      link: job.url,
+      skills: job.tags || []
+    }));
+
+    // Full text is kept for POST /resume/match
+    await rememberJobPostings(postings);
+
+    const jobs = postings.map(job => ({
+      id: job.id,
+      source: job.source,
+      title: job.title,
+      company: job.company,
+      description: job.description.slice(0, 160) + '...',
+      link: job.link
     }));
 
     res.json({ jobs });
@@ -822,11 +903,27 @@ app.post('/jobs/jsearch', verifyAuthToken, async (req, res) => {
       }
     });
 
-    const jobs = response.data.data.slice(0, 5).map(job => ({
+    const postings = response.data.data.slice(0, 5).map(job => ({
+      source: 'jsearch',
+      id: job.job_id,
       title: job.job_title,
       company: job.employer_name,
-      description: job.job_description.slice(0, 160) + '...',
-      link: job.job_apply_link || job.job_google_link
+      description: job.job_description,
+      link: job.job_apply_link || job.job_google_link,
+      skills: job.job_required_skills || [],
+      requiredExperienceMonths: job.job_required_experience?.required_experience_in_months || null
+    }));
+
+    // Full text is kept for POST /resume/match
+    await rememberJobPostings(postings);
+
+    const jobs = postings.map(job => ({
+      id: job.id,
+      source: job.source,
+      title: job.title,
+      company: job.company,
+      description: job.description.slice(0, 160) + '...',
+      link: job.link
     }));
 
     res.json({ jobs });
@@ -0,0 +1,217 @@
+import { splitSections } from './parsers/sections.js';
+import { extractSkills } from './parsers/skills.js';
+import { detectLanguage } from './parsers/language.js';
+import { normalizeSkill, normalizeSkills, expandSkill, detectSkills } from './skillTaxonomy.js';
+
+/**
+ * Resume-to-job matching. Skills are pulled out of the posting with the same
+ * extractor the resume parser uses, so both sides end up as canonical
+ * taxonomy names and compare directly.
+ */
+
+export const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead'];
+
+// Share of the match percentage that comes from skills; the rest is seniority
+const SKILL_WEIGHT = 0.8;
+// Nice-to-have skills count this much relative to required ones
+const PREFERRED_WEIGHT = 0.5;
+
+const MAX_SUGGESTED_KEYWORDS = 10;
+
+const TITLE_LEVELS = [
+  { level: 'intern', pattern: /\b(?:intern|internship|trainee|attachment)\b/i },
+  { level: 'lead', pattern: /\b(?:lead|principal|staff|head of|architect|director|vp)\b/i },
+  { level: 'senior', pattern: /\b(?:senior|sr\.?|experienced)\b/i },
+  { level: 'junior', pattern: /\b(?:junior|jr\.?|entry[- ]level|graduate|associate)\b/i },
+  { level: 'mid', pattern: /\b(?:mid[- ]?level|intermediate|mid)\b/i }
+];
+
+const YEARS_PATTERN = /\b(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*(?:years?|yrs?)\b/i;
+
+const PREFERRED_HEADER = /^(?:nice[- ]to[- ]haves?|preferred(?: qualifications| skills| experience)?|bonus(?: points)?|pluses|good to have|desirable|desired skills|it would be great if)\b[^.]{0,40}:?$/i;
+const REQUIRED_HEADER = /^(?:requirements|required(?: skills| qualifications)?|must[- ]haves?|qualifications|what you(?:'|’)ll (?:need|bring)|who you are|about you|responsibilities|what you(?:'|’)ll do|skills)\b[^.]{0,40}:?$/i;
+const PREFERRED_PHRASE = /\b(?:a plus|is a bonus|nice to have|preferred|an advantage|desirable)\b/i;
+
+/**
+ * Required skills and seniority from a job posting
+ * @param {Object} posting - { title, description, skills?, requiredExperienceMonths? }
+ * @returns {Object} { title, language, skills: [{name, category, required, mentions}], seniority: {level, minYears} }
+ */
+export function extractJobRequirements(posting) {
+  const title = posting.title || '';
+  const text = `${title}\n${posting.description || ''}`;
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const language = detectLanguage(text).code;
+
+  // Job postings have no skills section to speak of; keep taxonomy skills only
+  const extracted = extractSkills(text, splitSections(lines, language))
+    .filter(skill => normalizeSkill(skill.name));
+
+  // Skills the provider tagged (JSearch job_required_skills, Remotive tags) are required
+  for (const skill of normalizeSkills(posting.skills || [])) {
+    if (skill.known && !extracted.some(entry => entry.name === skill.name)) {
+      extracted.push({ name: skill.name, category: skill.category, source: 'provider', mentions: 1 });
+    }
+  }
+
+  // A skill is optional when every mention of it is in a nice-to-have line
+  const preferredMentions = new Map(
+    detectSkills(preferredLines(lines).join('\n')).map(skill => [skill.name, skill.mentions])
+  );
+
+  const skills = extracted
+    .map(skill => ({
+      name: skill.name,
+      category: skill.category,
+      required: skill.source === 'provider' || (preferredMentions.get(skill.name) || 0) < skill.mentions,
+      mentions: skill.mentions
+    }))
+    .sort((a, b) => Number(b.required) - Number(a.required) || b.mentions - a.mentions);
+
+  return {
+    title,
+    language,
+    skills,
+    seniority: detectSeniority(title, text, posting.requiredExperienceMonths)
+  };
+}
+
+/**
+ * Compare a parsed resume with a posting's requirements
+ * @param {Object} profile - parsedData with overrides applied
+ * @param {Object} requirements - extractJobRequirements output
+ * @returns {Object} { matchPercentage, matchedSkills, missingSkills, seniority, suggestedKeywords }
+ */
+export function matchResumeToJob(profile, requirements) {
+  const resumeSkills = profile.skillDetails
+    || (profile.skills || []).map(name => ({ name, source: 'section' }));
+
+  // A resume listing Next.js also covers React and JavaScript
+  const covered = new Map();
+  for (const skill of resumeSkills) {
+    const names = expandSkill(skill.name);
+    (names.length ? names : [skill.name]).forEach(name => {
+      if (!covered.has(name.toLowerCase())) covered.set(name.toLowerCase(), skill);
+    });
+  }
+
+  const matchedSkills = [];
+  const missingSkills = [];
+  let totalWeight = 0;
+  let matchedWeight = 0;
+
+  for (const skill of requirements.skills) {
+    const weight = skill.required ? 1 : PREFERRED_WEIGHT;
+    totalWeight += weight;
+
+    const evidence = covered.get(skill.name.toLowerCase());
+    if (evidence) {
+      matchedWeight += weight;
+      matchedSkills.push({ name: skill.name, required: skill.required, via: evidence.name === skill.name ? null : evidence.name });
+    } else {
+      missingSkills.push({ name: skill.name, category: skill.category, required: skill.required });
+    }
+  }
+
+  const seniority = compareSeniority(profile, requirements.seniority);
+  const skillScore = totalWeight ? matchedWeight / totalWeight : null;
+  const score = skillScore === null
+    ? seniority.fit
+    : SKILL_WEIGHT * skillScore + (1 - SKILL_WEIGHT) * seniority.fit;
+
+  return {
+    matchPercentage: Math.round(score * 100),
+    matchedSkills,
+    missingSkills,
+    seniority,
+    suggestedKeywords: suggestKeywords(requirements, matchedSkills, missingSkills, resumeSkills)
+  };
+}
+
+// Lines under a "Nice to have" heading, plus sentences that call themselves optional
+function preferredLines(lines) {
+  const preferred = [];
+  let inPreferredBlock = false;
+
+  for (const line of lines.flatMap(text => text.split(/(?<=[.!?;])\s+/))) {
+    if (PREFERRED_HEADER.test(line)) {
+      inPreferredBlock = true;
+    } else if (REQUIRED_HEADER.test(line)) {
+      inPreferredBlock = false;
+    } else if (inPreferredBlock || PREFERRED_PHRASE.test(line)) {
+      preferred.push(line);
+    }
+  }
+
+  return preferred;
+}
+
+function detectSeniority(title, text, requiredExperienceMonths) {
+  const years = text.match(YEARS_PATTERN);
+  const minYears = requiredExperienceMonths
+    ? Math.round(requiredExperienceMonths / 12)
+    : years ? Number(years[1]) : null;
+
+  const level = TITLE_LEVELS.find(entry => entry.pattern.test(title))?.level
+    || (minYears !== null ? levelForYears(minYears) : null);
+
+  return { level, minYears };
+}
+
+function levelForYears(years) {
+  if (years < 2) return 'junior';
+  if (years < 5) return 'mid';
+  if (years < 8) return 'senior';
+  return 'lead';
+}
+
+function compareSeniority(profile, required) {
+  const candidateYears = profile.totalYearsExperience || 0;
+  const candidateLevel = levelForYears(candidateYears);
+  let fit = 1;
+
+  if (required.minYears) {
+    fit = Math.min(1, candidateYears / required.minYears);
+  } else if (required.level) {
+    const gap = SENIORITY_LEVELS.indexOf(required.level) - SENIORITY_LEVELS.indexOf(candidateLevel);
+    fit = gap <= 0 ? 1 : gap === 1 ? 0.5 : 0;
+  }
+
+  return {
+    required: required.level,
+    requiredYears: required.minYears,
+    candidate: candidateLevel,
+    candidateYears,
+    fit: Math.round(fit * 100) / 100
+  };
+}
+
+/**
+ * Posting terms worth putting on the resume: skills the user has but only
+ * implies or mentions in passing, then the most-asked-for skills they lack
+ */
+function suggestKeywords(requirements, matchedSkills, missingSkills, resumeSkills) {
+  const listed = new Set(
+    resumeSkills.filter(skill => skill.source !== 'body').map(skill => skill.name.toLowerCase())
+  );
+  const mentions = new Map(requirements.skills.map(skill => [skill.name, skill.mentions]));
+
+  const unlisted = matchedSkills
+    .filter(skill => !listed.has(skill.name.toLowerCase()))
+    .map(skill => ({
+      keyword: skill.name,
+      reason: skill.via
+        ? `Your resume shows ${skill.via}; name ${skill.name} explicitly, as the posting does`
+        : `You mention ${skill.name} but do not list it in your skills section`
+    }));
+
+  const missing = missingSkills
+    .filter(skill => skill.required)
+    .sort((a, b) => mentions.get(b.name) - mentions.get(a.name))
+    .map(skill => ({
+      keyword: skill.name,
+      reason: `Required by the posting; add it if you have worked with ${skill.name}`
+    }));
+
+  return [...unlisted, ...missing].slice(0, MAX_SUGGESTED_KEYWORDS);
+}
@@ -0,0 +1,81 @@
+import { redisClient } from './redis.js';
+
+/**
+ * Job postings returned by /jobs/remotive and /jobs/jsearch. The listing only
+ * sends the client a short excerpt, so the full posting is kept (in Redis when
+ * connected, in memory otherwise) for /resume/match to compare a resume
+ * against the complete description.
+ */
+
+const POSTING_TTL_SECONDS = 24 * 60 * 60;
+const POSTING_KEY_PREFIX = 'job-posting:';
+const MAX_LOCAL_POSTINGS = 500;
+
+export const JOB_SOURCES = ['remotive', 'jsearch'];
+
+const localPostings = new Map();
+
+/**
+ * Plain text from an HTML job description
+ * @param {string} html - Description as the provider returns it
+ * @returns {string}
+ */
+export function htmlToText(html = '') {
+  return html
+    .replace(/<\s*(?:br|\/p|\/li|\/h\d|\/div)\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#39;|&rsquo;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Keep full postings from a provider response
+ * @param {Array} postings - { source, id, title, company, description, link, skills?, requiredExperienceMonths? }
+ */
+export async function rememberJobPostings(postings) {
+  for (const posting of postings) {
+    const key = POSTING_KEY_PREFIX + `${posting.source}:${posting.id}`;
+
+    localPostings.delete(key);
+    localPostings.set(key, posting);
+    if (localPostings.size > MAX_LOCAL_POSTINGS) {
+      localPostings.delete(localPostings.keys().next().value);
+    }
+
+    if (!redisClient.isReady) continue;
+    try {
+      await redisClient.set(key, JSON.stringify(posting), { EX: POSTING_TTL_SECONDS });
+    } catch (error) {
+      console.warn(`⚠️ Failed to cache job posting ${key}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Full posting for a job the user was shown
+ * @param {string} source - 'remotive' or 'jsearch'
+ * @param {string} id - Provider job ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getJobPosting(source, id) {
+  const key = POSTING_KEY_PREFIX + `${source}:${id}`;
+
+  if (localPostings.has(key)) return localPostings.get(key);
+  if (!redisClient.isReady) return null;
+
+  try {
+    const stored = await redisClient.get(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn(`⚠️ Failed to read job posting ${key}:`, error.message);
+    return null;
+  }
+}
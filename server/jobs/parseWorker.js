@@ -0,0 +1,26 @@
+import { parentPort } from 'worker_threads';
+import { parseResumeBuffer } from '../parseResume.js';
+
+/**
+ * Worker thread entry point: parses one resume per message so PDF.js and OCR
+ * never block the API's event loop. Messages back to the pool are
+ * { taskId, type: 'progress' | 'done' | 'error', ... }.
+ */
+parentPort.on('message', async ({ taskId, buffer, filename }) => {
+  try {
+    const result = await parseResumeBuffer(Buffer.from(buffer), filename, {
+      onProgress: progress => parentPort.postMessage({ taskId, type: 'progress', progress })
+    });
+    parentPort.postMessage({ taskId, type: 'done', result });
+  } catch (error) {
+    parentPort.postMessage({
+      taskId,
+      type: 'error',
+      error: {
+        code: error.code,
+        message: error.message,
+        details: error.details
+      }
+    });
+  }
+});
@@ -0,0 +1,272 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { redisClient } from '../redis.js';
+import { parseInWorker } from './workerPool.js';
+import { getCachedParse, cacheParse } from '../parseCache.js';
+import { redactParseResult } from '../redaction.js';
+import { ResumeParseError } from '../parsers/errors.js';
+
+/**
+ * Resume parse jobs. Uploads are queued on the worker pool and tracked here;
+ * job state is written through to Redis (when connected) so any instance can
+ * answer a status poll, and kept in memory for this instance's SSE streams.
+ */
+
+const JOB_TTL_SECONDS = 60 * 60;
+const JOB_KEY_PREFIX = 'resume-job:';
+const REMOTE_POLL_MS = 2000;
+
+export const TERMINAL_STATUSES = ['completed', 'failed'];
+
+// Rough share of the progress bar each stage accounts for
+const STAGE_PROGRESS = {
+  queued: [0, 0],
+  extracting: [5, 60],
+  ocr: [60, 85],
+  analyzing: [85, 90],
+  saving: [90, 99],
+  completed: [100, 100],
+  failed: [100, 100]
+};
+
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Queue a resume for parsing
+ * @param {Object} upload - { userEmail, userId, buffer, filename, fileSize, checksum?, refreshCache?, keep? }
+ *   With a checksum, a cached parse of the same file is reused; refreshCache
+ *   parses anyway and replaces the cached result. keep lists contact values
+ *   the user confirmed, which PII redaction leaves in place.
+ * @param {Function} persist - async (parseResult) => { resumeId, deduplicated? }, stores the result
+ * @returns {Promise<Object>} The queued job
+ */
+export async function createParseJob(upload, persist) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    userEmail: upload.userEmail,
+    userId: upload.userId,
+    filename: upload.filename,
+    fileSize: upload.fileSize,
+    status: 'queued',
+    stage: 'queued',
+    pagesProcessed: 0,
+    totalPages: null,
+    percent: 0,
+    resumeId: null,
+    cached: false,
+    deduplicated: false,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await saveJob(job);
+  runJob(job.id, upload, persist);
+
+  return job;
+}
+
+/**
+ * Look up a job (local first, then Redis)
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getJob(id) {
+  if (jobs.has(id)) {
+    return jobs.get(id);
+  }
+
+  if (!redisClient.isReady) {
+    return null;
+  }
+
+  try {
+    const stored = await redisClient.get(JOB_KEY_PREFIX + id);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn(`Failed to read resume job ${id} from Redis:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Listen for updates to a job until it finishes. Jobs running on another
+ * instance are followed by polling Redis.
+ * @param {string} id - Job ID
+ * @param {Function} listener - Called with the job after every update
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToJob(id, listener) {
+  if (jobs.has(id)) {
+    jobEvents.on(id, listener);
+    return () => jobEvents.off(id, listener);
+  }
+
+  let lastUpdate = null;
+  const interval = setInterval(async () => {
+    const job = await getJob(id);
+    if (job && job.updatedAt !== lastUpdate) {
+      lastUpdate = job.updatedAt;
+      listener(job);
+    }
+  }, REMOTE_POLL_MS);
+
+  return () => clearInterval(interval);
+}
+
+/**
+ * Resolve once a job reaches 'completed' or 'failed'
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} The finished job
+ */
+export async function waitForJob(id) {
+  const job = await getJob(id);
+  if (!job || TERMINAL_STATUSES.includes(job.status)) {
+    return job;
+  }
+
+  return new Promise(resolve => {
+    const unsubscribe = subscribeToJob(id, update => {
+      if (TERMINAL_STATUSES.includes(update.status)) {
+        unsubscribe();
+        resolve(update);
+      }
+    });
+  });
+}
+
+/**
+ * API view of a job: no owner email, snake_case like the other resume responses
+ * @param {Object} job - Stored job
+ */
+export function serializeJob(job) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: {
+      percent: job.percent,
+      pages_processed: job.pagesProcessed,
+      total_pages: job.totalPages
+    },
+    filename: job.filename,
+    resume_id: job.resumeId,
+    cached: job.cached,
+    deduplicated: job.deduplicated,
+    error: job.error,
+    data: job.result,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt
+  };
+}
+
+async function runJob(id, upload, persist) {
+  try {
+    const { result, cached } = await parseUpload(id, upload);
+
+    await updateJob(id, { status: 'processing', stage: 'saving', percent: STAGE_PROGRESS.saving[0] });
+
+    let saved;
+    try {
+      saved = await persist(result);
+    } catch (error) {
+      throw new ResumeParseError('SAVE_FAILED', undefined, { reason: error.message });
+    }
+
+    console.log(`✅ Resume job ${id} completed (resume ${saved.resumeId})`);
+    await updateJob(id, {
+      status: 'completed',
+      stage: 'completed',
+      percent: 100,
+      resumeId: saved.resumeId,
+      cached,
+      deduplicated: Boolean(saved.deduplicated),
+      result
+    });
+
+  } catch (error) {
+    console.error(`❌ Resume job ${id} failed:`, error.message);
+    const parseError = error instanceof ResumeParseError
+      ? error
+      : new ResumeParseError('PARSE_FAILED', `Failed to parse resume: ${error.message}`);
+
+    await updateJob(id, {
+      status: 'failed',
+      stage: 'failed',
+      percent: 100,
+      error: { ...parseError.toJSON(), status: parseError.status }
+    });
+  }
+}
+
+// Reuse the parse of an identical file when there is one, otherwise run the
+// worker. Results are redacted before they are cached or handed to persist.
+async function parseUpload(id, upload) {
+  if (upload.checksum && !upload.refreshCache) {
+    const cached = await getCachedParse(upload.checksum, upload.userEmail);
+    if (cached) {
+      console.log(`♻️ Resume job ${id} reused the cached parse of ${upload.checksum.slice(0, 12)}`);
+      return { result: { ...cached, filename: upload.filename }, cached: true };
+    }
+  }
+
+  const parsed = await parseInWorker(upload.buffer, upload.filename, progress => {
+    // Page counts are per stage (all pages while extracting, sparse pages during OCR)
+    const pageCounts = progress.totalPages != null
+      ? { pagesProcessed: progress.pagesProcessed, totalPages: progress.totalPages }
+      : {};
+
+    updateJob(id, {
+      status: 'processing',
+      stage: progress.stage,
+      percent: stagePercent(progress),
+      ...pageCounts
+    });
+  });
+
+  // The cache is shared by everyone who uploads the same file, so it never
+  // holds one user's confirmed values
+  const redacted = redactParseResult(parsed);
+  if (upload.checksum) {
+    await cacheParse(upload.checksum, redacted);
+  }
+
+  const result = upload.keep?.length ? redactParseResult(parsed, { keep: upload.keep }) : redacted;
+  return { result, cached: false };
+}
+
+function stagePercent({ stage, pagesProcessed, totalPages }) {
+  const [start, end] = STAGE_PROGRESS[stage] || [0, 0];
+  if (!totalPages) return start;
+  return Math.round(start + (end - start) * Math.min(1, pagesProcessed / totalPages));
+}
+
+async function updateJob(id, changes) {
+  const current = jobs.get(id);
+  if (!current || TERMINAL_STATUSES.includes(current.status)) return;
+
+  const job = { ...current, ...changes, updatedAt: new Date().toISOString() };
+  await saveJob(job);
+  jobEvents.emit(id, job);
+}
+
+async function saveJob(job) {
+  jobs.set(job.id, job);
+
+  // Finished jobs only need to live long enough for the client to collect them
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_SECONDS * 1000).unref();
+  }
+
+  if (!redisClient.isReady) return;
+
+  try {
+    await redisClient.set(JOB_KEY_PREFIX + job.id, JSON.stringify(job), { EX: JOB_TTL_SECONDS });
+  } catch (error) {
+    console.warn(`Failed to store resume job ${job.id} in Redis:`, error.message);
+  }
+}
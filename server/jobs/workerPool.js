@@ -0,0 +1,127 @@
+import { Worker } from 'worker_threads';
+import os from 'os';
+import { ResumeParseError } from '../parsers/errors.js';
+import { PARSE_TIMEOUT_MS } from '../parseResume.js';
+import { redactFilename } from '../redaction.js';
+
+const WORKER_SCRIPT = new URL('./parseWorker.js', import.meta.url);
+const POOL_SIZE = Number(process.env.RESUME_PARSE_WORKERS) || Math.max(1, os.cpus().length - 1);
+
+// parseResumeBuffer enforces its own timeout; this is the backstop for a worker
+// stuck in native code (tesseract, graphicsmagick) that never checks the deadline
+const HARD_TIMEOUT_MS = PARSE_TIMEOUT_MS + 30000;
+
+// Heap ceiling per worker, so a document that expands past every other guard
+// kills its own worker instead of the server
+const WORKER_RESOURCE_LIMITS = {
+  maxOldGenerationSizeMb: Number(process.env.RESUME_PARSE_WORKER_MEMORY_MB) || 512,
+  maxYoungGenerationSizeMb: 64
+};
+
+const idleWorkers = [];
+const busyWorkers = new Set();
+const queue = [];
+let nextTaskId = 1;
+
+/**
+ * Parse a resume on the worker pool
+ * @param {Buffer} buffer - File buffer
+ * @param {string} filename - Original filename
+ * @param {Function} [onProgress] - Receives parseResumeBuffer progress events
+ * @returns {Promise<Object>} parseResumeBuffer result
+ */
+export function parseInWorker(buffer, filename, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    queue.push({ taskId: nextTaskId++, buffer, filename, onProgress, resolve, reject });
+    drainQueue();
+  });
+}
+
+/**
+ * Pool usage for health checks
+ */
+export function getPoolStats() {
+  return {
+    size: POOL_SIZE,
+    busy: busyWorkers.size,
+    idle: idleWorkers.length,
+    queued: queue.length
+  };
+}
+
+function drainQueue() {
+  while (queue.length > 0) {
+    let worker = idleWorkers.pop();
+    if (!worker) {
+      if (busyWorkers.size >= POOL_SIZE) return;
+      worker = new Worker(WORKER_SCRIPT, { resourceLimits: WORKER_RESOURCE_LIMITS });
+    }
+    worker.ref();
+    runTask(worker, queue.shift());
+  }
+}
+
+function runTask(worker, task) {
+  busyWorkers.add(worker);
+
+  const finish = (error, result) => {
+    clearTimeout(timer);
+    worker.off('message', onMessage);
+    worker.off('error', onError);
+    worker.off('exit', onExit);
+    busyWorkers.delete(worker);
+
+    if (error) task.reject(error);
+    else task.resolve(result);
+  };
+
+  const onMessage = message => {
+    if (message.taskId !== task.taskId) return;
+
+    if (message.type === 'progress') {
+      task.onProgress(message.progress);
+      return;
+    }
+
+    // Worker is healthy, hand it back before settling so the next task can start
+    worker.unref();
+    idleWorkers.push(worker);
+    if (message.type === 'done') {
+      finish(null, message.result);
+    } else {
+      const { code, message: errorMessage, details } = message.error;
+      finish(new ResumeParseError(code, errorMessage, details));
+    }
+    drainQueue();
+  };
+
+  // A crashed or killed worker is discarded; the pool spawns a fresh one on demand
+  const onError = error => {
+    console.error(`Parse worker crashed on ${redactFilename(task.filename)}:`, error);
+    worker.terminate();
+    finish(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+      ? new ResumeParseError('DECOMPRESSED_SIZE_EXCEEDED', 'Document needs more memory than a parse is allowed', {
+          limitMb: WORKER_RESOURCE_LIMITS.maxOldGenerationSizeMb
+        })
+      : new ResumeParseError('PARSE_FAILED', `Failed to parse resume: ${error.message}`));
+    drainQueue();
+  };
+
+  const onExit = code => {
+    finish(new ResumeParseError('PARSE_FAILED', `Parse worker exited unexpectedly (code ${code})`));
+    drainQueue();
+  };
+
+  const timer = setTimeout(() => {
+    console.warn(`Parse worker exceeded ${HARD_TIMEOUT_MS}ms on ${redactFilename(task.filename)}, terminating`);
+    worker.off('exit', onExit);
+    worker.terminate();
+    finish(new ResumeParseError('PARSE_TIMEOUT', undefined, { limitMs: PARSE_TIMEOUT_MS }));
+    drainQueue();
+  }, HARD_TIMEOUT_MS);
+
+  worker.on('message', onMessage);
+  worker.on('error', onError);
+  worker.on('exit', onExit);
+  worker.postMessage({ taskId: task.taskId, buffer: task.buffer, filename: task.filename });
+}
@@ -0,0 +1,7 @@
+-- Resume version history: the version that drives the profile.
+-- NULL means "latest upload", which is how users created before this column behave.
+alter table users
+  add column if not exists active_resume_id uuid references resumes(id) on delete set null;
+
+create index if not exists resumes_user_email_uploaded_at_idx
+  on resumes (user_email, uploaded_at desc);
@@ -0,0 +1,6 @@
+-- Original resume files kept in the blob store (storage/index.js).
+-- Rows uploaded before this have no stored file and cannot be downloaded.
+alter table resumes
+  add column if not exists storage_key text,
+  add column if not exists storage_driver text,
+  add column if not exists file_checksum text;
@@ -0,0 +1,4 @@
+-- User corrections to parsed resume fields, kept apart from the parser output
+-- in parsed_data so a re-parse never discards them. See resumeOverrides.js.
+alter table resumes
+  add column if not exists parsed_overrides jsonb not null default '{}'::jsonb;
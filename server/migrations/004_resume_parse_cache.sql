@@ -0,0 +1,5 @@
+-- Re-uploads of the same file are matched by checksum (see parseCache.js and
+-- saveParsedResume in routes/resume.js).
+create index if not exists resumes_file_checksum_idx
+  on resumes (file_checksum)
+  where file_checksum is not null;
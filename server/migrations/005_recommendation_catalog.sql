@@ -0,0 +1,29 @@
+-- Courses and certifications the recommendation engine draws from, managed
+-- through /admin/catalog (see catalog/). slug identifies an item across bulk
+-- imports, so importing the same file twice updates rather than duplicates.
+create table if not exists catalog_items (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  type text not null check (type in ('course', 'certification')),
+  title text not null,
+  description text,
+  provider text,
+  url text,
+  level text check (level in ('beginner', 'intermediate', 'advanced')),
+  duration_hours numeric check (duration_hours >= 0),
+  price numeric check (price >= 0),
+  currency text,
+  skills text[] not null default '{}',
+  prerequisite_skills text[] not null default '{}',
+  tags text[] not null default '{}',
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists catalog_items_skills_idx
+  on catalog_items using gin (skills);
+
+create index if not exists catalog_items_type_active_idx
+  on catalog_items (type)
+  where active;
@@ -0,0 +1,7 @@
+-- Recommendations are stored as recommendation items (see recommendations.js)
+-- rather than title strings. to_jsonb keeps existing rows: text[] columns
+-- become arrays of strings, which are upgraded to items on read.
+alter table recommendations
+  alter column courses type jsonb using to_jsonb(courses),
+  alter column certifications type jsonb using to_jsonb(certifications),
+  alter column jobs type jsonb using to_jsonb(jobs);
@@ -0,0 +1,4 @@
+-- The role a user is working towards (see careerRoles.js):
+-- { role_id, role, timeframe_months, set_at }. Null when no goal is set.
+alter table users
+  add column if not exists career_goal jsonb;
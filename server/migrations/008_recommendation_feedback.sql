@@ -0,0 +1,14 @@
+-- What users thought of their recommendations (see recommendationFeedback.js).
+-- One row per user and item holding their latest reaction; item_id is the
+-- recommendation item ID (recommendations.js), so it matches across runs.
+create table if not exists recommendation_feedback (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  item_id text not null,
+  item_type text not null check (item_type in ('course', 'certification', 'job')),
+  action text not null check (action in ('like', 'dismiss', 'not_relevant', 'enrolled', 'completed')),
+  title text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, item_id)
+);
@@ -0,0 +1,38 @@
+-- Give a catalog item a new slug and move users' feedback to it in one
+-- transaction (see renameCatalogItem in catalog/index.js). A user with
+-- feedback under both slugs keeps their latest reaction. Returns no row when
+-- the item does not exist; a slug taken by another item raises 23505 and
+-- changes nothing.
+create or replace function rename_catalog_item(target_id uuid, new_slug text)
+returns setof catalog_items
+language plpgsql
+as $$
+declare
+  old_slug text;
+begin
+  select slug into old_slug from catalog_items where id = target_id for update;
+  if not found then
+    return;
+  end if;
+
+  if old_slug <> new_slug then
+    update catalog_items
+    set slug = new_slug, updated_at = now()
+    where id = target_id;
+
+    delete from recommendation_feedback stale
+    using recommendation_feedback latest
+    where stale.user_id = latest.user_id
+      and stale.item_id in (old_slug, new_slug)
+      and latest.item_id in (old_slug, new_slug)
+      and stale.item_id <> latest.item_id
+      and (stale.updated_at, stale.id) < (latest.updated_at, latest.id);
+
+    update recommendation_feedback
+    set item_id = new_slug, updated_at = now()
+    where item_id = old_slug;
+  end if;
+
+  return query select * from catalog_items where id = target_id;
+end;
+$$;
@@ -0,0 +1,92 @@
+import { redisClient } from './redis.js';
+import { supabase } from './supabase.js';
+import { PARSER_VERSION } from './parseResume.js';
+import { redactionMode } from './redaction.js';
+
+/**
+ * Parse results keyed by the SHA-256 of the uploaded file, PARSER_VERSION and
+ * the PII redaction mode, so uploading the same bytes again skips extraction
+ * and OCR. Entries are stored already redacted. Redis holds
+ * the results when connected; otherwise one of the uploader's own resumes
+ * rows with the same checksum, parsed by this parser version, is reused.
+ * Other users' rows are never read: they carry values that user confirmed
+ * and chose to keep unredacted. Bumping
+ * PARSER_VERSION changes every key, which retires the old entries.
+ */
+
+const CACHE_TTL_SECONDS = Number(process.env.RESUME_PARSE_CACHE_TTL) || 7 * 24 * 60 * 60;
+const CACHE_KEY_PREFIX = 'resume-parse:';
+
+const cacheKey = checksum => `${CACHE_KEY_PREFIX}v${PARSER_VERSION}:${redactionMode()}:${checksum}`;
+
+/**
+ * Cached parse of a file, if this parser version has seen it
+ * @param {string} checksum - SHA-256 of the file (storage/index.js checksumOf)
+ * @param {string} [userEmail] - Uploader; only their stored resumes are reused
+ * @returns {Promise<Object|null>} Parse result as parseResumeBuffer returns it
+ */
+export async function getCachedParse(checksum, userEmail) {
+  if (redisClient.isReady) {
+    try {
+      const stored = await redisClient.get(cacheKey(checksum));
+      if (stored) return JSON.parse(stored);
+    } catch (error) {
+      console.warn(`⚠️ Failed to read parse cache for ${checksum}:`, error.message);
+    }
+  }
+
+  if (!userEmail) return null;
+
+  const mode = redactionMode();
+  let query = supabase
+    .from('resumes')
+    .select('parsed_data')
+    .eq('user_email', userEmail)
+    .eq('file_checksum', checksum)
+    .eq('parsed_data->metadata->>parserVersion', String(PARSER_VERSION));
+  // Rows stored before redaction existed have no redaction metadata
+  query = mode === 'off'
+    ? query.is('parsed_data->metadata->redaction', null)
+    : query.eq('parsed_data->metadata->redaction->>mode', mode);
+
+  const { data, error } = await query
+    .order('uploaded_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`⚠️ Failed to look up stored parse for ${checksum}:`, error.message);
+    return null;
+  }
+
+  return data?.parsed_data || null;
+}
+
+/**
+ * Remember a fresh parse result
+ * @param {string} checksum - SHA-256 of the file
+ * @param {Object} result - parseResumeBuffer output
+ */
+export async function cacheParse(checksum, result) {
+  if (!redisClient.isReady) return;
+
+  try {
+    await redisClient.set(cacheKey(checksum), JSON.stringify(result), { EX: CACHE_TTL_SECONDS });
+  } catch (error) {
+    console.warn(`⚠️ Failed to cache parse for ${checksum}:`, error.message);
+  }
+}
+
+/**
+ * Forget a file's cached parse (when its resume is deleted)
+ * @param {string} checksum - SHA-256 of the file
+ */
+export async function evictCachedParse(checksum) {
+  if (!redisClient.isReady) return;
+
+  try {
+    await redisClient.del(cacheKey(checksum));
+  } catch (error) {
+    console.warn(`⚠️ Failed to evict parse cache for ${checksum}:`, error.message);
+  }
+}
@@ -2,44 +2,134 @@ import pdfjs from 'pdfjs-dist/legacy/build/pdf.js';
 const { getDocument } = pdfjs;
 import mammoth from 'mammoth';
 import path from 'path';
+import { ocrPdfPages } from './parsers/ocr.js';
+import { buildPageText } from './parsers/pdfLayout.js';
+import { splitSections } from './parsers/sections.js';
+import { detectLanguage } from './parsers/language.js';
+import { getLocale } from './parsers/locales.js';
+import { extractContactInfo } from './parsers/contact.js';
+import { redactFilename } from './redaction.js';
+import { extractPositions, calculateTotalYears } from './parsers/experience.js';
+import {
+  extractCertifications,
+  extractProjects,
+  extractAwards,
+  extractLanguages,
+  extractPublications
+} from './parsers/additionalSections.js';
+import { categorizeSkills } from './skillTaxonomy.js';
+import { extractSkills } from './parsers/skills.js';
+import {
+  SUPPORTED_FORMATS,
+  extractTextFromDoc,
+  extractTextFromRtf,
+  extractTextFromOdt,
+  extractTextFromHtml,
+  extractTextFromMarkdown,
+  extractTextFromPlainText
+} from './parsers/documentFormats.js';
+import { resolveFileType, assertSafeZip } from './parsers/fileType.js';
+import { ResumeParseError } from './parsers/errors.js';
+import { scoreFields, scaleScores, buildQualityReport } from './parsers/confidence.js';
+
+// Pages with fewer text-layer characters than this are treated as scanned
+const MIN_PAGE_TEXT_CHARS = 50;
+// Confidence of a sparse page whose text layer stands because OCR failed on it
+const OCR_FAILED_CONFIDENCE = 0.3;
+
+// Ceilings for a single upload; documents beyond these are rejected, not truncated
+const MAX_PDF_PAGES = Number(process.env.RESUME_MAX_PDF_PAGES) || 20;
+export const PARSE_TIMEOUT_MS = Number(process.env.RESUME_PARSE_TIMEOUT_MS) || 60000;
+
+// Bump whenever a parser change alters the output for the same file; cached
+// parses from other versions are then ignored (see parseCache.js)
+export const PARSER_VERSION = 6;
+
+// Formats stored as zip archives, checked for zip bombs before extraction
+const ZIP_FORMATS = ['.docx', '.odt'];
+
+// Processing method -> extractor for every non-PDF format in SUPPORTED_FORMATS
+const TEXT_EXTRACTORS = {
+  mammoth: async buffer => (await mammoth.extractRawText({ buffer })).value,
+  'word-extractor': extractTextFromDoc,
+  rtf: extractTextFromRtf,
+  odt: extractTextFromOdt,
+  text: extractTextFromPlainText,
+  markdown: extractTextFromMarkdown,
+  html: extractTextFromHtml
+};
 
 /**
- * Parse resume from buffer using PDF.js (Mozilla's library)
+ * Parse resume from buffer (PDF via PDF.js, Word, RTF, ODT, text, Markdown or HTML)
  * @param {Buffer} buffer - File buffer
  * @param {string} filename - Original filename
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage, pagesProcessed, totalPages }
+ *   as parsing moves through 'extracting', 'ocr' and 'analyzing'
  * @returns {Object} Parsed resume data
  */
-export async function parseResumeBuffer(buffer, filename) {
+export async function parseResumeBuffer(buffer, filename, { onProgress = () => {} } = {}) {
   try {
-    console.log(`Processing ${filename} buffer of size: ${buffer.length} bytes`);
+    console.log(`Processing ${redactFilename(filename)} buffer of size: ${buffer.length} bytes`);
     
-    const fileExt = path.extname(filename).toLowerCase();
+    const declaredExt = path.extname(filename).toLowerCase();
+    if (!SUPPORTED_FORMATS[declaredExt]) {
+      throw new ResumeParseError('UNSUPPORTED_FORMAT', `Unsupported file format: ${declaredExt || 'unknown'}`, {
+        supportedFormats: Object.keys(SUPPORTED_FORMATS)
+      });
+    }
+
+    // The parser is picked from the content, not the (client-controlled) name
+    const fileExt = resolveFileType(buffer, declaredExt, Object.keys(SUPPORTED_FORMATS));
+    const format = SUPPORTED_FORMATS[fileExt];
+    const deadline = Date.now() + PARSE_TIMEOUT_MS;
     let extractedText = '';
+    let processingMethod = format.method;
+    let pages = [];
+    
+    if (ZIP_FORMATS.includes(fileExt)) {
+      await assertSafeZip(buffer);
+    }
+
+    onProgress({ stage: 'extracting' });
     
     if (fileExt === '.pdf') {
       console.log('Parsing PDF with PDF.js...');
-      extractedText = await extractTextFromPDF(buffer);
-      console.log(`Extracted ${extractedText.length} characters from PDF`);
-      
-    } else if (fileExt === '.docx') {
-      console.log('Parsing DOCX with mammoth...');
-      const result = await mammoth.extractRawText({ buffer });
-      extractedText = result.value;
-      console.log(`Extracted ${extractedText.length} characters from DOCX`);
-      
-    } else if (fileExt === '.doc') {
-      throw new Error('Legacy .doc files are not supported. Please convert to .docx or PDF format.');
+      const pdfResult = await withTimeout(extractTextFromPDF(buffer, deadline, onProgress), deadline);
+      extractedText = pdfResult.text;
+      processingMethod = pdfResult.processingMethod;
+      pages = pdfResult.pages;
+      console.log(`Extracted ${extractedText.length} characters from PDF (${processingMethod})`);
       
     } else {
-      throw new Error(`Unsupported file format: ${fileExt}`);
+      console.log(`Parsing ${fileExt.slice(1).toUpperCase()} with ${processingMethod}...`);
+      try {
+        extractedText = await withTimeout(Promise.resolve().then(() => TEXT_EXTRACTORS[processingMethod](buffer)), deadline);
+      } catch (extractError) {
+        if (extractError instanceof ResumeParseError) throw extractError;
+        throw new ResumeParseError('CORRUPT_FILE', `Could not read ${fileExt.slice(1).toUpperCase()} file: ${extractError.message}`);
+      }
+      console.log(`Extracted ${extractedText.length} characters from ${fileExt.slice(1).toUpperCase()}`);
     }
     
     if (!extractedText || extractedText.trim().length === 0) {
-      throw new Error('No text could be extracted from the document');
+      throw new ResumeParseError('NO_TEXT_EXTRACTED');
     }
     
     // Parse the extracted text into structured data
-    const parsedData = parseResumeText(extractedText);
+    onProgress({ stage: 'analyzing' });
+    const language = detectLanguage(extractedText);
+    console.log(`Detected resume language: ${language.name} (${language.confidence})`);
+    const parsedData = parseResumeText(extractedText, language.code);
+    
+    // Text recognized by OCR is only as trustworthy as the recognition itself;
+    // pages count by how much of the text they hold
+    const pageWeight = page => Math.max(page.textLength ?? 0, 1);
+    if (pages.length > 0) {
+      const textReliability = pages.reduce((sum, page) => sum + page.confidence * pageWeight(page), 0)
+        / pages.reduce((sum, page) => sum + pageWeight(page), 0);
+      parsedData.fieldConfidence = scaleScores(parsedData.fieldConfidence, textReliability);
+    }
     
     return {
       success: true,
@@ -49,22 +139,47 @@ export async function parseResumeBuffer(buffer, filename) {
       metadata: {
         fileSize: buffer.length,
         textLength: extractedText.length,
-        processingMethod: fileExt === '.pdf' ? 'pdfjs' : 'mammoth'
+        processingMethod,
+        declaredFormat: declaredExt,
+        detectedFormat: fileExt,
+        mimeType: format.mimeTypes[0],
+        pages,
+        language,
+        parserVersion: PARSER_VERSION,
+        quality: buildQualityReport({ parsedData, text: extractedText, pages, processingMethod })
       }
     };
     
   } catch (error) {
     console.error('Error in parseResumeBuffer:', error);
-    throw new Error(`Failed to parse resume: ${error.message}`);
+    if (error instanceof ResumeParseError) {
+      throw error;
+    }
+    throw new ResumeParseError('PARSE_FAILED', `Failed to parse resume: ${error.message}`);
   }
 }
 
 /**
- * Extract text from PDF using PDF.js
+ * Get the structured profile from a stored parse result.
+ * resumes.parsed_data and users.parsed_resume hold the full parseResumeBuffer
+ * output, older rows may hold the profile directly.
+ * @param {Object} parsedResume - Stored parse result
+ * @returns {Object|null} parsedData (skills, experience, certifications, ...)
+ */
+export function getParsedProfile(parsedResume) {
+  if (!parsedResume) return null;
+  return parsedResume.parsedData || parsedResume;
+}
+
+/**
+ * Extract text from PDF using PDF.js, falling back to OCR for scanned pages
  * @param {Buffer} buffer - PDF buffer
- * @returns {string} Extracted text
+ * @param {number} deadline - Epoch ms after which extraction stops with PARSE_TIMEOUT
+ * @param {Function} onProgress - Progress callback, see parseResumeBuffer
+ * @returns {Object} { text, processingMethod, pages } where processingMethod is
+ *   'pdfjs', 'ocr' or 'hybrid' and pages holds per-page method and confidence
  */
-async function extractTextFromPDF(buffer) {
+async function extractTextFromPDF(buffer, deadline, onProgress) {
   try {
     // Convert buffer to Uint8Array
     const data = new Uint8Array(buffer);
@@ -80,135 +195,212 @@ async function extractTextFromPDF(buffer) {
     const pdf = await loadingTask.promise;
     console.log(`PDF loaded successfully. Pages: ${pdf.numPages}`);
     
-    let fullText = '';
+    if (pdf.numPages > MAX_PDF_PAGES) {
+      await loadingTask.destroy();
+      throw new ResumeParseError('TOO_MANY_PAGES', `Document has ${pdf.numPages} pages, the limit is ${MAX_PDF_PAGES}`, {
+        pages: pdf.numPages,
+        limit: MAX_PDF_PAGES
+      });
+    }
+    
+    const pages = [];
     
     // Extract text from each page
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      if (Date.now() > deadline) {
+        await loadingTask.destroy();
+        throw timeoutError();
+      }
+
+      let pageText = '';
+      let columns = 0;
       try {
         const page = await pdf.getPage(pageNum);
         const textContent = await page.getTextContent();
         
-        // Combine text items
-        const pageText = textContent.items
-          .map(item => item.str)
-          .join(' ');
+        // Rebuild lines and reading order from item positions
+        const layout = buildPageText(textContent.items, page.getViewport({ scale: 1 }));
+        pageText = layout.text;
+        columns = layout.columns;
         
-        fullText += pageText + '\n';
-        console.log(`Extracted text from page ${pageNum}: ${pageText.length} characters`);
+        console.log(`Extracted text from page ${pageNum}: ${pageText.length} characters, ${layout.lineCount} lines, ${columns} column(s)`);
         
       } catch (pageError) {
         console.warn(`Error extracting text from page ${pageNum}:`, pageError);
         // Continue with other pages
       }
+
+      pages.push({
+        page: pageNum,
+        method: 'pdfjs',
+        confidence: 1,
+        columns,
+        text: pageText.trim()
+      });
+      onProgress({ stage: 'extracting', pagesProcessed: pageNum, totalPages: pdf.numPages });
     }
-    
-    return fullText.trim();
+
+    // Scanned or image-only pages have an empty or sparse text layer
+    const sparsePages = pages
+      .filter(page => page.text.replace(/\s/g, '').length < MIN_PAGE_TEXT_CHARS)
+      .map(page => page.page);
+
+    if (sparsePages.length > 0) {
+      console.log(`Running OCR on ${sparsePages.length} sparse page(s): ${sparsePages.join(', ')}`);
+      onProgress({ stage: 'ocr', pagesProcessed: 0, totalPages: sparsePages.length });
+      const ocrResults = await ocrPdfPages(buffer, sparsePages, {
+        deadline,
+        onPage: done => onProgress({ stage: 'ocr', pagesProcessed: done, totalPages: sparsePages.length })
+      });
+      if (Date.now() > deadline) {
+        throw timeoutError();
+      }
+
+      for (const result of ocrResults) {
+        const page = pages[result.pageNum - 1];
+        if (result.failed) {
+          // OCR could not read the page: its sparse text layer is all we have
+          page.confidence = OCR_FAILED_CONFIDENCE;
+          page.ocrFailed = true;
+        } else if (result.text.length > page.text.length) {
+          // Keep whichever source produced more text
+          page.text = result.text;
+          page.method = 'ocr';
+          page.confidence = result.confidence;
+        }
+      }
+    }
+
+    const ocrPageCount = pages.filter(page => page.method === 'ocr').length;
+    let processingMethod = 'pdfjs';
+    if (ocrPageCount > 0) {
+      processingMethod = ocrPageCount === pages.length ? 'ocr' : 'hybrid';
+    }
+
+    return {
+      text: pages.map(page => page.text).join('\n\n').trim(),
+      processingMethod,
+      pages: pages.map(({ text, ...page }) => ({ ...page, textLength: text.length }))
+    };
     
   } catch (error) {
     console.error('PDF.js extraction error:', error);
+    if (error instanceof ResumeParseError) {
+      throw error;
+    }
+    if (error.name === 'PasswordException') {
+      throw new ResumeParseError('ENCRYPTED_FILE');
+    }
+    if (error.name === 'InvalidPDFException' || error.name === 'FormatError') {
+      throw new ResumeParseError('CORRUPT_FILE', `PDF text extraction failed: ${error.message}`);
+    }
     throw new Error(`PDF text extraction failed: ${error.message}`);
   }
 }
 
 /**
- * Parse extracted text into structured resume data
+ * Reject with PARSE_TIMEOUT if the promise has not settled by the deadline.
+ * Extractors that loop over pages also check the deadline themselves so the
+ * work actually stops instead of running on in the background.
+ * @param {Promise} promise - Extraction in progress
+ * @param {number} deadline - Epoch ms
+ */
+function withTimeout(promise, deadline) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(timeoutError()), Math.max(0, deadline - Date.now()));
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function timeoutError() {
+  return new ResumeParseError('PARSE_TIMEOUT', `Document took longer than ${PARSE_TIMEOUT_MS / 1000}s to process`, {
+    limitMs: PARSE_TIMEOUT_MS
+  });
+}
+
+/**
+ * Parse extracted text into structured resume data. The output schema is the
+ * same whatever language the resume is written in.
  * @param {string} text - Raw extracted text
+ * @param {string} [language] - Document language (ISO 639-1), see detectLanguage
  * @returns {Object} Structured resume data
  */
-function parseResumeText(text) {
+function parseResumeText(text, language) {
   const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  const sectionMap = splitSections(lines, language);
+  const sectionLines = name => sectionMap.sections[name]?.lines || [];
+  const experience = extractExperience(text, sectionMap);
+  const skillDetails = extractSkills(text, sectionMap);
   
   const resumeData = {
-    contact: extractContactInfo(text),
-    experience: extractExperience(text),
-    education: extractEducation(text),
-    skills: extractSkills(text),
-    summary: extractSummary(text),
-    sections: identifySections(lines),
+    contact: extractContactInfo(text, sectionMap),
+    experience,
+    totalYearsExperience: calculateTotalYears(experience),
+    companies: [...new Set(experience.map(position => position.company).filter(Boolean))],
+    education: extractEducation(text, sectionMap),
+    skills: skillDetails.map(skill => skill.name),
+    skillDetails,
+    skillCategories: categorizeSkills(skillDetails),
+    certifications: extractCertifications(sectionLines('certifications'), language),
+    projects: extractProjects(sectionLines('projects'), language),
+    awards: extractAwards(sectionLines('awards'), language),
+    languages: extractLanguages(sectionLines('languages')),
+    publications: extractPublications(sectionLines('publications'), language),
+    summary: extractSummary(text, sectionMap),
+    sections: identifySections(sectionMap),
     rawText: text
   };
   
-  return resumeData;
-}
-
-/**
- * Extract contact information from resume text
- */
-function extractContactInfo(text) {
-  const contact = {};
-  
-  // Email regex
-  const emailMatch = text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
-  if (emailMatch) {
-    contact.email = emailMatch[0];
-  }
+  // Confidence and evidence span (offsets into rawText) for every field
+  resumeData.fieldConfidence = scoreFields(resumeData, sectionMap);
   
-  // Phone regex (various formats)
-  const phoneMatches = text.match(/(?:\+?1[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})/g);
-  if (phoneMatches) {
-    contact.phone = phoneMatches[0];
-  }
-  
-  // LinkedIn
-  const linkedinMatch = text.match(/(?:linkedin\.com\/in\/|linkedin\.com\/pub\/)([\w-]+)/i);
-  if (linkedinMatch) {
-    contact.linkedin = `https://linkedin.com/in/${linkedinMatch[1]}`;
-  }
-  
-  // Name extraction (first few lines often contain name)
-  const firstLines = text.split('\n').slice(0, 3);
-  for (const line of firstLines) {
-    const trimmed = line.trim();
-    // Simple heuristic: if line has 2-4 words and no numbers/symbols, likely a name
-    if (trimmed.length > 3 && trimmed.length < 50 && 
-        /^[A-Za-z\s]+$/.test(trimmed) && 
-        trimmed.split(' ').length >= 2 && 
-        trimmed.split(' ').length <= 4) {
-      contact.name = trimmed;
-      break;
-    }
-  }
-  
-  return contact;
+  return resumeData;
 }
 
 /**
- * Extract work experience from resume text
+ * Extract work experience from resume text as structured positions
  */
-function extractExperience(text) {
-  const experience = [];
-  
-  // Look for common experience section headers
-  const expPatterns = [
-    /(?:WORK\s+)?EXPERIENCE([\s\S]*?)(?=EDUCATION|SKILLS|PROJECTS|CERTIFICATIONS|$)/i,
-    /EMPLOYMENT\s+HISTORY([\s\S]*?)(?=EDUCATION|SKILLS|PROJECTS|CERTIFICATIONS|$)/i,
-    /PROFESSIONAL\s+EXPERIENCE([\s\S]*?)(?=EDUCATION|SKILLS|PROJECTS|CERTIFICATIONS|$)/i
-  ];
+function extractExperience(text, sectionMap) {
+  let expLines = sectionMap.sections.experience?.lines;
   
-  for (const pattern of expPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      const expText = match[1].trim();
-      if (expText.length > 20) { // Only if substantial content
-        experience.push({
-          section: 'experience',
-          content: expText,
-          dateRange: extractDateRanges(expText),
-          companies: extractCompanies(expText)
-        });
+  // Fall back to pattern matching when no header line was recognized
+  if (!expLines || expLines.length === 0) {
+    const expPatterns = [
+      /(?:WORK\s+)?EXPERIENCE([\s\S]*?)(?=EDUCATION|SKILLS|PROJECTS|CERTIFICATIONS|$)/i,
+      /EMPLOYMENT\s+HISTORY([\s\S]*?)(?=EDUCATION|SKILLS|PROJECTS|CERTIFICATIONS|$)/i,
+      /PROFESSIONAL\s+EXPERIENCE([\s\S]*?)(?=EDUCATION|SKILLS|PROJECTS|CERTIFICATIONS|$)/i
+    ];
+    
+    for (const pattern of expPatterns) {
+      const match = text.match(pattern);
+      if (match && match[1].trim().length > 20) { // Only if substantial content
+        expLines = match[1].split('\n').map(line => line.trim()).filter(line => line.length > 0);
         break;
       }
     }
   }
   
-  return experience;
+  return expLines ? extractPositions(expLines, sectionMap.language) : [];
 }
 
 /**
  * Extract education from resume text
  */
-function extractEducation(text) {
+function extractEducation(text, sectionMap) {
   const education = [];
+  const language = sectionMap.language;
+  
+  // A recognized header (in any supported language) gives the exact lines
+  const sectionText = sectionMap.sections.education?.lines.join('\n');
+  if (sectionText && sectionText.length > 10) {
+    return [{
+      section: 'education',
+      content: sectionText,
+      degrees: extractDegrees(sectionText, language),
+      institutions: extractInstitutions(sectionText, language)
+    }];
+  }
   
   const eduPatterns = [
     /EDUCATION([\s\S]*?)(?=EXPERIENCE|SKILLS|PROJECTS|CERTIFICATIONS|$)/i,
@@ -224,8 +416,8 @@ function extractEducation(text) {
         education.push({
           section: 'education',
           content: eduText,
-          degrees: extractDegrees(eduText),
-          institutions: extractInstitutions(eduText)
+          degrees: extractDegrees(eduText, language),
+          institutions: extractInstitutions(eduText, language)
         });
         break;
       }
@@ -236,40 +428,14 @@ function extractEducation(text) {
 }
 
 /**
- * Extract skills from resume text
+ * Extract summary/objective from resume text
  */
-function extractSkills(text) {
-  const skills = [];
-  
-  const skillsPatterns = [
-    /(?:TECHNICAL\s+)?SKILLS([\s\S]*?)(?=EXPERIENCE|EDUCATION|PROJECTS|CERTIFICATIONS|$)/i,
-    /TECHNOLOGIES([\s\S]*?)(?=EXPERIENCE|EDUCATION|PROJECTS|CERTIFICATIONS|$)/i,
-    /COMPETENCIES([\s\S]*?)(?=EXPERIENCE|EDUCATION|PROJECTS|CERTIFICATIONS|$)/i
-  ];
-  
-  for (const pattern of skillsPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      const skillsText = match[1].trim();
-      // Split by common delimiters and clean up
-      const skillList = skillsText
-        .split(/[,•·\n\t]/)
-        .map(skill => skill.trim())
-        .filter(skill => skill.length > 1 && skill.length < 50)
-        .slice(0, 20); // Limit to first 20 skills
-      
-      skills.push(...skillList);
-      break;
-    }
+function extractSummary(text, sectionMap) {
+  const sectionText = sectionMap.sections.summary?.lines.join('\n');
+  if (sectionText && sectionText.length > 20 && sectionText.length < 1000) {
+    return sectionText;
   }
   
-  return skills;
-}
-
-/**
- * Extract summary/objective from resume text
- */
-function extractSummary(text) {
   const summaryPatterns = [
     /(?:PROFESSIONAL\s+)?SUMMARY([\s\S]*?)(?=EXPERIENCE|EDUCATION|SKILLS|$)/i,
     /OBJECTIVE([\s\S]*?)(?=EXPERIENCE|EDUCATION|SKILLS|$)/i,
@@ -293,42 +459,38 @@ function extractSummary(text) {
 /**
  * Helper functions for data extraction
  */
-function extractDateRanges(text) {
-  const datePattern = /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{4}\b|\b\d{4}\b/gi;
-  return text.match(datePattern) || [];
-}
-
-function extractCompanies(text) {
-  // This is a simplified approach - you might want to enhance this
-  const lines = text.split('\n').filter(line => line.trim().length > 0);
-  const companies = [];
+function extractDegrees(text, language) {
+  // A degree runs to the end of its words on the line, so the graduation
+  // year and anything after a comma (usually the institution) stay out
+  const degreePattern = /\b(?:Bachelor|Master|PhD|Associate|Certificate|Diploma)[A-Za-z']*(?:[^\S\n]+[A-Za-z']+)*/gi;
+  // Abbreviations are matched case-sensitively so words like "ms" or "ba" are not degrees
+  const abbreviationPattern = /\b(?:B\.?Sc|M\.?Sc|B\.?Eng|M\.?Eng|B\.?Tech|M\.?Tech|B\.?A|M\.?A|B\.?S|M\.?S|MBA|Ph\.?D)\.?(?![A-Za-z])(?:[^\S\n]+[A-Za-z']+)*/g;
+  const degrees = [...text.matchAll(degreePattern), ...text.matchAll(abbreviationPattern)]
+    .sort((a, b) => a.index - b.index)
+    .map(match => match[0]);
   
-  for (const line of lines) {
-    // Look for lines that might be company names (heuristic approach)
-    if (line.length > 5 && line.length < 100 && 
-        !line.match(/^\d/) && // Doesn't start with number
-        !line.includes('@') && // Not an email
-        line.split(' ').length <= 8) { // Not too many words
-      companies.push(line.trim());
+  const localDegrees = getLocale(language)?.degrees;
+  if (localDegrees) {
+    const localPattern = new RegExp(`(?<!\\p{L})(?:${localDegrees.join('|')})(?!\\p{L})[\\p{L}\\p{M} '’-]*`, 'giu');
+    for (const match of text.match(localPattern) || []) {
+      if (!degrees.some(degree => degree.includes(match.trim()))) degrees.push(match.trim());
     }
   }
   
-  return companies.slice(0, 5); // Limit results
-}
-
-function extractDegrees(text) {
-  const degreePattern = /\b(?:Bachelor|Master|PhD|Associate|Certificate|Diploma)[\w\s]*\b/gi;
-  return text.match(degreePattern) || [];
+  return degrees;
 }
 
-function extractInstitutions(text) {
-  const institutionKeywords = /\b(?:University|College|Institute|School|Academy)\b/gi;
+function extractInstitutions(text, language) {
+  const keywords = ['University', 'College', 'Institute', 'School', 'Academy', ...(getLocale(language)?.institutions || [])];
+  const institutionKeywords = new RegExp(`(?<!\\p{L})(?:${keywords.join('|')})(?!\\p{L})`, 'iu');
   const lines = text.split('\n');
   const institutions = [];
   
   for (const line of lines) {
-    if (institutionKeywords.test(line)) {
-      institutions.push(line.trim());
+    // "Degree, Institution, 2015 - 2019" lines: keep only the institution part
+    const institution = line.split(',').find(part => institutionKeywords.test(part));
+    if (institution) {
+      institutions.push(institution.trim());
     }
   }
   
@@ -338,18 +500,10 @@ function extractInstitutions(text) {
 /**
  * Identify major sections in the resume
  */
-function identifySections(lines) {
-  const sections = [];
-  const sectionHeaders = /^(EXPERIENCE|EDUCATION|SKILLS|PROJECTS|SUMMARY|OBJECTIVE|CONTACT|CERTIFICATIONS|AWARDS)/i;
-  
-  lines.forEach((line, index) => {
-    if (sectionHeaders.test(line.trim())) {
-      sections.push({
-        header: line.trim(),
-        lineNumber: index
-      });
-    }
-  });
-  
-  return sections;
+function identifySections(sectionMap) {
+  return sectionMap.order.map(name => ({
+    name,
+    header: sectionMap.sections[name].header,
+    lineNumber: sectionMap.sections[name].lineNumber
+  }));
 }
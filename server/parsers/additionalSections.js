@@ -0,0 +1,277 @@
+import { findDate, findDateRange } from './dates.js';
+import { LANGUAGE_NAME_ALIASES } from './locales.js';
+
+/**
+ * Extractors for the secondary resume sections: certifications, projects,
+ * awards, spoken languages and publications. Each takes the lines of its
+ * section (see sections.js) and the document language, and returns an array
+ * of structured entries.
+ */
+
+const BULLET_PATTERN = /^(?:[-•·*▪◦●■►–—]|\d+[.)])\s*/;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s)|,]+|\b(?:github\.com|gitlab\.com|bitbucket\.org)\/[^\s)|,]+/i;
+
+// Well-known certification and award issuers, matched case-insensitively
+const KNOWN_ISSUERS = [
+  'Amazon Web Services', 'AWS', 'Google Cloud', 'Google', 'Microsoft', 'Cisco', 'CompTIA', 'Oracle',
+  'Coursera', 'Udemy', 'edX', 'Udacity', 'LinkedIn Learning', 'Pluralsight', 'freeCodeCamp',
+  'PMI', 'Project Management Institute', 'ISC2', '(ISC)²', 'ISACA', 'EC-Council', 'Meta', 'IBM',
+  'Salesforce', 'HubSpot', 'Linux Foundation', 'CNCF', 'Scrum Alliance', 'Scrum.org', 'AXELOS',
+  'Red Hat', 'HashiCorp', 'MongoDB', 'Databricks', 'Snowflake', 'Tableau', 'ICPAK', 'KASNEB',
+  'ACCA', 'CIMA', 'CFA Institute', 'Andela', 'ALX', 'Moringa School'
+];
+
+const CERTIFICATION_LEVELS = /^(?:associate|professional|specialty|foundational|practitioner|expert|fundamentals|level\s+\d+|part\s+\d+)$/i;
+
+const KNOWN_LANGUAGES = [
+  'English', 'Swahili', 'Kiswahili', 'French', 'Spanish', 'German', 'Portuguese', 'Italian', 'Dutch',
+  'Arabic', 'Mandarin', 'Chinese', 'Cantonese', 'Japanese', 'Korean', 'Hindi', 'Urdu', 'Bengali',
+  'Punjabi', 'Russian', 'Polish', 'Turkish', 'Greek', 'Hebrew', 'Persian', 'Farsi', 'Swedish',
+  'Norwegian', 'Danish', 'Finnish', 'Czech', 'Hungarian', 'Romanian', 'Ukrainian', 'Vietnamese',
+  'Thai', 'Indonesian', 'Malay', 'Tagalog', 'Filipino', 'Amharic', 'Somali', 'Oromo', 'Yoruba',
+  'Igbo', 'Hausa', 'Zulu', 'Xhosa', 'Afrikaans', 'Kinyarwanda', 'Luganda', 'Kikuyu', 'Luo',
+  'Kalenjin', 'Kamba', 'Luhya', 'Tigrinya', 'Shona', 'Lingala', 'Wolof', 'Sign Language'
+];
+
+// Free-text proficiency labels (English, French, Spanish, German, Portuguese, Swahili) -> normalized level
+const PROFICIENCY_LEVELS = [
+  { level: 'native', pattern: /(?<!\p{L})(?:native|mother tongue|first language|bilingual|langue maternelle|natif|bilingue|lengua materna|nativo|nativa|muttersprache|língua materna|lugha ya mama)(?!\p{L})/iu },
+  { level: 'fluent', pattern: /(?<!\p{L})(?:fluent|fluency|full professional|c2|c1|courant|couramment|fluido|fluida|fließend|verhandlungssicher|fluente|fasaha|kwa ufasaha)(?!\p{L})/iu },
+  { level: 'professional', pattern: /(?<!\p{L})(?:professional|advanced|proficient|working proficiency|b2|avancé|professionnel|avanzado|profesional|sehr gut|avançado|profissional)(?!\p{L})/iu },
+  { level: 'intermediate', pattern: /(?<!\p{L})(?:intermediate|conversational|good|limited working|b1|intermédiaire|intermedio|gut|intermediário|intermédio|wastani)(?!\p{L})/iu },
+  { level: 'basic', pattern: /(?<!\p{L})(?:basic|beginner|elementary|notions|a1|a2|débutant|básico|principiante|grundkenntnisse|iniciante|msingi)(?!\p{L})/iu }
+];
+
+/**
+ * Extract certifications with issuer, date and credential ID
+ * @param {string[]} lines - Certification section lines
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Array<{name, issuer, date, credentialId, url}>}
+ */
+export function extractCertifications(lines, language) {
+  const certifications = [];
+
+  for (const line of cleanLines(lines)) {
+    const previous = certifications[certifications.length - 1];
+
+    // "Issued Jan 2021 · Credential ID ABC123" lines (LinkedIn exports) belong to the entry above
+    if (previous && /^(?:issued|credential|expires|valid|license)\b/i.test(line)) {
+      previous.date = previous.date || findDate(line, language)?.date || null;
+      previous.credentialId = previous.credentialId || extractCredentialId(line);
+      continue;
+    }
+
+    const entry = parseCredentialLine(line, language);
+    if (entry.name) {
+      certifications.push({
+        name: entry.name,
+        issuer: entry.issuer,
+        date: entry.date,
+        credentialId: extractCredentialId(line),
+        url: entry.url
+      });
+    }
+  }
+
+  return certifications;
+}
+
+/**
+ * Extract projects: a short name line followed by description lines/bullets
+ * @param {string[]} lines - Project section lines
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Array<{name, description, technologies, url, startDate, endDate}>}
+ */
+export function extractProjects(lines, language) {
+  const projects = [];
+  let current = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const isBullet = BULLET_PATTERN.test(line);
+    const text = line.replace(BULLET_PATTERN, '').trim();
+    const techMatch = text.match(/^(?:technologies|tech stack|stack|tools|built with|outils|tecnologías|tecnologias|herramientas|ferramentas|technologien|werkzeuge|teknolojia)\s*[:\-–]\s*(.+)$/i);
+
+    if (current && techMatch) {
+      current.technologies.push(...splitList(techMatch[1]));
+      continue;
+    }
+
+    const looksLikeName = !isBullet && text.length <= 80 && !/[.;]$/.test(text) && !/^\p{Ll}/u.test(text);
+
+    if (!current || (looksLikeName && current.description.length > 0)) {
+      const range = findDateRange(text, language);
+      const url = text.match(URL_PATTERN)?.[0] || null;
+      let name = range ? text.replace(range.raw, '') : text;
+      name = url ? name.replace(url, '') : name;
+
+      current = {
+        name: trimSeparators(name.split(/\s+[|–—]\s+|\s+-\s+/)[0]),
+        description: [],
+        technologies: [],
+        url,
+        startDate: range?.startDate || null,
+        endDate: range?.endDate || null
+      };
+      projects.push(current);
+      continue;
+    }
+
+    current.url = current.url || text.match(URL_PATTERN)?.[0] || null;
+    current.description.push(text);
+  }
+
+  return projects
+    .filter(project => project.name)
+    .map(project => ({
+      ...project,
+      description: project.description.join(' '),
+      technologies: [...new Set(project.technologies)]
+    }));
+}
+
+/**
+ * Extract awards and honors
+ * @param {string[]} lines - Awards section lines
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Array<{title, issuer, date}>}
+ */
+export function extractAwards(lines, language) {
+  return cleanLines(lines)
+    .map(line => parseCredentialLine(line, language))
+    .filter(entry => entry.name)
+    .map(entry => ({ title: entry.name, issuer: entry.issuer, date: entry.date }));
+}
+
+/**
+ * Extract spoken languages with a normalized proficiency level. Language names
+ * written in another language ("Anglais", "Kiingereza") are returned in English.
+ * @param {string[]} lines - Languages section lines
+ * @returns {Array<{language, proficiency, raw}>}
+ */
+export function extractLanguages(lines) {
+  const languages = [];
+  const seen = new Set();
+
+  const items = cleanLines(lines)
+    .flatMap(line => line.split(/[,;|•·\t]|\s{2,}/))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  for (const item of items) {
+    const match = item.match(/^([\p{L}\s]+?)\s*(?:\(([^)]+)\)|[:\-–—]\s*(.+))?$/u);
+    if (!match) continue;
+
+    const name = match[1].trim();
+    const known = LANGUAGE_NAME_ALIASES[name.toLowerCase()]
+      || KNOWN_LANGUAGES.find(language => language.toLowerCase() === name.toLowerCase());
+    // Unknown single capitalized words are probably still languages in this section
+    if (!known && !/^\p{Lu}\p{L}+$/u.test(name)) continue;
+
+    const language = known || name;
+    if (seen.has(language.toLowerCase())) continue;
+    seen.add(language.toLowerCase());
+
+    const detail = match[2] || match[3] || '';
+    languages.push({
+      language,
+      proficiency: PROFICIENCY_LEVELS.find(level => level.pattern.test(detail))?.level || null,
+      raw: item
+    });
+  }
+
+  return languages;
+}
+
+/**
+ * Extract publications: quoted or leading title, venue and year
+ * @param {string[]} lines - Publications section lines
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Array<{title, venue, date, url}>}
+ */
+export function extractPublications(lines, language) {
+  return cleanLines(lines)
+    .map(line => {
+      const url = line.match(URL_PATTERN)?.[0] || null;
+      const date = findDate(line, language);
+      const quoted = line.match(/["“]([^"”]+)["”]/);
+      const withoutUrl = url ? line.replace(url, '') : line;
+
+      if (quoted) {
+        const venue = trimSeparators(withoutUrl.slice(withoutUrl.indexOf(quoted[0]) + quoted[0].length).replace(date?.raw || '', ''));
+        return { title: quoted[1].trim(), venue: venue.replace(/[\s.]+$/, '') || null, date: date?.date || null, url };
+      }
+
+      const parts = withoutUrl.replace(date?.raw || '', '').split(/\.\s+|\s+[|–—]\s+/).map(trimSeparators).filter(Boolean);
+      return { title: parts[0] || null, venue: parts[1]?.replace(/[\s.]+$/, '') || null, date: date?.date || null, url };
+    })
+    .filter(publication => publication.title);
+}
+
+/**
+ * Parse "Name - Issuer, Mar 2021" / "Name | Issuer | 2021" / "Name (Issuer, 2021)"
+ */
+function parseCredentialLine(line, language) {
+  const url = line.match(URL_PATTERN)?.[0] || null;
+  const date = findDate(line, language);
+
+  let text = url ? line.replace(url, '') : line;
+  if (date) text = text.replace(date.raw, '');
+  text = text
+    .replace(/\b(?:credential id|id)\s*[:#]?\s*[\w-]+/i, '')
+    .replace(/\b(?:issued|obtained|completed|awarded)\b\s*(?:on|in)?/gi, '')
+    .replace(/\(\s*\)/g, '');
+
+  const parts = text
+    .split(/\s+[|–—-]\s+|,\s+|\s+(?:by|from)\s+|[()]/i)
+    .map(trimSeparators)
+    .filter(Boolean);
+
+  // "Solutions Architect – Associate": the level is part of the name, not an issuer
+  if (parts.length > 1 && CERTIFICATION_LEVELS.test(parts[1])) {
+    parts.splice(0, 2, `${parts[0]} – ${parts[1]}`);
+  }
+
+  let name = parts[0] || null;
+  let issuer = parts[1] || null;
+
+  // "Coursera - Machine Learning" puts the issuer first
+  if (name && issuer && isKnownIssuer(name) && !isKnownIssuer(issuer)) {
+    [name, issuer] = [issuer, name];
+  }
+
+  // "AWS Certified Developer" carries the issuer inside the name
+  if (!issuer && name) {
+    issuer = KNOWN_ISSUERS.find(known => new RegExp(`(^|[^\\p{L}])${escapeRegExp(known)}([^\\p{L}]|$)`, 'iu').test(name)) || null;
+  }
+
+  return { name, issuer, date: date?.date || null, url };
+}
+
+function isKnownIssuer(text) {
+  return KNOWN_ISSUERS.some(known => known.toLowerCase() === text.toLowerCase());
+}
+
+function extractCredentialId(line) {
+  return line.match(/\bcredential\s*id\s*[:#]?\s*([\w-]+)/i)?.[1] || null;
+}
+
+function cleanLines(lines) {
+  return lines
+    .map(line => line.replace(BULLET_PATTERN, '').trim())
+    .filter(line => line.length > 1);
+}
+
+function splitList(text) {
+  return text.split(/[,;|•·\/]/).map(item => item.trim()).filter(Boolean);
+}
+
+function trimSeparators(text) {
+  return text.replace(/^[\s|,:;–—-]+|[\s|,:;–—-]+$/g, '').replace(/\s{2,}/g, ' ').trim();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
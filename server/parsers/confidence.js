@@ -0,0 +1,256 @@
+import { matchSectionHeader } from './sections.js';
+
+/**
+ * Per-field confidence and the parse quality report.
+ *
+ * scoreFields() returns a map of field path -> { score, evidence } where score
+ * is 0-1 and evidence is the span of parsedData.rawText the value came from
+ * ({ text, start, end }, null when the value was inferred). Paths match the
+ * override paths in resumeOverrides.js, with [i] for list items:
+ * 'contact.email', 'summary', 'experience[0]', 'skills[3]', ...
+ */
+
+// Fields below this are listed in quality.weakFields for the user to confirm
+export const WEAK_CONFIDENCE = 0.6;
+
+// Sections every resume is expected to have
+const CORE_SECTIONS = ['experience', 'education', 'skills'];
+
+// Non-whitespace characters per page below which a PDF is probably mostly images
+const LOW_DENSITY_CHARS_PER_PAGE = 300;
+const LOW_DENSITY_TOTAL_CHARS = 400;
+
+// List field -> item scorer (skills are scored from skillDetails)
+const LIST_FIELDS = {
+  experience: scorePosition,
+  education: scoreEducation,
+  certifications: entry => 0.55 + (entry.issuer ? 0.15 : 0) + (entry.date ? 0.1 : 0) + (entry.credentialId ? 0.1 : 0),
+  projects: entry => 0.55 + (entry.description ? 0.15 : 0) + (entry.technologies?.length ? 0.1 : 0) + (entry.url ? 0.1 : 0),
+  awards: entry => 0.6 + (entry.issuer ? 0.15 : 0) + (entry.date ? 0.15 : 0),
+  languages: entry => (entry.proficiency ? 0.9 : 0.7),
+  publications: entry => 0.55 + (entry.venue ? 0.15 : 0) + (entry.date ? 0.1 : 0) + (entry.url ? 0.1 : 0)
+};
+
+/**
+ * Score every extracted field
+ * @param {Object} data - parseResumeText output (without fieldConfidence)
+ * @param {Object} sectionMap - splitSections output
+ * @returns {Object} Field path -> { score, evidence }
+ */
+export function scoreFields(data, sectionMap) {
+  const text = data.rawText || '';
+  const scores = {};
+  const set = (field, score, evidenceText) => {
+    scores[field] = { score: round(score), evidence: spanOf(text, evidenceText) };
+  };
+
+  // Contact
+  const contact = data.contact || {};
+  if (contact.email) {
+    const distinct = new Set(text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g) || []);
+    set('contact.email', distinct.size > 1 ? 0.75 : 0.95, contact.email);
+  }
+  if (contact.phone) {
+    // Normalized to E.164 means the number's country and length checked out
+    const normalized = /^\+\d{8,15}$/.test(contact.phone);
+    const international = /^(?:\+|00)/.test(contact.phoneRaw || '');
+    set('contact.phone', normalized ? (international ? 0.95 : 0.85) : 0.5, contact.phoneRaw || contact.phone);
+  }
+  if (contact.name) {
+    set('contact.name', scoreName(contact.name, text, sectionMap.language), contact.name);
+  }
+  for (const field of ['linkedin', 'github', 'website']) {
+    if (contact[field]) {
+      const handle = contact[field].replace(/^https?:\/\/(www\.)?/, '').split('/').pop();
+      set(`contact.${field}`, 0.95, handle);
+    }
+  }
+  if (contact.location) {
+    set('contact.location', contact.countryCode ? (contact.city ? 0.85 : 0.75) : 0.5, contact.location);
+  }
+
+  if (data.summary) {
+    set('summary', sectionMap.sections.summary ? 0.85 : 0.5, data.summary.split('\n')[0]);
+  }
+
+  // Lists: each item, searched for in order so repeated lines map to the right span
+  const fromSection = name => Boolean(sectionMap.sections[name]);
+  for (const [field, scorer] of Object.entries(LIST_FIELDS)) {
+    let cursor = sectionMap.sections[field] ? text.indexOf(sectionMap.sections[field].header) : 0;
+
+    (data[field] || []).forEach((entry, index) => {
+      const evidenceText = evidenceFor(field, entry);
+      const evidence = spanOf(text, evidenceText, Math.max(0, cursor));
+      if (evidence) cursor = evidence.end;
+
+      const sectionBonus = fromSection(field) ? 0.05 : -0.1;
+      scores[`${field}[${index}]`] = { score: round(scorer(entry) + sectionBonus), evidence };
+    });
+  }
+
+  (data.skillDetails || []).forEach((skill, index) => {
+    let score;
+    if (skill.source === 'section') score = skill.category === 'other' ? 0.65 : 0.9;
+    else score = Math.min(0.85, 0.5 + 0.1 * skill.mentions);
+    set(`skills[${index}]`, score, skill.name);
+  });
+
+  if (data.totalYearsExperience) {
+    const dated = (data.experience || []).filter(position => position.startDate).length;
+    scores.totalYearsExperience = {
+      score: round(dated === data.experience.length ? 0.8 : 0.5),
+      evidence: null
+    };
+  }
+
+  return scores;
+}
+
+/**
+ * Multiply every score by a factor (OCR text is less reliable than a text layer)
+ * @param {Object} scores - scoreFields output
+ * @param {number} factor - 0-1
+ */
+export function scaleScores(scores, factor) {
+  if (factor >= 1) return scores;
+  return Object.fromEntries(
+    Object.entries(scores).map(([field, entry]) => [field, { ...entry, score: round(entry.score * factor) }])
+  );
+}
+
+/**
+ * Overall parse quality for metadata.quality
+ * @param {Object} params
+ * @param {Object} params.parsedData - parseResumeText output with fieldConfidence
+ * @param {string} params.text - Full extracted text
+ * @param {Array} params.pages - Per-page PDF info (empty for other formats)
+ * @param {string} params.processingMethod - pdfjs, ocr, hybrid, mammoth, ...
+ * @returns {Object} { score, missingSections, missingFields, weakFields, textDensity, multiColumn, ocr, warnings }
+ */
+export function buildQualityReport({ parsedData, text, pages = [], processingMethod }) {
+  const warnings = [];
+  const found = new Set((parsedData.sections || []).map(section => section.name));
+
+  const missingSections = CORE_SECTIONS.filter(section => !found.has(section) && !(parsedData[section]?.length));
+  if (missingSections.length) {
+    warnings.push(`No ${missingSections.join(', ')} section found`);
+  }
+
+  const missingFields = ['contact.name', 'contact.email', 'contact.phone']
+    .filter(field => !parsedData.contact?.[field.split('.')[1]]);
+  if (missingFields.length) {
+    warnings.push(`Could not find ${missingFields.map(field => field.split('.')[1]).join(', ')}`);
+  }
+
+  const characters = text.replace(/\s/g, '').length;
+  const pageCount = pages.length || null;
+  const charsPerPage = pageCount ? Math.round(characters / pageCount) : null;
+  const lowTextDensity = pageCount ? charsPerPage < LOW_DENSITY_CHARS_PER_PAGE : characters < LOW_DENSITY_TOTAL_CHARS;
+  if (lowTextDensity) {
+    warnings.push('Very little text was extracted; the file may be mostly images or nearly empty');
+  }
+
+  const multiColumnPages = pages.filter(page => page.columns > 1).map(page => page.page);
+  if (multiColumnPages.length) {
+    warnings.push('Multi-column layout detected; check that sections were read in the right order');
+  }
+
+  const ocrPages = pages.filter(page => page.method === 'ocr');
+  const ocrConfidence = ocrPages.length
+    ? round(ocrPages.reduce((sum, page) => sum + page.confidence, 0) / ocrPages.length)
+    : null;
+  if (ocrPages.length) {
+    warnings.push(`Text on ${ocrPages.length} page(s) was recognized from images (OCR)`);
+  }
+  const unreadPages = pages.filter(page => page.ocrFailed).map(page => page.page);
+  if (unreadPages.length) {
+    warnings.push(`Page(s) ${unreadPages.join(', ')} have little text and could not be read with OCR; content there may be missing`);
+  }
+
+  const fieldScores = Object.entries(parsedData.fieldConfidence || {});
+  const weakFields = fieldScores
+    .filter(([, entry]) => entry.score < WEAK_CONFIDENCE)
+    .map(([field]) => field);
+
+  const meanScore = fieldScores.length
+    ? fieldScores.reduce((sum, [, entry]) => sum + entry.score, 0) / fieldScores.length
+    : 0;
+  const penalty = 0.1 * missingSections.length + 0.05 * missingFields.length + (lowTextDensity ? 0.15 : 0);
+
+  return {
+    score: round(Math.max(0, Math.min(1, meanScore - penalty))),
+    missingSections,
+    missingFields,
+    weakFields,
+    textDensity: {
+      characters,
+      charsPerPage,
+      low: lowTextDensity
+    },
+    multiColumn: multiColumnPages.length > 0,
+    multiColumnPages,
+    ocr: ocrPages.length ? { pages: ocrPages.map(page => page.page), confidence: ocrConfidence } : null,
+    processingMethod,
+    warnings
+  };
+}
+
+function scorePosition(position) {
+  let score = 0.35;
+  if (position.startDate) score += 0.2;
+  if (position.title) score += 0.15;
+  if (position.company) score += 0.15;
+  if (position.bullets?.length) score += 0.05;
+  return score;
+}
+
+function scoreEducation(entry) {
+  let score = 0.45;
+  if (entry.degrees?.length) score += 0.2;
+  if (entry.institutions?.length) score += 0.2;
+  return score;
+}
+
+// Names: first line, 2-3 words, title or upper case, not a section header
+function scoreName(name, text, language) {
+  const firstLine = text.split('\n').find(line => line.trim())?.trim();
+  const words = name.trim().split(/\s+/);
+  let score = 0.55;
+
+  if (firstLine === name.trim()) score += 0.2;
+  if (words.length >= 2 && words.length <= 3) score += 0.1;
+  if (words.every(word => /^\p{Lu}/u.test(word))) score += 0.1;
+  if (matchSectionHeader(name, language)) score -= 0.4;
+
+  return score;
+}
+
+function evidenceFor(field, entry) {
+  switch (field) {
+    case 'experience':
+      return entry.dateText || entry.title || entry.company;
+    case 'education':
+      return entry.institutions?.[0] || entry.degrees?.[0] || entry.content?.split('\n')[0];
+    case 'awards':
+    case 'publications':
+      return entry.title;
+    case 'languages':
+      return entry.raw || entry.language;
+    default:
+      return entry.name;
+  }
+}
+
+function spanOf(text, snippet, from = 0) {
+  if (!snippet) return null;
+
+  let start = text.indexOf(snippet, from);
+  if (start < 0) start = text.indexOf(snippet);
+  if (start < 0) return null;
+
+  return { text: snippet, start, end: start + snippet.length };
+}
+
+function round(score) {
+  return Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+}
@@ -0,0 +1,406 @@
+import { matchSectionHeader } from './sections.js';
+import { TITLE_KEYWORDS } from './experience.js';
+
+/**
+ * Contact extraction for resumes from anywhere, not just North America:
+ * phone numbers normalized to E.164, Unicode names, city/country locations
+ * and LinkedIn, GitHub and portfolio URLs.
+ */
+
+// Region used for national-format numbers ("0712 345 678") when the resume has no location
+const DEFAULT_PHONE_REGION = process.env.DEFAULT_PHONE_REGION || 'KE';
+
+// ISO region -> calling code and the length of national numbers (without trunk 0)
+const PHONE_REGIONS = {
+  KE: { code: '254', lengths: [9] },
+  UG: { code: '256', lengths: [9] },
+  TZ: { code: '255', lengths: [9] },
+  RW: { code: '250', lengths: [9] },
+  BI: { code: '257', lengths: [8] },
+  SS: { code: '211', lengths: [9] },
+  ET: { code: '251', lengths: [9] },
+  SO: { code: '252', lengths: [7, 8, 9] },
+  NG: { code: '234', lengths: [10] },
+  GH: { code: '233', lengths: [9] },
+  ZA: { code: '27', lengths: [9] },
+  ZM: { code: '260', lengths: [9] },
+  ZW: { code: '263', lengths: [9] },
+  EG: { code: '20', lengths: [9, 10] },
+  MA: { code: '212', lengths: [9] },
+  US: { code: '1', lengths: [10] },
+  CA: { code: '1', lengths: [10] },
+  GB: { code: '44', lengths: [10] },
+  IE: { code: '353', lengths: [9] },
+  DE: { code: '49', lengths: [10, 11] },
+  FR: { code: '33', lengths: [9] },
+  ES: { code: '34', lengths: [9] },
+  PT: { code: '351', lengths: [9] },
+  IT: { code: '39', lengths: [9, 10] },
+  NL: { code: '31', lengths: [9] },
+  BR: { code: '55', lengths: [10, 11] },
+  MX: { code: '52', lengths: [10] },
+  IN: { code: '91', lengths: [10] },
+  AE: { code: '971', lengths: [9] },
+  AU: { code: '61', lengths: [9] }
+};
+
+// Calling codes by length, longest first, for splitting "+254712..." style numbers
+const CALLING_CODES = [...new Set(Object.values(PHONE_REGIONS).map(region => region.code))]
+  .sort((a, b) => b.length - a.length);
+
+// Country names and common abbreviations -> ISO region
+const COUNTRIES = {
+  kenya: 'KE', uganda: 'UG', tanzania: 'TZ', rwanda: 'RW', burundi: 'BI', 'south sudan': 'SS',
+  ethiopia: 'ET', somalia: 'SO', nigeria: 'NG', ghana: 'GH', 'south africa': 'ZA', zambia: 'ZM',
+  zimbabwe: 'ZW', egypt: 'EG', morocco: 'MA', 'united states': 'US', usa: 'US', 'u.s.a.': 'US',
+  canada: 'CA', 'united kingdom': 'GB', uk: 'GB', england: 'GB', ireland: 'IE', germany: 'DE',
+  deutschland: 'DE', france: 'FR', spain: 'ES', 'españa': 'ES', portugal: 'PT', italy: 'IT',
+  netherlands: 'NL', brazil: 'BR', brasil: 'BR', mexico: 'MX', 'méxico': 'MX', india: 'IN',
+  'united arab emirates': 'AE', uae: 'AE', australia: 'AU'
+};
+
+// Cities that are often written without a country
+const CITIES = {
+  nairobi: 'KE', mombasa: 'KE', kisumu: 'KE', nakuru: 'KE', eldoret: 'KE', thika: 'KE', nyeri: 'KE',
+  machakos: 'KE', kiambu: 'KE', kampala: 'UG', entebbe: 'UG', 'dar es salaam': 'TZ', arusha: 'TZ',
+  dodoma: 'TZ', zanzibar: 'TZ', kigali: 'RW', 'addis ababa': 'ET', lagos: 'NG', abuja: 'NG',
+  accra: 'GH', johannesburg: 'ZA', 'cape town': 'ZA', durban: 'ZA', pretoria: 'ZA', cairo: 'EG',
+  lusaka: 'ZM', harare: 'ZW', london: 'GB', manchester: 'GB', dublin: 'IE', berlin: 'DE',
+  munich: 'DE', 'münchen': 'DE', paris: 'FR', madrid: 'ES', barcelona: 'ES', lisbon: 'PT',
+  lisboa: 'PT', amsterdam: 'NL', dubai: 'AE', 'abu dhabi': 'AE', bangalore: 'IN', bengaluru: 'IN',
+  mumbai: 'IN', delhi: 'IN', 'new york': 'US', 'san francisco': 'US', seattle: 'US', toronto: 'CA',
+  'são paulo': 'BR', 'sao paulo': 'BR', 'mexico city': 'MX', sydney: 'AU', melbourne: 'AU'
+};
+
+const COUNTRY_NAMES = {
+  KE: 'Kenya', UG: 'Uganda', TZ: 'Tanzania', RW: 'Rwanda', BI: 'Burundi', SS: 'South Sudan',
+  ET: 'Ethiopia', SO: 'Somalia', NG: 'Nigeria', GH: 'Ghana', ZA: 'South Africa', ZM: 'Zambia',
+  ZW: 'Zimbabwe', EG: 'Egypt', MA: 'Morocco', US: 'United States', CA: 'Canada',
+  GB: 'United Kingdom', IE: 'Ireland', DE: 'Germany', FR: 'France', ES: 'Spain', PT: 'Portugal',
+  IT: 'Italy', NL: 'Netherlands', BR: 'Brazil', MX: 'Mexico', IN: 'India',
+  AE: 'United Arab Emirates', AU: 'Australia'
+};
+
+const US_STATES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY',
+  'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV',
+  'WI', 'WY', 'DC'
+]);
+
+// Lowercase name particles: "Jean de la Fontaine", "Ali bin Omar"
+const NAME_PARTICLES = new Set(['de', 'del', 'della', 'da', 'das', 'do', 'dos', 'du', 'la', 'le', 'van', 'von', 'der', 'den', 'bin', 'binti', 'ibn', 'al', 'el', 'wa', 'y']);
+
+// Han, Hangul and kana have no capitals and names there are usually written
+// without spaces ("王小明", "김민준"), so a short run of them on its own line
+// reads as a name, unless it is the document title
+const CASELESS_NAME = /^[\p{Script=Han}\p{Script=Hangul}\p{Script=Hiragana}\p{Script=Katakana}ー・]{2,4}$/u;
+const RESUME_TITLES = /简历|簡歷|履历|履歴書|職務経歴書|이력서/u;
+
+// Profile sites that are not a personal portfolio
+const NON_PORTFOLIO_HOSTS = /(?:^|\.)(?:linkedin\.com|github\.com|gmail\.com|yahoo\.com|outlook\.com|hotmail\.com|facebook\.com|twitter\.com|x\.com|instagram\.com)$/i;
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/;
+const PHONE_CANDIDATE = /(?:\+|\b00)?\(?\d[\d \t().\-/]{6,}\d/g;
+const PHONE_LABEL = /\b(?:phone|tel|telephone|mobile|mob|cell|whatsapp|simu|t[eé]l[eé]phone|tel[eé]fono|telefon|telemóvel|celular|handy)\b\.?\s*[:.]?\s*$/i;
+
+// Years, dates and date ranges: "2019 - 2021", "2018/2019", "03/2019 - 12/2021", "01.2019 - 12.2020"
+const DATE_PART = '(?:\\d{1,2}[./-]){0,2}(?:19|20)\\d{2}(?:[./-]\\d{1,2}){0,2}';
+const DATE_ONLY = new RegExp(`^${DATE_PART}(?:\\s*[-–/]\\s*${DATE_PART})?$`);
+const DATE_RANGE = new RegExp(`${DATE_PART}\\s*[-–]\\s*${DATE_PART}`);
+// Amounts with thousands separators: "1 500 000", "2.750.000"
+const GROUPED_NUMBER = /^[1-9]\d{0,2}([ .])\d{3}(?:\1\d{3})+$/;
+
+const LOCATION_LABEL = /^(?:location|address|based in|city|residence|lives in|adresse|dirección|direccion|ubicación|wohnort|endereço|morada|anwani|mahali)\s*[:\-–]\s*/i;
+
+// Contact details sit at the top (or in a contact section); only scan that far for names and locations
+const HEADER_LINES = 12;
+
+/**
+ * Extract contact information from resume text
+ * @param {string} text - Full resume text
+ * @param {Object} [sectionMap] - splitSections output, used to find a contact section
+ * @returns {Object} { name, email, phone (E.164), phoneRaw, location, city, country,
+ *   countryCode, linkedin, github, website }, keys only present when found
+ */
+export function extractContactInfo(text, sectionMap) {
+  const contact = {};
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const headerLines = [
+    ...lines.slice(0, HEADER_LINES),
+    ...(sectionMap?.sections.contact?.lines || [])
+  ];
+
+  const email = text.match(EMAIL_PATTERN);
+  if (email) {
+    contact.email = email[0];
+  }
+
+  const name = findName(lines.slice(0, HEADER_LINES), sectionMap?.language);
+  if (name) {
+    contact.name = name;
+  }
+
+  const location = findLocation(headerLines);
+  if (location) {
+    Object.assign(contact, location);
+  }
+
+  const phone = findPhone(text, contact.countryCode || DEFAULT_PHONE_REGION);
+  if (phone) {
+    contact.phone = phone.e164 || phone.raw;
+    contact.phoneRaw = phone.raw;
+  }
+
+  Object.assign(contact, findProfileUrls(text, headerLines));
+
+  return contact;
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} raw - Number as written
+ * @param {string} [region] - ISO region for national-format numbers
+ * @returns {string|null} "+254712345678", or null when it cannot be normalized
+ */
+export function toE164(raw, region = DEFAULT_PHONE_REGION) {
+  const cleaned = raw.replace(/\s*(?:ext|x|extension)\.?\s*\d+$/i, '').replace(/\(0\)/g, '');
+  let digits = cleaned.replace(/\D/g, '');
+  const international = /^\s*\+/.test(cleaned) || /^\s*00/.test(cleaned);
+
+  if (international) {
+    if (cleaned.trim().startsWith('00')) digits = digits.slice(2);
+    const code = CALLING_CODES.find(candidate => digits.startsWith(candidate));
+    const national = code ? digits.slice(code.length).replace(/^0/, '') : digits;
+    const e164 = code ? `+${code}${national}` : `+${digits}`;
+    return e164.length >= 9 && e164.length <= 16 ? e164 : null;
+  }
+
+  const home = PHONE_REGIONS[region] || PHONE_REGIONS[DEFAULT_PHONE_REGION];
+
+  // National format with trunk prefix: 0712 345 678, 020 7946 0958
+  if (digits.startsWith('0') && home.lengths.includes(digits.length - 1)) {
+    return `+${home.code}${digits.slice(1)}`;
+  }
+
+  // North American numbers are usually written without a country code
+  if (/^1?[2-9]\d{2}[2-9]\d{6}$/.test(digits) && (digits.length === 10 || digits.length === 11)) {
+    if (region === 'US' || region === 'CA' || /^\s*\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\s*$/.test(cleaned)) {
+      return `+1${digits.slice(-10)}`;
+    }
+  }
+
+  // Code without a plus: 254712345678
+  const code = CALLING_CODES.find(candidate => digits.startsWith(candidate));
+  if (code && code.length > 1) {
+    const regionForCode = Object.values(PHONE_REGIONS).find(entry => entry.code === code);
+    if (regionForCode.lengths.includes(digits.length - code.length)) {
+      return `+${digits}`;
+    }
+  }
+
+  if (home.lengths.includes(digits.length) && !digits.startsWith('0')) {
+    return `+${home.code}${digits}`;
+  }
+
+  return null;
+}
+
+/**
+ * Every stretch of text that reads as a phone number, in document order
+ * @param {string} text - Resume text
+ * @returns {Array<{raw: string, index: number, labelled: boolean}>} labelled
+ *   when a "Tel:" / "Phone:" style label comes right before the number
+ */
+export function findPhoneNumbers(text) {
+  const found = [];
+
+  for (const match of text.matchAll(PHONE_CANDIDATE)) {
+    const raw = match[0].trim().replace(/[\s(./-]+$/, '');
+    const digits = raw.replace(/\D/g, '');
+    const labelled = PHONE_LABEL.test(text.slice(Math.max(0, match.index - 20), match.index));
+
+    if (digits.length < 7 || digits.length > 15) continue;
+    if (!labelled && isNotPhoneNumber(raw, digits)) continue;
+
+    found.push({ raw, index: match.index, labelled });
+  }
+
+  return found;
+}
+
+/**
+ * Where a resume keeps its contact details: the lines above the first section
+ * header (at most HEADER_LINES of them) and the lines of a contact section
+ * @param {string} text - Resume text
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Array<{start: number, end: number}>} One character range per line, in order
+ */
+export function findContactBlocks(text, language) {
+  const blocks = [];
+  let offset = 0;
+  let headerLines = 0;
+  let section = null;
+
+  for (const line of text.split('\n')) {
+    const start = offset;
+    offset += line.length + 1;
+    if (!line.trim()) continue;
+
+    const header = matchSectionHeader(line, language);
+    if (header) {
+      section = header;
+      continue;
+    }
+
+    const inHeader = !section && headerLines++ < HEADER_LINES;
+    if (inHeader || section === 'contact') {
+      blocks.push({ start, end: start + line.length });
+    }
+  }
+
+  return blocks;
+}
+
+// Unlabelled digit runs that are something else: dates, amounts and ISBNs
+function isNotPhoneNumber(raw, digits) {
+  if (DATE_ONLY.test(raw) || DATE_RANGE.test(raw)) return true;
+  if (GROUPED_NUMBER.test(raw)) return true;
+  return /^97[89]\d{10}$/.test(digits) && /[-\s]/.test(raw);
+}
+
+/**
+ * Pick the most likely phone number: labelled, international or near the top wins
+ */
+function findPhone(text, region) {
+  const candidates = [];
+
+  for (const { raw, index, labelled } of findPhoneNumbers(text)) {
+    const e164 = toE164(raw, region);
+    let score = e164 ? 2 : 0;
+    if (/^(?:\+|00)/.test(raw)) score += 2;
+    if (labelled) score += 3;
+    if (index < 500) score += 1;
+
+    candidates.push({ raw, e164, score, index });
+  }
+
+  candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+  const best = candidates[0];
+  return best && (best.e164 || best.score >= 3) ? best : null;
+}
+
+/**
+ * First header line that reads like a person's name, in any script
+ */
+function findName(lines, language) {
+  for (const line of lines) {
+    const labelled = line.match(/^(?:name|full name|nom|nombre|jina|nome)\s*[:\-–]\s*(.+)$/i);
+    const candidate = (labelled ? labelled[1] : line).replace(/\s+/g, ' ').trim();
+
+    if (isLikelyName(candidate, language)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function isLikelyName(candidate, language) {
+  if (CASELESS_NAME.test(candidate)) return !RESUME_TITLES.test(candidate);
+  if (candidate.length < 3 || candidate.length > 60) return false;
+  if (matchSectionHeader(candidate, language) || TITLE_KEYWORDS.test(candidate)) return false;
+  if (/[\d@/\\|:;,]/.test(candidate)) return false;
+  if (candidate.split(' ').some(word => COUNTRIES[word.toLowerCase()] || CITIES[word.toLowerCase()])) return false;
+
+  const words = candidate.split(' ');
+  const nameWords = words.filter(word => !NAME_PARTICLES.has(word.toLowerCase()));
+  if (words.length > 5 || nameWords.length < 2 || nameWords.length > 4) return false;
+
+  // Letters (any script), combining marks, apostrophes, hyphens and initials ("J.")
+  return nameWords.every(word => /^\p{L}[\p{L}\p{M}'’\-]*\.?$/u.test(word) && /^\p{Lu}|^\p{Lo}/u.test(word));
+}
+
+/**
+ * City/country from a "Location:" label or a "City, Country" fragment
+ */
+function findLocation(lines) {
+  for (const line of lines) {
+    const labelled = line.match(LOCATION_LABEL);
+    const fragments = labelled
+      ? [line.slice(labelled[0].length)]
+      : line.split(/\s*[|•·\t]\s*|\s+[-–—]\s+/);
+
+    for (const fragment of fragments) {
+      const location = parseLocation(fragment.trim(), Boolean(labelled));
+      if (location) return location;
+    }
+  }
+  return null;
+}
+
+function parseLocation(fragment, labelled) {
+  if (!fragment || fragment.length > 80 || EMAIL_PATTERN.test(fragment) || /\d{5,}|https?:|www\./i.test(fragment)) {
+    return null;
+  }
+
+  const parts = fragment.split(/\s*,\s*/).filter(Boolean);
+  const last = parts[parts.length - 1];
+  let countryCode = COUNTRIES[last.toLowerCase()] || null;
+
+  // "Austin, TX"
+  if (!countryCode && parts.length > 1 && US_STATES.has(last)) {
+    countryCode = 'US';
+  }
+
+  const cityPart = countryCode ? parts.slice(0, -1).join(', ') : parts[0];
+  const cityCode = CITIES[cityPart.split(',')[0].trim().toLowerCase()];
+  countryCode = countryCode || cityCode || null;
+
+  if (!countryCode && !labelled) return null;
+
+  const city = cityPart && /^\p{L}[\p{L}\p{M}\s.'’-]*$/u.test(cityPart.split(',')[0].trim())
+    ? cityPart.split(',')[0].trim()
+    : null;
+
+  return {
+    location: fragment,
+    city,
+    country: countryCode ? COUNTRY_NAMES[countryCode] : (parts.length > 1 ? last : null),
+    countryCode
+  };
+}
+
+/**
+ * LinkedIn (any country subdomain), GitHub and a personal site
+ */
+function findProfileUrls(text, headerLines) {
+  const urls = {};
+
+  const linkedin = text.match(/(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/(?:in|pub)\/([\p{L}\p{N}_%-]+)/iu);
+  if (linkedin) {
+    urls.linkedin = `https://linkedin.com/in/${linkedin[1]}`;
+  }
+
+  const github = text.match(/(?:https?:\/\/)?(?:www\.)?github\.com\/(?!orgs\/|features|about|topics|sponsors)([A-Za-z0-9](?:[A-Za-z0-9-]{0,38}))/i);
+  if (github) {
+    urls.github = `https://github.com/${github[1]}`;
+  }
+
+  // Explicit URLs anywhere, or bare domains ("janedoe.dev") in the header
+  const explicit = [...text.matchAll(/\b(?:https?:\/\/|www\.)[^\s<>()|,]+/gi)].map(match => match[0]);
+  const bare = headerLines.flatMap(line =>
+    [...line.matchAll(/(?<![@\w.])(?:[a-z0-9-]+\.)+(?:dev|io|me|com|net|org|co|design|tech|app|site|page|xyz|ke|co\.ke)(?:\/[^\s<>()|,]*)?\b/gi)]
+      .map(match => match[0])
+  );
+
+  for (const candidate of [...explicit, ...bare]) {
+    const url = candidate.replace(/[.;:]+$/, '');
+    const host = url.replace(/^https?:\/\//i, '').split('/')[0].replace(/^www\./i, '');
+    if (!host.includes('.') || NON_PORTFOLIO_HOSTS.test(host)) continue;
+
+    urls.website = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    break;
+  }
+
+  return urls;
+}
@@ -0,0 +1,164 @@
+import { getLocale } from './locales.js';
+
+/**
+ * Date helpers for resume parsing - recognizes month/year tokens and ranges
+ * and normalizes them to ISO-style 'YYYY-MM' (or 'YYYY' when no month is given).
+ * Functions take an optional language code; month names, "present" words and
+ * range separators of that language (locales.js) are recognized alongside English.
+ */
+
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12
+};
+
+const PRESENT_WORDS = ['present', 'current', 'currently', 'now', 'today', 'date', 'ongoing'];
+
+const RANGE_SEPARATORS = ['to', 'until', 'till'];
+
+// Language code -> compiled patterns for English plus that language
+const VOCABULARIES = new Map();
+
+function getVocabulary(language) {
+  const locale = getLocale(language);
+  const key = locale ? language : 'en';
+
+  if (!VOCABULARIES.has(key)) {
+    const months = { ...MONTHS, ...(locale?.months || {}) };
+    const byLength = words => [...new Set(words)].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+
+    const monthNames = byLength(Object.keys(months));
+    const dateToken = `(?:(?:${monthNames})\\.?,?\\s*\\d{4}|(?:0?[1-9]|1[0-2])[\\/.-]\\d{4}|(?:19|20)\\d{2})`;
+    const presentToken = `(?:${byLength([...PRESENT_WORDS, ...(locale?.presentWords || [])])})`;
+    const separator = `\\s*(?:-|–|—|~|${byLength([...RANGE_SEPARATORS, ...(locale?.rangeSeparators || [])])})\\s*`;
+
+    VOCABULARIES.set(key, {
+      months,
+      monthYear: new RegExp(`^(${monthNames})\\.?,?\\s*(\\d{4})$`),
+      date: new RegExp(`\\b${dateToken}\\b`, 'i'),
+      present: new RegExp(`^${presentToken}$`, 'i'),
+      range: new RegExp(`\\b(${dateToken})${separator}(${dateToken}|${presentToken})\\b`, 'i')
+    });
+  }
+
+  return VOCABULARIES.get(key);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a single date token such as "Jan 2020", "03/2019" or "2018"
+ * @param {string} token - Date text
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Object|null} { year, month } where month may be null
+ */
+export function parseDateToken(token, language) {
+  const value = token.trim().toLowerCase();
+  const vocabulary = getVocabulary(language);
+
+  const monthYear = value.match(vocabulary.monthYear);
+  if (monthYear) {
+    return { year: Number(monthYear[2]), month: vocabulary.months[monthYear[1]] };
+  }
+
+  const numeric = value.match(/^(\d{1,2})[/.-](\d{4})$/);
+  if (numeric) {
+    return { year: Number(numeric[2]), month: Number(numeric[1]) };
+  }
+
+  const yearOnly = value.match(/^(\d{4})$/);
+  if (yearOnly) {
+    return { year: Number(yearOnly[1]), month: null };
+  }
+
+  return null;
+}
+
+/**
+ * Format a parsed date as 'YYYY-MM' or 'YYYY'
+ */
+export function formatDate(date) {
+  if (!date) return null;
+  return date.month ? `${date.year}-${String(date.month).padStart(2, '0')}` : String(date.year);
+}
+
+/**
+ * Find the first date range in a piece of text
+ * @param {string} text - Text that may contain a range like "Jan 2020 - Present"
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Object|null} { startDate, endDate, current, raw, index }
+ */
+export function findDateRange(text, language) {
+  const vocabulary = getVocabulary(language);
+  const match = text.match(vocabulary.range);
+  if (!match) return null;
+
+  const start = parseDateToken(match[1], language);
+  const current = vocabulary.present.test(match[2].trim());
+  const end = current ? null : parseDateToken(match[2], language);
+
+  if (!start || (!current && !end)) return null;
+
+  return {
+    startDate: formatDate(start),
+    endDate: current ? null : formatDate(end),
+    current,
+    raw: match[0],
+    index: match.index
+  };
+}
+
+/**
+ * Find the first standalone date in a piece of text ("Issued Mar 2021", "2019")
+ * @param {string} text - Text that may contain a date
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Object|null} { date, raw, index }
+ */
+export function findDate(text, language) {
+  const match = text.match(getVocabulary(language).date);
+  if (!match) return null;
+
+  const parsed = parseDateToken(match[0].replace(/,/g, ''), language);
+  return parsed ? { date: formatDate(parsed), raw: match[0], index: match.index } : null;
+}
+
+/**
+ * Convert 'YYYY-MM' or 'YYYY' to a month index for arithmetic
+ * @param {string} value - Normalized date
+ * @param {number} fallbackMonth - Month to assume when only the year is known
+ * @returns {number}
+ */
+export function toMonthIndex(value, fallbackMonth = 1) {
+  const [year, month] = value.split('-').map(Number);
+  return year * 12 + (month || fallbackMonth) - 1;
+}
+
+export function currentMonthIndex() {
+  const now = new Date();
+  return now.getFullYear() * 12 + now.getMonth();
+}
+
+/**
+ * Number of months covered by a range, counting both endpoints
+ * @param {string} startDate - 'YYYY-MM' or 'YYYY'
+ * @param {string|null} endDate - 'YYYY-MM', 'YYYY' or null for today
+ * @returns {number}
+ */
+export function monthsBetween(startDate, endDate) {
+  const start = toMonthIndex(startDate, 1);
+  const end = endDate ? toMonthIndex(endDate, 12) : currentMonthIndex();
+
+  return Math.max(0, end - start + 1);
+}
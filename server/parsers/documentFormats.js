@@ -0,0 +1,258 @@
+import WordExtractor from 'word-extractor';
+import JSZip from 'jszip';
+
+/**
+ * Text extractors for the non-PDF resume formats. Every extractor takes the
+ * uploaded buffer and returns plain text with one line per paragraph, the same
+ * shape mammoth produces for DOCX.
+ */
+
+// Extension -> accepted MIME types and the processing method reported in metadata.
+// routes/resume.js builds its upload filter from this table.
+export const SUPPORTED_FORMATS = {
+  '.pdf': { method: 'pdfjs', mimeTypes: ['application/pdf'] },
+  '.docx': { method: 'mammoth', mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  '.doc': { method: 'word-extractor', mimeTypes: ['application/msword'] },
+  '.rtf': { method: 'rtf', mimeTypes: ['application/rtf', 'text/rtf', 'application/x-rtf', 'text/richtext'] },
+  '.odt': { method: 'odt', mimeTypes: ['application/vnd.oasis.opendocument.text'] },
+  '.txt': { method: 'text', mimeTypes: ['text/plain'] },
+  '.md': { method: 'markdown', mimeTypes: ['text/markdown', 'text/x-markdown', 'text/plain'] },
+  '.html': { method: 'html', mimeTypes: ['text/html', 'application/xhtml+xml'] },
+  '.htm': { method: 'html', mimeTypes: ['text/html', 'application/xhtml+xml'] }
+};
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+  bull: '•', middot: '·', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©'
+};
+
+// Windows-1252 code points 0x80-0x9F that differ from Latin-1
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+  0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// RTF destinations whose content is not document text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'colorschememapping',
+  'latentstyles', 'datastore', 'xmlnstbl', 'listtable', 'listoverridetable', 'rsidtbl', 'generator',
+  'header', 'footer', 'headerl', 'headerr', 'footerl', 'footerr', 'fldinst', 'filetbl', 'revtbl'
+]);
+
+/**
+ * Legacy Word 97-2003 (.doc) documents
+ */
+export async function extractTextFromDoc(buffer) {
+  const extractor = new WordExtractor();
+  const document = await extractor.extract(buffer);
+  return normalizeWhitespace(document.getBody());
+}
+
+/**
+ * OpenDocument text (.odt) - a zip whose content.xml holds the text
+ */
+export async function extractTextFromOdt(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+
+  if (!content) {
+    throw new Error('Invalid ODT file: content.xml not found');
+  }
+
+  const xml = await content.async('string');
+  const body = xml
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(Number(count) || 1))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:list-item[^>]*>/g, '\n- ')
+    .replace(/<\/text:(?:p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeWhitespace(decodeEntities(body));
+}
+
+/**
+ * Rich Text Format (.rtf)
+ */
+export function extractTextFromRtf(buffer) {
+  const rtf = buffer.toString('latin1');
+
+  if (!rtf.startsWith('{\\rtf')) {
+    throw new Error('Invalid RTF file');
+  }
+
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let output = '';
+  let i = 0;
+
+  const emit = text => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    output += text;
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+    } else if (char === '}') {
+      state = stack.pop() || state;
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === "'") {
+        const code = parseInt(rtf.substr(i + 2, 2), 16);
+        emit(CP1252[code] || String.fromCharCode(code));
+        i += 4;
+      } else if (next === '*') {
+        // Optional destinations we do not understand
+        state.skip = true;
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '_') {
+        emit('-');
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i += 2;
+      } else {
+        const match = rtf.slice(i).match(/^\\([a-zA-Z]+)(-?\d+)? ?/);
+        if (!match) {
+          i += 2;
+          continue;
+        }
+
+        const [token, word, param] = match;
+        i += token.length;
+
+        if (RTF_SKIP_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'par' || word === 'line' || word === 'row' || word === 'sect' || word === 'page') {
+          emit('\n');
+        } else if (word === 'tab' || word === 'cell') {
+          emit('\t');
+        } else if (word === 'bullet') {
+          emit('•');
+        } else if (word === 'endash' || word === 'emdash') {
+          emit(word === 'endash' ? '–' : '—');
+        } else if (word === 'uc') {
+          state.unicodeSkip = Number(param) || 0;
+        } else if (word === 'u') {
+          let code = Number(param);
+          if (code < 0) code += 65536;
+          emit(String.fromCharCode(code));
+          // The ANSI fallback characters that follow \u are skipped
+          pendingSkip = state.unicodeSkip;
+        }
+      }
+    } else if (char === '\r' || char === '\n') {
+      i++;
+    } else {
+      emit(char);
+      i++;
+    }
+  }
+
+  return normalizeWhitespace(output);
+}
+
+/**
+ * HTML resumes (.html, .htm)
+ */
+export function extractTextFromHtml(buffer) {
+  const html = decodeText(buffer);
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|svg)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(?:td|th)>/gi, '\t')
+    .replace(/<\/?(?:p|div|h[1-6]|ul|ol|li|tr|table|section|article|header|footer|aside|main|nav|blockquote|pre|dt|dd|dl)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeWhitespace(decodeEntities(text));
+}
+
+/**
+ * Markdown resumes (.md) - keep the text, drop the markup
+ */
+export function extractTextFromMarkdown(buffer) {
+  const text = decodeText(buffer)
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*?)[ \t]*#*[ \t]*$/gm, '$1')
+    .replace(/^[ \t]{0,3}(?:[-*_][ \t]*){3,}$/gm, '')
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/^([ \t]*)[*+][ \t]+/gm, '$1- ')
+    .replace(/\*\*(.*?)\*\*/g, '$1')
+    .replace(/\*(\S.*?\S|\S)\*/g, '$1')
+    // Underscore emphasis only at word boundaries so jane_doe@mail.com survives
+    .replace(/(^|[^\p{L}\p{N}])__?(\S.*?\S|\S)__?(?=[^\p{L}\p{N}]|$)/gmu, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    // Tables: drop the separator row, turn cell borders into tabs
+    .replace(/^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*$/gm, '')
+    .replace(/^[ \t]*\|[ \t]*|[ \t]*\|[ \t]*$/gm, '')
+    .replace(/[ \t]*\|[ \t]*/g, '\t');
+
+  return normalizeWhitespace(text);
+}
+
+/**
+ * Plain text resumes (.txt)
+ */
+export function extractTextFromPlainText(buffer) {
+  return normalizeWhitespace(decodeText(buffer));
+}
+
+/**
+ * Decode text honoring byte-order marks, falling back to Windows-1252 when the
+ * bytes are not valid UTF-8
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch (error) {
+    return Array.from(buffer, byte => CP1252[byte] || String.fromCharCode(byte)).join('');
+  }
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] ?? match);
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \f\v]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,41 @@
+/**
+ * Typed errors for resume upload and parsing. Each code maps to the HTTP status
+ * the upload route responds with, so clients can branch on `code` instead of
+ * matching error messages.
+ */
+export const RESUME_ERROR_CODES = {
+  UNSUPPORTED_FORMAT: { status: 415, message: 'Unsupported file format' },
+  FILE_TOO_LARGE: { status: 413, message: 'File is too large' },
+  TOO_MANY_PAGES: { status: 413, message: 'Document has too many pages' },
+  DECOMPRESSED_SIZE_EXCEEDED: { status: 413, message: 'Document expands beyond the allowed size' },
+  CORRUPT_FILE: { status: 422, message: 'File is damaged or could not be read' },
+  ENCRYPTED_FILE: { status: 422, message: 'Password-protected documents are not supported' },
+  NO_TEXT_EXTRACTED: { status: 422, message: 'No text could be extracted from the document' },
+  PARSE_TIMEOUT: { status: 422, message: 'Document took too long to process' },
+  PARSE_FAILED: { status: 500, message: 'Failed to parse resume' },
+  SAVE_FAILED: { status: 500, message: 'Failed to save resume data' }
+};
+
+export class ResumeParseError extends Error {
+  /**
+   * @param {string} code - Key of RESUME_ERROR_CODES
+   * @param {string} [message] - Human readable detail, defaults to the code's message
+   * @param {Object} [details] - Extra context returned to the client (limits, detected type, ...)
+   */
+  constructor(code, message, details = {}) {
+    const definition = RESUME_ERROR_CODES[code] || RESUME_ERROR_CODES.PARSE_FAILED;
+    super(message || definition.message);
+    this.name = 'ResumeParseError';
+    this.code = RESUME_ERROR_CODES[code] ? code : 'PARSE_FAILED';
+    this.status = definition.status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      details: this.details
+    };
+  }
+}
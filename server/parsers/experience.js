@@ -0,0 +1,212 @@
+import { findDateRange, monthsBetween, toMonthIndex, currentMonthIndex } from './dates.js';
+import { getLocale } from './locales.js';
+
+/**
+ * Structured work-experience extraction.
+ *
+ * Each position is anchored on its date range; the short lines around it carry
+ * the title, employer and location and the bullet lines that follow it are the
+ * description.
+ */
+
+const BULLET_PATTERN = /^(?:[-•·*▪◦●■►–—]|\d+[.)])\s*/;
+
+export const TITLE_KEYWORDS = /\b(?:engineer|developer|programmer|manager|analyst|intern|designer|consultant|lead|director|officer|specialist|architect|administrator|coordinator|assistant|scientist|technician|teacher|lecturer|tutor|accountant|head|executive|associate|president|founder|co-founder|cto|ceo|cfo|vp|supervisor|representative|agent|clerk|nurse|researcher|trainee|volunteer|attendant|strategist|writer|editor|marketer|advisor|auditor|instructor|owner|partner|fellow)\b/i;
+
+const COMPANY_SUFFIXES = /\b(?:inc|ltd|llc|plc|corp|corporation|company|limited|group|gmbh|ag|sa|sarl|sas|srl|ltda|bank|university|college|agency|foundation|technologies|solutions|labs|studio|ministry|council|hospital|school|institute)\b\.?/i;
+
+const LOCATION_WORDS = /^(?:remote|hybrid|on-?site|worldwide|télétravail|remoto|homeoffice|home office)$/i;
+
+// Language code -> title pattern for that language's job titles
+const TITLE_PATTERNS = new Map();
+
+/**
+ * Extract positions from the lines of an experience section
+ * @param {string[]} lines - Lines belonging to the experience section
+ * @param {string} [language] - Document language (ISO 639-1)
+ * @returns {Array} positions with title, company, location, startDate, endDate, current, bullets
+ */
+export function extractPositions(lines, language) {
+  const entries = [];
+  let current = null;
+
+  const startEntry = () => {
+    current = { headerLines: [], bullets: [], range: null };
+    entries.push(current);
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const range = findDateRange(line, language);
+
+    if (BULLET_PATTERN.test(line) && !range) {
+      if (!current) startEntry();
+      current.bullets.push(line.replace(BULLET_PATTERN, '').trim());
+
+    } else if (range) {
+      if (!current || current.range || current.bullets.length > 0) startEntry();
+      current.range = range;
+
+      const rest = stripSeparators(line.slice(0, range.index) + ' ' + line.slice(range.index + range.raw.length));
+      if (rest) current.headerLines.push(rest);
+
+    } else if (isDescriptionLine(line, current)) {
+      current.bullets.push(line);
+
+    } else {
+      const entryIsComplete = current && (current.bullets.length > 0 || (current.range && current.headerLines.length >= 2));
+      if (!current || entryIsComplete) startEntry();
+      current.headerLines.push(line);
+    }
+  }
+
+  return entries
+    .filter(entry => entry.range || entry.headerLines.length > 0)
+    .filter(entry => entry.range || entry.bullets.length > 0)
+    .map(entry => buildPosition(entry, language));
+}
+
+/**
+ * Total years of experience with overlapping positions counted once
+ * @param {Array} positions - Output of extractPositions
+ * @returns {number} Years rounded to one decimal
+ */
+export function calculateTotalYears(positions) {
+  const nowIndex = currentMonthIndex();
+
+  const intervals = positions
+    .filter(position => position.startDate)
+    .map(position => [
+      toMonthIndex(position.startDate, 1),
+      position.current || !position.endDate ? nowIndex : toMonthIndex(position.endDate, 12)
+    ])
+    .filter(([start, end]) => end >= start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let months = 0;
+  let merged = null;
+
+  for (const [start, end] of intervals) {
+    if (merged && start <= merged[1] + 1) {
+      merged[1] = Math.max(merged[1], end);
+    } else {
+      if (merged) months += merged[1] - merged[0] + 1;
+      merged = [start, end];
+    }
+  }
+  if (merged) months += merged[1] - merged[0] + 1;
+
+  return Math.round((months / 12) * 10) / 10;
+}
+
+/**
+ * Long sentences under an already-identified position are description text
+ * even without a bullet marker (common in DOCX output)
+ */
+function isDescriptionLine(line, current) {
+  if (!current || current.headerLines.length === 0) return false;
+  return line.length > 80
+    || (/[.;]$/.test(line) && line.split(/\s+/).length >= 6)
+    || /^\p{Ll}/u.test(line);
+}
+
+function stripSeparators(text) {
+  return text
+    .replace(/\s*(?:\||·|•|\t)\s*/g, ' | ')
+    .replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '')
+    .replace(/\(\s*\)/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a header segment reads like a job title, in English or the document language
+ */
+function isTitle(text, language) {
+  if (TITLE_KEYWORDS.test(text)) return true;
+
+  const locale = getLocale(language);
+  if (!locale?.titles) return false;
+
+  if (!TITLE_PATTERNS.has(language)) {
+    // No leading boundary: German titles are compounds ("Softwareentwickler")
+    const prefix = language === 'de' ? '' : '(?<!\\p{L})';
+    TITLE_PATTERNS.set(language, new RegExp(`${prefix}(?:${locale.titles.join('|')})(?!\\p{L})`, 'iu'));
+  }
+  return TITLE_PATTERNS.get(language).test(text);
+}
+
+/**
+ * Split header lines into title, company and location parts
+ */
+function buildPosition(entry, language) {
+  const parts = [];
+
+  for (const line of entry.headerLines) {
+    // "Software Engineer at Acme" / "Software Engineer @ Acme" / "Ingénieur chez Orange"
+    const atMatch = line.match(/^(.+?)\s+(?:at|@|chez|en|bei|na|katika)\s+(.+)$/i);
+    if (atMatch && isTitle(atMatch[1], language)) {
+      parts.push({ text: atMatch[1].trim(), hint: 'title' });
+      parts.push(...splitCompanyLocation(atMatch[2]));
+      continue;
+    }
+
+    const segments = line.split(/\s+\|\s+|\s+[–—-]\s+|\t/).map(part => part.trim()).filter(Boolean);
+    for (const segment of segments) {
+      if (isTitle(segment, language) && !COMPANY_SUFFIXES.test(segment)) {
+        parts.push({ text: segment, hint: 'title' });
+      } else {
+        parts.push(...splitCompanyLocation(segment));
+      }
+    }
+  }
+
+  const title = parts.find(part => part.hint === 'title')?.text || null;
+  const location = parts.find(part => part.hint === 'location')?.text || null;
+  const company = parts.find(part => part.hint === 'company' && part.text !== title)?.text
+    || parts.find(part => !part.hint && part.text !== title)?.text
+    || null;
+
+  const range = entry.range;
+
+  return {
+    title,
+    company,
+    location,
+    startDate: range?.startDate || null,
+    endDate: range?.endDate || null,
+    current: range?.current || false,
+    durationMonths: range ? monthsBetween(range.startDate, range.endDate) : null,
+    dateText: range?.raw || null,
+    bullets: entry.bullets
+  };
+}
+
+/**
+ * "Safaricom PLC, Nairobi" -> company + location
+ */
+function splitCompanyLocation(text) {
+  const value = text.replace(/[()]/g, '').trim();
+
+  if (LOCATION_WORDS.test(value)) {
+    return [{ text: value, hint: 'location' }];
+  }
+
+  const commaIndex = value.indexOf(',');
+  if (commaIndex > 0) {
+    const head = value.slice(0, commaIndex).trim();
+    const tail = value.slice(commaIndex + 1).trim();
+    const tailLooksLikePlace = tail.split(/\s+/).length <= 4 && /^\p{Lu}/u.test(tail) && !COMPANY_SUFFIXES.test(tail);
+
+    if (tailLooksLikePlace) {
+      return [
+        { text: head, hint: COMPANY_SUFFIXES.test(head) ? 'company' : null },
+        { text: tail, hint: 'location' }
+      ];
+    }
+  }
+
+  return [{ text: value, hint: COMPANY_SUFFIXES.test(value) ? 'company' : null }];
+}
@@ -0,0 +1,243 @@
+import zlib from 'zlib';
+import { ResumeParseError } from './errors.js';
+
+/**
+ * Content sniffing for uploaded resumes. The file extension and the client's
+ * MIME type are only hints; the parser is chosen from the magic bytes.
+ */
+
+// Zip-based formats (DOCX, ODT) are checked against these before they are parsed
+export const MAX_DECOMPRESSED_BYTES = Number(process.env.RESUME_MAX_DECOMPRESSED_BYTES) || 50 * 1024 * 1024;
+export const MAX_COMPRESSION_RATIO = Number(process.env.RESUME_MAX_COMPRESSION_RATIO) || 100;
+const MAX_ZIP_ENTRIES = 2000;
+
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+// Extensions that are all "some kind of text" once sniffed
+const TEXT_FAMILY = ['.txt', '.md', '.html', '.htm'];
+
+/**
+ * Identify a document from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Extension of the detected format ('.pdf', '.docx', ...) or null
+ */
+export function detectFileType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+
+  // PDF headers may be preceded by junk bytes; readers accept them within the first 1KB
+  if (buffer.subarray(0, 1024).includes('%PDF-')) {
+    return '.pdf';
+  }
+
+  if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) {
+    return '.doc';
+  }
+
+  if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') {
+    return '.rtf';
+  }
+
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    const entries = readZipEntries(buffer);
+    const names = new Set(entries.map(entry => entry.name));
+
+    if (names.has('[Content_Types].xml') && entries.some(entry => entry.name.startsWith('word/'))) {
+      return '.docx';
+    }
+    // ODT stores its mimetype uncompressed as the first entry
+    if (names.has('mimetype') && buffer.subarray(30, 200).toString('latin1').includes(ODT_MIMETYPE)) {
+      return '.odt';
+    }
+    return null;
+  }
+
+  if (looksLikeText(buffer)) {
+    const head = buffer.subarray(0, 2048).toString('utf8').toLowerCase();
+    return /<!doctype html|<html[\s>]|<body[\s>]/.test(head) ? '.html' : '.txt';
+  }
+
+  return null;
+}
+
+/**
+ * Pick the format to parse a file as, checking it against the declared extension
+ * @param {Buffer} buffer - File contents
+ * @param {string} declaredExt - Extension from the uploaded filename
+ * @param {string[]} supportedExts - Extensions the parser handles
+ * @returns {string} Extension to parse the file as
+ * @throws {ResumeParseError} UNSUPPORTED_FORMAT when the content is not a supported document
+ */
+export function resolveFileType(buffer, declaredExt, supportedExts) {
+  const detected = detectFileType(buffer);
+
+  if (!detected || !supportedExts.includes(detected)) {
+    throw new ResumeParseError('UNSUPPORTED_FORMAT', 'File content does not match any supported resume format', {
+      declaredFormat: declaredExt || null,
+      detectedFormat: detected
+    });
+  }
+
+  // .md and .htm sniff as plain text/html; keep the more specific declared type
+  if (TEXT_FAMILY.includes(detected) && TEXT_FAMILY.includes(declaredExt)) {
+    return detected === '.html' && declaredExt !== '.htm' ? '.html' : declaredExt;
+  }
+
+  if (detected !== declaredExt) {
+    console.warn(`File declared as ${declaredExt || 'unknown'} but content is ${detected}; parsing as ${detected}`);
+  }
+
+  return detected;
+}
+
+/**
+ * Reject zip bombs before the document parser inflates anything. The sizes in
+ * the central directory are checked first, then every entry is inflated and
+ * counted, stopping as soon as the real total passes the limit: an archive
+ * can declare sizes far below what its entries expand to.
+ * @param {Buffer} buffer - DOCX/ODT contents
+ * @throws {ResumeParseError} DECOMPRESSED_SIZE_EXCEEDED or CORRUPT_FILE
+ */
+export async function assertSafeZip(buffer) {
+  const entries = readZipEntries(buffer);
+
+  if (entries.length === 0) {
+    throw new ResumeParseError('CORRUPT_FILE', 'Document archive is empty or damaged');
+  }
+
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new ResumeParseError('DECOMPRESSED_SIZE_EXCEEDED', 'Document archive has too many entries', {
+      entries: entries.length,
+      limit: MAX_ZIP_ENTRIES
+    });
+  }
+
+  const limit = Math.min(MAX_DECOMPRESSED_BYTES, MAX_COMPRESSION_RATIO * Math.max(1, buffer.length));
+  const tooLarge = decompressedBytes => new ResumeParseError('DECOMPRESSED_SIZE_EXCEEDED', undefined, {
+    decompressedBytes,
+    limitBytes: MAX_DECOMPRESSED_BYTES,
+    compressionRatio: Math.round(decompressedBytes / Math.max(1, buffer.length)),
+    limitRatio: MAX_COMPRESSION_RATIO
+  });
+
+  const declaredSize = entries.reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+  if (entries.some(entry => entry.zip64) || declaredSize > limit) {
+    throw tooLarge(declaredSize);
+  }
+
+  let totalSize = 0;
+  for (const entry of entries) {
+    totalSize += await inflatedSize(buffer, entry, limit - totalSize);
+    if (totalSize > limit) {
+      throw tooLarge(totalSize);
+    }
+  }
+}
+
+/**
+ * Minimal zip central directory reader (names, sizes and where the data is)
+ */
+function readZipEntries(buffer) {
+  // End of central directory record: at least 22 bytes from the end, plus an optional comment
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return [];
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount && offset + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+
+    entries.push({
+      name: buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8'),
+      method,
+      headerOffset,
+      compressedSize,
+      uncompressedSize,
+      zip64: compressedSize === 0xffffffff || uncompressedSize === 0xffffffff
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Bytes an entry really expands to, inflating it as a stream that is stopped
+ * once it passes the budget (the result is then just over the budget)
+ * @param {Buffer} buffer - Whole archive
+ * @param {Object} entry - From readZipEntries
+ * @param {number} budget - Bytes still allowed
+ * @returns {Promise<number>}
+ */
+function inflatedSize(buffer, entry, budget) {
+  const header = entry.headerOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== 0x04034b50) {
+    throw new ResumeParseError('CORRUPT_FILE', 'Document archive is empty or damaged');
+  }
+
+  const dataStart = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === ZIP_STORED) return Promise.resolve(data.length);
+  if (entry.method !== ZIP_DEFLATED) {
+    throw new ResumeParseError('CORRUPT_FILE', `Unsupported compression in ${entry.name}`);
+  }
+
+  return new Promise((resolve, reject) => {
+    const inflate = zlib.createInflateRaw();
+    let size = 0;
+
+    inflate.on('data', chunk => {
+      size += chunk.length;
+      if (size > budget) {
+        inflate.destroy();
+        resolve(size);
+      }
+    });
+    inflate.on('end', () => resolve(size));
+    inflate.on('error', error => {
+      reject(new ResumeParseError('CORRUPT_FILE', `Could not inflate ${entry.name}: ${error.message}`));
+    });
+    inflate.end(data);
+  });
+}
+
+/**
+ * Heuristic: no NUL bytes and few control characters in the first 8KB
+ * (UTF-16 files with a BOM are text too)
+ */
+function looksLikeText(buffer) {
+  if ((buffer[0] === 0xff && buffer[1] === 0xfe) || (buffer[0] === 0xfe && buffer[1] === 0xff)) {
+    return true;
+  }
+
+  const sample = buffer.subarray(0, 8192);
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20)) control++;
+  }
+  return control / sample.length < 0.05;
+}
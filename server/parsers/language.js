@@ -0,0 +1,70 @@
+import { LOCALES } from './locales.js';
+
+/**
+ * Document language detection from function-word frequency. Resumes are short
+ * and full of names, tech terms and English loanwords, so only common words
+ * are counted, and the language with the clear majority of them wins. A word
+ * shared by several languages ("la", "para") counts for each of them.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'for', 'with', 'on', 'at', 'my', 'as', 'by', 'from', 'was', 'is', 'have', 'using', 'responsible', 'developed', 'experience', 'skills', 'education', 'university'],
+  fr: ['le', 'les', 'des', 'du', 'et', 'pour', 'avec', 'dans', 'sur', 'une', 'au', 'aux', 'est', 'mise', 'été', 'expérience', 'compétences', 'formation', 'développement', 'gestion', 'université', 'langues'],
+  es: ['el', 'la', 'los', 'las', 'del', 'en', 'y', 'con', 'para', 'una', 'al', 'experiencia', 'habilidades', 'desarrollo', 'gestión', 'universidad', 'equipo', 'empresa'],
+  de: ['der', 'die', 'das', 'und', 'mit', 'für', 'von', 'im', 'bei', 'ein', 'eine', 'zu', 'auf', 'als', 'den', 'berufserfahrung', 'kenntnisse', 'entwicklung', 'sprachen', 'ausbildung'],
+  pt: ['os', 'do', 'da', 'dos', 'das', 'na', 'no', 'em', 'com', 'para', 'um', 'uma', 'ao', 'não', 'experiência', 'competências', 'desenvolvimento', 'gestão', 'universidade', 'equipe', 'equipa'],
+  sw: ['na', 'ya', 'wa', 'za', 'kwa', 'katika', 'ni', 'cha', 'kama', 'pia', 'kazi', 'ujuzi', 'elimu', 'uzoefu', 'mimi', 'wangu', 'hadi', 'kutoka', 'sasa', 'chuo', 'kikuu', 'lugha']
+};
+
+// Characters that only occur in one of the supported languages
+const CHARACTER_HINTS = {
+  fr: /[èêëîœù]/g,
+  es: /[ñ¿¡]/g,
+  de: /[äöüß]/g,
+  pt: /[ãõ]/g
+};
+
+// Below this many stopword hits the text is too short or too technical to judge
+const MIN_HITS = 2;
+// Share of all hits the winning language needs
+const MIN_SHARE = 0.5;
+
+// Word -> languages it is a stopword in
+const STOPWORD_LOOKUP = new Map();
+for (const [language, words] of Object.entries(STOPWORDS)) {
+  words.forEach(word => STOPWORD_LOOKUP.set(word, [...(STOPWORD_LOOKUP.get(word) || []), language]));
+}
+
+/**
+ * Detect the language a resume is written in
+ * @param {string} text - Extracted resume text
+ * @returns {{code: string, name: string, confidence: number}} code is an ISO 639-1
+ *   code; English (with confidence 0) when nothing stands out
+ */
+export function detectLanguage(text) {
+  const hits = Object.fromEntries(Object.keys(STOPWORDS).map(language => [language, 0]));
+  const lower = (text || '').toLowerCase();
+
+  for (const word of lower.match(/\p{L}+/gu) || []) {
+    (STOPWORD_LOOKUP.get(word) || []).forEach(language => { hits[language] += 1; });
+  }
+  for (const [language, pattern] of Object.entries(CHARACTER_HINTS)) {
+    hits[language] += (lower.match(pattern) || []).length * 0.5;
+  }
+
+  const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  const [best, bestHits] = ranked[0];
+  const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+
+  if (bestHits < MIN_HITS || bestHits === ranked[1][1] || bestHits / total < MIN_SHARE) {
+    return { code: DEFAULT_LANGUAGE, name: 'English', confidence: 0 };
+  }
+
+  return {
+    code: best,
+    name: LOCALES[best]?.name || 'English',
+    confidence: Math.round((bestHits / total) * 100) / 100
+  };
+}
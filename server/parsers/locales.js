@@ -0,0 +1,168 @@
+/**
+ * Non-English resume vocabulary: section headers, month names, "present"
+ * words, date-range separators, degrees, institutions and job titles for each
+ * supported language. English lives with its consumers (SECTION_HEADERS in
+ * sections.js, MONTHS in dates.js, ...); the parsers merge it with the
+ * detected language's entry here, since resumes in any language routinely mix
+ * in English headers and tech vocabulary.
+ */
+
+export const LOCALES = {
+  fr: {
+    name: 'French',
+    sectionHeaders: {
+      summary: ['résumé', 'profil', 'profil professionnel', 'à propos', 'à propos de moi', 'objectif', 'objectif professionnel', 'synthèse'],
+      experience: ['expérience', 'expériences', 'expérience professionnelle', 'expériences professionnelles', 'parcours professionnel', 'emplois', 'stages'],
+      education: ['formation', 'formations', 'éducation', 'études', 'diplômes', 'formation académique', 'cursus', 'parcours académique'],
+      skills: ['compétences', 'compétences techniques', 'compétences clés', 'savoir-faire', 'outils', 'technologies'],
+      projects: ['projets', 'projets personnels', 'projets académiques'],
+      certifications: ['certifications', 'certificats', 'attestations'],
+      awards: ['prix', 'distinctions', 'récompenses', 'prix et distinctions', 'réalisations'],
+      languages: ['langues', 'compétences linguistiques'],
+      publications: ['publications', 'recherche'],
+      contact: ['coordonnées', 'informations personnelles', 'contact'],
+      references: ['références'],
+      interests: ["centres d'intérêt", 'centres d’intérêt', 'loisirs', 'intérêts']
+    },
+    months: {
+      janvier: 1, janv: 1, février: 2, fevrier: 2, févr: 2, fevr: 2, fév: 2, mars: 3, avril: 4, avr: 4,
+      mai: 5, juin: 6, juillet: 7, juil: 7, août: 8, aout: 8, septembre: 9, sept: 9, octobre: 10, oct: 10,
+      novembre: 11, nov: 11, décembre: 12, decembre: 12, déc: 12
+    },
+    presentWords: ['présent', "aujourd'hui", 'aujourd’hui', 'à ce jour', 'actuel', 'actuellement', 'en cours', 'maintenant'],
+    rangeSeparators: ["jusqu'à", 'jusqu’à', 'à', 'au'],
+    degrees: ['Licence', 'Master', 'Mastère', 'Maîtrise', 'Doctorat', 'Baccalauréat', 'BTS', 'DUT', "Diplôme d'ingénieur", 'Diplôme'],
+    institutions: ['Université', 'École', 'Ecole', 'Institut', 'Lycée', 'IUT'],
+    titles: ['ingénieur', 'ingénieure', 'développeur', 'développeuse', 'chef de projet', 'responsable', 'stagiaire', 'directeur', 'directrice', 'chargé', 'chargée', 'consultante', 'gestionnaire', 'technicien', 'technicienne', 'enseignant', 'enseignante', 'comptable', 'chercheur', 'chercheuse', 'concepteur', 'conceptrice']
+  },
+  es: {
+    name: 'Spanish',
+    sectionHeaders: {
+      summary: ['resumen', 'perfil', 'perfil profesional', 'sobre mí', 'acerca de mí', 'objetivo', 'objetivo profesional', 'extracto'],
+      experience: ['experiencia', 'experiencia laboral', 'experiencia profesional', 'historial laboral', 'trayectoria profesional', 'prácticas'],
+      education: ['educación', 'formación', 'formación académica', 'estudios', 'titulaciones'],
+      skills: ['habilidades', 'competencias', 'aptitudes', 'conocimientos', 'habilidades técnicas', 'conocimientos técnicos', 'herramientas'],
+      projects: ['proyectos', 'proyectos personales'],
+      certifications: ['certificaciones', 'certificados', 'cursos', 'cursos y certificaciones'],
+      awards: ['premios', 'logros', 'reconocimientos', 'distinciones'],
+      languages: ['idiomas', 'lenguas'],
+      publications: ['publicaciones', 'investigación'],
+      contact: ['contacto', 'datos de contacto', 'datos personales', 'información personal'],
+      references: ['referencias'],
+      interests: ['intereses', 'aficiones', 'pasatiempos']
+    },
+    months: {
+      enero: 1, ene: 1, febrero: 2, feb: 2, marzo: 3, mar: 3, abril: 4, abr: 4, mayo: 5, may: 5,
+      junio: 6, jun: 6, julio: 7, jul: 7, agosto: 8, ago: 8, septiembre: 9, setiembre: 9, sept: 9, sep: 9,
+      octubre: 10, oct: 10, noviembre: 11, nov: 11, diciembre: 12, dic: 12
+    },
+    presentWords: ['presente', 'la actualidad', 'actualidad', 'actualmente', 'actual', 'hoy', 'la fecha'],
+    rangeSeparators: ['hasta', 'al', 'a'],
+    degrees: ['Grado', 'Licenciatura', 'Máster', 'Maestría', 'Doctorado', 'Ingeniería', 'Diplomado', 'Técnico Superior', 'Bachillerato', 'Título'],
+    institutions: ['Universidad', 'Instituto', 'Escuela', 'Colegio', 'Facultad'],
+    titles: ['ingeniero', 'ingeniera', 'desarrollador', 'desarrolladora', 'programador', 'programadora', 'jefe', 'jefa', 'gerente', 'analista', 'becario', 'becaria', 'practicante', 'técnico', 'técnica', 'responsable', 'consultora', 'diseñador', 'diseñadora', 'profesor', 'profesora', 'contador', 'contadora', 'coordinadora', 'asistente', 'investigador', 'investigadora']
+  },
+  de: {
+    name: 'German',
+    sectionHeaders: {
+      summary: ['zusammenfassung', 'profil', 'kurzprofil', 'über mich', 'berufsziel'],
+      experience: ['berufserfahrung', 'erfahrung', 'berufliche erfahrung', 'beruflicher werdegang', 'werdegang', 'praktika'],
+      education: ['ausbildung', 'bildung', 'bildungsweg', 'studium', 'schulbildung', 'akademischer werdegang'],
+      skills: ['kenntnisse', 'fähigkeiten', 'kompetenzen', 'fachkenntnisse', 'it-kenntnisse', 'edv-kenntnisse', 'technische kenntnisse', 'fertigkeiten'],
+      projects: ['projekte', 'projekterfahrung'],
+      certifications: ['zertifikate', 'zertifizierungen', 'weiterbildung', 'weiterbildungen', 'fortbildungen'],
+      awards: ['auszeichnungen', 'preise', 'erfolge'],
+      languages: ['sprachen', 'sprachkenntnisse', 'fremdsprachen'],
+      publications: ['veröffentlichungen', 'publikationen'],
+      contact: ['kontakt', 'kontaktdaten', 'persönliche daten', 'persönliche angaben'],
+      references: ['referenzen'],
+      interests: ['interessen', 'hobbys', 'hobbies']
+    },
+    months: {
+      januar: 1, jänner: 1, jan: 1, februar: 2, feb: 2, märz: 3, maerz: 3, mär: 3, mrz: 3, april: 4, apr: 4,
+      mai: 5, juni: 6, jun: 6, juli: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9,
+      oktober: 10, okt: 10, november: 11, nov: 11, dezember: 12, dez: 12
+    },
+    presentWords: ['heute', 'aktuell', 'derzeit', 'jetzt', 'laufend', 'dato'],
+    rangeSeparators: ['bis'],
+    degrees: ['Bachelor', 'Master', 'Diplom', 'Magister', 'Staatsexamen', 'Promotion', 'Abitur'],
+    institutions: ['Universität', 'Hochschule', 'Fachhochschule', 'Akademie', 'Gymnasium', 'Berufsschule'],
+    // German titles are compounds ("Softwareentwickler"), so these also match word endings
+    titles: ['entwickler', 'entwicklerin', 'ingenieur', 'ingenieurin', 'berater', 'beraterin', 'leiter', 'leiterin', 'referent', 'referentin', 'sachbearbeiter', 'sachbearbeiterin', 'praktikant', 'praktikantin', 'werkstudent', 'werkstudentin', 'architekt', 'architektin', 'techniker', 'technikerin', 'geschäftsführer', 'geschäftsführerin', 'lehrer', 'lehrerin', 'mitarbeiter', 'mitarbeiterin']
+  },
+  pt: {
+    name: 'Portuguese',
+    sectionHeaders: {
+      summary: ['resumo', 'perfil', 'perfil profissional', 'sobre mim', 'objetivo', 'objetivo profissional'],
+      experience: ['experiência', 'experiências', 'experiência profissional', 'histórico profissional', 'estágios'],
+      education: ['educação', 'formação', 'formação acadêmica', 'formação académica', 'escolaridade'],
+      skills: ['competências', 'habilidades', 'conhecimentos', 'competências técnicas', 'ferramentas'],
+      projects: ['projetos', 'projectos'],
+      certifications: ['certificações', 'certificados', 'cursos'],
+      awards: ['prêmios', 'prémios', 'conquistas', 'distinções'],
+      languages: ['idiomas', 'línguas'],
+      publications: ['publicações', 'pesquisa'],
+      contact: ['contato', 'contacto', 'dados pessoais', 'informações pessoais'],
+      references: ['referências'],
+      interests: ['interesses', 'hobbies']
+    },
+    months: {
+      janeiro: 1, jan: 1, fevereiro: 2, fev: 2, março: 3, marco: 3, mar: 3, abril: 4, abr: 4, maio: 5, mai: 5,
+      junho: 6, jun: 6, julho: 7, jul: 7, agosto: 8, ago: 8, setembro: 9, set: 9, outubro: 10, out: 10,
+      novembro: 11, nov: 11, dezembro: 12, dez: 12
+    },
+    presentWords: ['presente', 'atualmente', 'atual', 'actual', 'hoje', 'o momento'],
+    rangeSeparators: ['até', 'ate', 'a'],
+    degrees: ['Licenciatura', 'Bacharelado', 'Mestrado', 'Doutorado', 'Doutoramento', 'Pós-graduação', 'Técnico'],
+    institutions: ['Universidade', 'Faculdade', 'Instituto', 'Escola', 'Colégio'],
+    titles: ['engenheiro', 'engenheira', 'desenvolvedor', 'desenvolvedora', 'programador', 'programadora', 'gerente', 'analista', 'estagiário', 'estagiária', 'técnico', 'técnica', 'coordenador', 'coordenadora', 'consultora', 'assistente', 'professor', 'professora', 'contador', 'contadora', 'pesquisador', 'pesquisadora']
+  },
+  sw: {
+    name: 'Swahili',
+    sectionHeaders: {
+      summary: ['muhtasari', 'wasifu', 'kuhusu mimi', 'lengo', 'malengo'],
+      experience: ['uzoefu', 'uzoefu wa kazi', 'historia ya kazi', 'ajira'],
+      education: ['elimu', 'elimu na mafunzo', 'masomo', 'sifa za kitaaluma'],
+      skills: ['ujuzi', 'stadi', 'ujuzi wa kiufundi', 'umahiri'],
+      projects: ['miradi'],
+      certifications: ['vyeti', 'vyeti na mafunzo', 'mafunzo'],
+      awards: ['tuzo', 'mafanikio'],
+      languages: ['lugha'],
+      publications: ['machapisho', 'utafiti'],
+      contact: ['mawasiliano', 'taarifa binafsi'],
+      references: ['wadhamini', 'marejeo'],
+      interests: ['mambo ninayopenda', 'mapendeleo']
+    },
+    months: {
+      januari: 1, jan: 1, februari: 2, feb: 2, machi: 3, mac: 3, aprili: 4, apr: 4, mei: 5, juni: 6, jun: 6,
+      julai: 7, jul: 7, agosti: 8, ago: 8, septemba: 9, sep: 9, oktoba: 10, okt: 10, novemba: 11, nov: 11,
+      desemba: 12, des: 12
+    },
+    presentWords: ['hadi sasa', 'mpaka sasa', 'sasa', 'leo'],
+    rangeSeparators: ['hadi', 'mpaka'],
+    degrees: ['Shahada ya Uzamivu', 'Shahada ya Uzamili', 'Shahada ya Kwanza', 'Shahada', 'Stashahada', 'Astashahada', 'Cheti'],
+    institutions: ['Chuo Kikuu', 'Chuo', 'Taasisi', 'Shule'],
+    titles: ['mhandisi', 'msanidi', 'meneja', 'mkurugenzi', 'mchambuzi', 'mwalimu', 'mhasibu', 'msaidizi', 'afisa', 'mratibu', 'mtafiti', 'mshauri', 'fundi', 'mwanafunzi wa mafunzo']
+  }
+};
+
+// Spoken-language names as written in the supported languages -> English name
+export const LANGUAGE_NAME_ALIASES = {
+  anglais: 'English', français: 'French', francais: 'French', espagnol: 'Spanish', allemand: 'German',
+  portugais: 'Portuguese', italien: 'Italian', arabe: 'Arabic', chinois: 'Chinese',
+  inglés: 'English', ingles: 'English', español: 'Spanish', castellano: 'Spanish', francés: 'French',
+  alemán: 'German', portugués: 'Portuguese', árabe: 'Arabic', chino: 'Chinese',
+  englisch: 'English', deutsch: 'German', französisch: 'French', spanisch: 'Spanish',
+  portugiesisch: 'Portuguese', italienisch: 'Italian', arabisch: 'Arabic', chinesisch: 'Chinese',
+  inglês: 'English', português: 'Portuguese', francês: 'French', espanhol: 'Spanish', alemão: 'German',
+  kiingereza: 'English', kifaransa: 'French', kijerumani: 'German', kihispania: 'Spanish',
+  kireno: 'Portuguese', kiarabu: 'Arabic', kichina: 'Chinese'
+};
+
+/**
+ * Locale entry for a language code, or null for English and unknown codes
+ * @param {string} [language] - ISO 639-1 code
+ */
+export function getLocale(language) {
+  return LOCALES[language] || null;
+}
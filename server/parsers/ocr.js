@@ -0,0 +1,103 @@
+import { fromBuffer } from 'pdf2pic';
+import Tesseract from 'tesseract.js';
+const { createWorker } = Tesseract;
+
+// Rasterization settings - 300 DPI is the sweet spot for Tesseract accuracy
+const RASTER_OPTIONS = {
+  density: 300,
+  format: 'png',
+  width: 2480,
+  height: 3508,
+  preserveAspectRatio: true
+};
+
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+
+/**
+ * Run OCR over selected pages of a PDF. OCR problems never fail the parse:
+ * when Tesseract cannot start (e.g. its language data will not load) or a
+ * page cannot be recognized, that page comes back with failed: true and the
+ * caller keeps its text layer.
+ * @param {Buffer} buffer - PDF buffer
+ * @param {number[]} pageNumbers - 1-based page numbers to rasterize and recognize
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Epoch ms; pages not started by then are skipped
+ * @param {Function} [options.onPage] - Called with the number of pages finished so far
+ * @returns {Array<{pageNum: number, text: string, confidence: number, failed: boolean}>} OCR result per page
+ */
+export async function ocrPdfPages(buffer, pageNumbers, { deadline = Infinity, onPage = () => {} } = {}) {
+  if (!pageNumbers.length) {
+    return [];
+  }
+
+  const convert = fromBuffer(buffer, RASTER_OPTIONS);
+  const results = [];
+  const failPage = pageNum => results.push({ pageNum, text: '', confidence: 0, failed: true });
+
+  let worker = null;
+  try {
+    // Without an errorHandler, Tesseract rethrows worker errors from its
+    // message listener, where nothing can catch them
+    worker = await createWorker({
+      errorHandler: error => console.warn('OCR worker error:', error)
+    });
+    await worker.loadLanguage(OCR_LANGUAGE);
+    await worker.initialize(OCR_LANGUAGE);
+  } catch (initError) {
+    console.warn(`OCR unavailable, keeping the text layer for page(s) ${pageNumbers.join(', ')}:`, initError?.message || initError);
+    await terminate(worker);
+    pageNumbers.forEach(failPage);
+    onPage(results.length);
+    return results;
+  }
+
+  try {
+    for (const pageNum of pageNumbers) {
+      if (Date.now() > deadline) {
+        console.warn(`OCR: deadline reached, skipping page ${pageNum} and later`);
+        break;
+      }
+
+      try {
+        const image = await convert(pageNum, { responseType: 'buffer' });
+
+        if (!image?.buffer) {
+          console.warn(`OCR: could not rasterize page ${pageNum}`);
+          failPage(pageNum);
+          onPage(results.length);
+          continue;
+        }
+
+        const { data } = await worker.recognize(image.buffer);
+        const text = (data.text || '').trim();
+
+        results.push({
+          pageNum,
+          text,
+          // Tesseract reports 0-100, we keep scores on a 0-1 scale
+          confidence: Math.round(data.confidence) / 100,
+          failed: false
+        });
+        console.log(`OCR extracted ${text.length} characters from page ${pageNum} (confidence ${data.confidence})`);
+
+      } catch (pageError) {
+        console.warn(`OCR failed for page ${pageNum}:`, pageError?.message || pageError);
+        failPage(pageNum);
+      }
+
+      onPage(results.length);
+    }
+  } finally {
+    await terminate(worker);
+  }
+
+  return results;
+}
+
+async function terminate(worker) {
+  try {
+    await worker?.terminate();
+  } catch (error) {
+    console.warn('OCR worker did not shut down cleanly:', error?.message || error);
+  }
+}
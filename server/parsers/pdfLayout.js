@@ -0,0 +1,233 @@
+/**
+ * Layout-aware text reconstruction for PDF.js text content.
+ *
+ * PDF.js hands back positioned text fragments, not lines. We rebuild lines from
+ * the item transforms, detect a two-column layout by looking for a vertical
+ * gutter, and emit text in reading order (full-width rows, then the left column,
+ * then the right column of each block).
+ */
+
+// Width of the histogram buckets used for gutter detection (PDF points)
+const GUTTER_BIN_SIZE = 2;
+// Minimum empty vertical strip that counts as a column gutter
+const MIN_GUTTER_WIDTH = 12;
+// Each column must hold at least this share of the page's rows
+const MIN_COLUMN_SHARE = 0.2;
+
+/**
+ * Build reading-order text for one page
+ * @param {Array} items - textContent.items from PDF.js
+ * @param {Object} [viewport] - Page viewport ({ width }) used for column bounds
+ * @returns {Object} { text, columns, lineCount }
+ */
+export function buildPageText(items, viewport) {
+  const boxes = toBoxes(items);
+
+  if (boxes.length === 0) {
+    return { text: '', columns: 0, lineCount: 0 };
+  }
+
+  const pageWidth = viewport?.width || Math.max(...boxes.map(box => box.x + box.width));
+  const rows = groupIntoRows(boxes);
+  const gutter = findColumnGutter(boxes, rows, pageWidth);
+
+  const lines = gutter === null
+    ? layoutSingleColumn(rows)
+    : layoutTwoColumns(rows, gutter);
+
+  return {
+    text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    columns: gutter === null ? 1 : 2,
+    lineCount: lines.filter(line => line.trim().length > 0).length
+  };
+}
+
+/**
+ * Normalize PDF.js items into positioned boxes
+ */
+function toBoxes(items) {
+  return items
+    .filter(item => typeof item.str === 'string' && item.str.trim().length > 0)
+    .map(item => {
+      const [a, b, c, d, x, y] = item.transform;
+      const fontSize = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 10;
+      return {
+        str: item.str,
+        x,
+        y,
+        width: item.width || item.str.length * fontSize * 0.5,
+        fontSize
+      };
+    });
+}
+
+/**
+ * Group boxes that share a baseline into rows, top of page first
+ */
+function groupIntoRows(boxes) {
+  const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+
+  for (const box of sorted) {
+    const row = rows[rows.length - 1];
+    const tolerance = Math.max(2, box.fontSize * 0.5);
+
+    if (row && Math.abs(row.y - box.y) <= tolerance) {
+      row.boxes.push(box);
+      row.fontSize = Math.max(row.fontSize, box.fontSize);
+    } else {
+      rows.push({ y: box.y, fontSize: box.fontSize, boxes: [box] });
+    }
+  }
+
+  rows.forEach(row => row.boxes.sort((a, b) => a.x - b.x));
+  return rows;
+}
+
+/**
+ * Look for an empty vertical strip in the middle of the page that separates two
+ * populated columns. Rows spanning the whole page (name banners, headers) are
+ * allowed to cross it.
+ * @returns {number|null} x position of the gutter centre, or null for one column
+ */
+function findColumnGutter(boxes, rows, pageWidth) {
+  const binCount = Math.ceil(pageWidth / GUTTER_BIN_SIZE) + 1;
+  const coverage = new Array(binCount).fill(0);
+
+  for (const box of boxes) {
+    const start = Math.max(0, Math.floor(box.x / GUTTER_BIN_SIZE));
+    const end = Math.min(binCount - 1, Math.floor((box.x + box.width) / GUTTER_BIN_SIZE));
+    for (let bin = start; bin <= end; bin++) {
+      coverage[bin]++;
+    }
+  }
+
+  // Only consider gutters in the middle 60% of the page
+  const minBin = Math.floor((pageWidth * 0.2) / GUTTER_BIN_SIZE);
+  const maxBin = Math.ceil((pageWidth * 0.8) / GUTTER_BIN_SIZE);
+  // A few spanning items (headers) may cross the gutter
+  const allowedCrossings = Math.max(1, Math.floor(rows.length * 0.1));
+
+  let best = null;
+  let runStart = null;
+
+  for (let bin = minBin; bin <= maxBin + 1; bin++) {
+    const open = bin <= maxBin && coverage[bin] <= allowedCrossings;
+    if (open && runStart === null) {
+      runStart = bin;
+    } else if (!open && runStart !== null) {
+      const width = (bin - runStart) * GUTTER_BIN_SIZE;
+      if (width >= MIN_GUTTER_WIDTH && (!best || width > best.width)) {
+        best = { width, x: ((runStart + bin) / 2) * GUTTER_BIN_SIZE };
+      }
+      runStart = null;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  // Both sides must carry real content, not a stray page number
+  let leftRows = 0;
+  const rightStarts = [];
+  for (const row of rows) {
+    if (row.boxes.some(box => box.x + box.width <= best.x)) leftRows++;
+    const firstRight = row.boxes.find(box => box.x >= best.x);
+    if (firstRight) rightStarts.push(firstRight.x);
+  }
+
+  const minRows = Math.max(2, rows.length * MIN_COLUMN_SHARE);
+  if (leftRows < minRows || rightStarts.length < minRows) {
+    return null;
+  }
+
+  // A real column is left-aligned; right-aligned dates next to job titles are not
+  const columnStart = Math.min(...rightStarts);
+  const aligned = rightStarts.filter(x => x - columnStart <= 3).length;
+  return aligned / rightStarts.length >= 0.5 ? best.x : null;
+}
+
+function layoutSingleColumn(rows) {
+  return withParagraphBreaks(rows.map(row => ({ row, text: joinBoxes(row.boxes) })));
+}
+
+/**
+ * Emit full-width rows in place and flush the left column before the right one
+ * for every block between them
+ */
+function layoutTwoColumns(rows, gutterX) {
+  const lines = [];
+  let left = [];
+  let right = [];
+
+  const flush = () => {
+    lines.push(...withParagraphBreaks(left));
+    if (left.length && right.length) lines.push('');
+    lines.push(...withParagraphBreaks(right));
+    left = [];
+    right = [];
+  };
+
+  for (const row of rows) {
+    const spans = row.boxes.some(box => box.x < gutterX && box.x + box.width > gutterX);
+
+    if (spans) {
+      flush();
+      lines.push(joinBoxes(row.boxes));
+      continue;
+    }
+
+    const leftBoxes = row.boxes.filter(box => box.x < gutterX);
+    const rightBoxes = row.boxes.filter(box => box.x >= gutterX);
+    if (leftBoxes.length) left.push({ row, text: joinBoxes(leftBoxes) });
+    if (rightBoxes.length) right.push({ row, text: joinBoxes(rightBoxes) });
+  }
+
+  flush();
+  return lines;
+}
+
+/**
+ * Insert a blank line wherever the vertical gap suggests a new paragraph
+ */
+function withParagraphBreaks(entries) {
+  const lines = [];
+
+  entries.forEach((entry, index) => {
+    const previous = entries[index - 1];
+    if (previous) {
+      const gap = previous.row.y - entry.row.y;
+      if (gap > previous.row.fontSize * 1.8) {
+        lines.push('');
+      }
+    }
+    lines.push(entry.text);
+  });
+
+  return lines;
+}
+
+/**
+ * Join the boxes of a row, using the horizontal gap to decide between no space,
+ * a space, or a tab (for right-aligned dates and similar)
+ */
+function joinBoxes(boxes) {
+  let text = '';
+  let previous = null;
+
+  for (const box of boxes) {
+    if (previous) {
+      const gap = box.x - (previous.x + previous.width);
+      if (gap > box.fontSize * 2) {
+        text = text.trimEnd() + '\t';
+      } else if (gap > box.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(box.str)) {
+        text += ' ';
+      }
+    }
+    text += box.str;
+    previous = box;
+  }
+
+  return text.replace(/ {2,}/g, ' ').trim();
+}
@@ -0,0 +1,139 @@
+import { getLocale } from './locales.js';
+
+/**
+ * Section segmentation for resume text.
+ *
+ * Resumes are split on header lines ("EXPERIENCE", "Work History:", ...) into
+ * canonical sections so each extractor only sees the lines that belong to it.
+ * Headers in the resume's language (see locales.js) map to the same sections.
+ */
+
+// Canonical section name -> header phrases (lowercase, without punctuation)
+export const SECTION_HEADERS = {
+  summary: ['summary', 'professional summary', 'career summary', 'objective', 'career objective', 'profile', 'professional profile', 'about me', 'about'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment history', 'employment', 'work history', 'career history', 'relevant experience', 'internships'],
+  education: ['education', 'academic background', 'academic qualifications', 'education and training', 'qualifications'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'skills summary', 'technologies', 'competencies', 'core competencies', 'tools'],
+  projects: ['projects', 'personal projects', 'key projects', 'selected projects', 'academic projects'],
+  certifications: ['certifications', 'certificates', 'licenses and certifications', 'licenses', 'professional certifications', 'courses and certifications'],
+  awards: ['awards', 'honors', 'honours', 'awards and honors', 'honors and awards', 'achievements', 'accomplishments'],
+  languages: ['languages', 'language skills', 'spoken languages'],
+  publications: ['publications', 'research', 'papers'],
+  contact: ['contact', 'contact information', 'contact details', 'personal information', 'personal details'],
+  references: ['references', 'referees'],
+  interests: ['interests', 'hobbies', 'hobbies and interests']
+};
+
+// Language code -> header phrase lookup (English plus that language)
+const HEADER_LOOKUPS = new Map();
+
+function getHeaderLookup(language) {
+  const locale = getLocale(language);
+  const key = locale ? language : 'en';
+
+  if (!HEADER_LOOKUPS.has(key)) {
+    const lookup = new Map();
+    for (const headers of [SECTION_HEADERS, locale?.sectionHeaders || {}]) {
+      for (const [section, phrases] of Object.entries(headers)) {
+        phrases.forEach(phrase => lookup.set(phrase, section));
+      }
+    }
+    HEADER_LOOKUPS.set(key, lookup);
+  }
+
+  return HEADER_LOOKUPS.get(key);
+}
+
+/**
+ * Normalize a line for header comparison: lowercase, drop bullets, trailing
+ * colons and "&" vs "and" differences
+ */
+function normalizeHeader(line) {
+  return line
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Return the canonical section a line introduces, or null
+ * @param {string} line - A single resume line
+ * @param {string} [language] - Document language (ISO 639-1), English when omitted
+ * @returns {string|null}
+ */
+export function matchSectionHeader(line, language) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 50) return null;
+
+  const lookup = getHeaderLookup(language);
+  const normalized = normalizeHeader(trimmed);
+  if (lookup.has(normalized)) {
+    return lookup.get(normalized);
+  }
+
+  // ALL-CAPS headers sometimes carry extra words ("EXPERIENCE HIGHLIGHTS")
+  const isUpperCase = trimmed === trimmed.toUpperCase() && /\p{Lu}/u.test(trimmed);
+  if (isUpperCase && normalized.split(' ').length <= 4) {
+    for (const [phrase, section] of lookup) {
+      if (normalized.startsWith(`${phrase} `)) {
+        return section;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split resume lines into sections
+ * @param {string[]} lines - Trimmed, non-empty lines
+ * @param {string} [language] - Document language (ISO 639-1), English when omitted
+ * @returns {Object} { header: string[], sections: { [name]: { header, lineNumber, lines } }, order: string[], language }
+ */
+export function splitSections(lines, language) {
+  const lookup = getHeaderLookup(language);
+  const result = { header: [], sections: {}, order: [], language: language || 'en' };
+  let current = null;
+  let currentName = null;
+
+  lines.forEach((line, index) => {
+    let section = matchSectionHeader(line, language);
+    let inlineContent = null;
+
+    // "Skills: JavaScript, React" style headers carry content on the same line.
+    // Inside a job or project entry "Tools: Git, Jira" belongs to that entry.
+    if (!section) {
+      const inline = line.match(/^([^:]{2,40}):\s*(.+)$/);
+      const candidate = inline && lookup.get(normalizeHeader(inline[1]));
+      const withinEntry = candidate === 'skills' && ['experience', 'projects'].includes(currentName);
+      if (candidate && !withinEntry) {
+        section = candidate;
+        inlineContent = inline[2].trim();
+      }
+    }
+
+    if (section) {
+      // Repeated headers (e.g. a second "Experience" page) extend the same section
+      if (!result.sections[section]) {
+        result.sections[section] = { header: line.trim(), lineNumber: index, lines: [] };
+        result.order.push(section);
+      }
+      current = result.sections[section];
+      currentName = section;
+      if (inlineContent) {
+        current.lines.push(inlineContent);
+      }
+      return;
+    }
+
+    if (current) {
+      current.lines.push(line);
+    } else {
+      result.header.push(line);
+    }
+  });
+
+  return result;
+}
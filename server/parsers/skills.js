@@ -0,0 +1,58 @@
+import { normalizeSkills, detectSkills } from '../skillTaxonomy.js';
+
+/**
+ * Extract skills from resume (or job posting) text.
+ * Skills listed in a skills section come first (normalized through the skill
+ * taxonomy), followed by taxonomy skills mentioned anywhere else in the text.
+ * @param {string} text - Full text
+ * @param {Object} sectionMap - splitSections output
+ * @returns {Array<{name, category, source, mentions}>}
+ */
+export function extractSkills(text, sectionMap) {
+  let skillLines = sectionMap.sections.skills?.lines;
+
+  if (!skillLines || skillLines.length === 0) {
+    const skillsPatterns = [
+      /(?:TECHNICAL\s+)?SKILLS([\s\S]*?)(?=EXPERIENCE|EDUCATION|PROJECTS|CERTIFICATIONS|$)/i,
+      /TECHNOLOGIES([\s\S]*?)(?=EXPERIENCE|EDUCATION|PROJECTS|CERTIFICATIONS|$)/i,
+      /COMPETENCIES([\s\S]*?)(?=EXPERIENCE|EDUCATION|PROJECTS|CERTIFICATIONS|$)/i
+    ];
+
+    const match = skillsPatterns.map(pattern => text.match(pattern)).find(Boolean);
+    skillLines = match ? match[1].trim().split('\n') : [];
+  }
+
+  // Split by common delimiters, dropping "Frontend:" style group labels
+  const listed = skillLines
+    .map(line => line.replace(/^[^:,]{2,30}:\s*/, ''))
+    .flatMap(line => line.split(/[,•·\t;|]/))
+    .map(skill => skill.trim())
+    .filter(skill => skill.length > 0 && skill.length < 50);
+
+  const skills = new Map();
+
+  for (const skill of normalizeSkills(listed).slice(0, 40)) {
+    skills.set(skill.name.toLowerCase(), {
+      name: skill.name,
+      category: skill.category,
+      source: 'section',
+      mentions: 1
+    });
+  }
+
+  for (const skill of detectSkills(text)) {
+    const key = skill.name.toLowerCase();
+    if (skills.has(key)) {
+      skills.get(key).mentions = Math.max(skills.get(key).mentions, skill.mentions);
+    } else {
+      skills.set(key, {
+        name: skill.name,
+        category: skill.category,
+        source: 'body',
+        mentions: skill.mentions
+      });
+    }
+  }
+
+  return [...skills.values()];
+}
@@ -0,0 +1,241 @@
+import { normalizeSkills, expandSkill, childSkills, detectSkills } from './skillTaxonomy.js';
+import { GENERAL_TAG } from './catalog/items.js';
+import { catalogRecommendation } from './recommendations.js';
+
+/**
+ * Skill-gap ranking for courses and certifications. The skills a user is
+ * missing come from their target role when they have one, otherwise from the
+ * skills that build directly on what they already know (React -> Next.js).
+ * Each candidate is scored by the gaps it closes, weighted by how well its
+ * level fits the user's experience and by its price. The same inputs always
+ * give the same ranking, and every result explains itself.
+ */
+
+export const EXPERIENCE_LEVELS = ['junior', 'mid', 'senior'];
+
+// Catalog level that suits each experience level
+const LEVEL_FOR_EXPERIENCE = { junior: 'beginner', mid: 'intermediate', senior: 'advanced' };
+const CATALOG_LEVEL_ORDER = ['beginner', 'intermediate', 'advanced'];
+// Level fit by distance from the suitable level; items without a level are nearly neutral
+const LEVEL_FIT = [1, 0.75, 0.5];
+const UNKNOWN_LEVEL_FIT = 0.85;
+
+const REQUIRED_GAP_WEIGHT = 1;
+const PREFERRED_GAP_WEIGHT = 0.5;
+const ADJACENT_GAP_WEIGHT = 0.5;
+
+// Relevance is mostly gaps closed, partly building on current skills. With a
+// target role, building on current skills only counts for items that also
+// close one of its gaps, so those always rank first.
+const GAP_SHARE = 0.75;
+const BUILDS_ON_SHARE = 0.25;
+// Gap weight an item must close to earn the whole gap share
+const GAP_SATURATION = 2;
+// General items only rank when nothing relevant does
+const GENERAL_RELEVANCE = 0.2;
+
+// Price takes up to MAX_COST_PENALTY off the score, reached at COST_CEILING
+const MAX_COST_PENALTY = 0.3;
+const COST_CEILING = 500;
+
+/**
+ * Classify seniority from structured positions (titles + total years).
+ * Older parse results stored plain strings or { content } blobs, so those are
+ * still read as text.
+ * @returns {string} junior, mid or senior
+ */
+export function determineExperienceLevel(experience = [], totalYears) {
+  const titles = experience
+    .map(entry => typeof entry === 'string' ? entry : [entry.title, entry.content].filter(Boolean).join(' '))
+    .join(' ')
+    .toLowerCase();
+
+  const yearsMatch = titles.match(/(\d+)\+?\s*years?/);
+  const years = typeof totalYears === 'number' ? totalYears : (yearsMatch ? Number(yearsMatch[1]) : 0);
+
+  if (/\b(?:senior|sr\.?|lead|principal|staff|manager|architect|head|director)\b/.test(titles) || years >= 6) {
+    return 'senior';
+  } else if (years >= 2 || (/\b(?:developer|engineer)\b/.test(titles) && !/\b(?:intern|junior|jr\.?|trainee|graduate)\b/.test(titles))) {
+    return 'mid';
+  } else {
+    return 'junior';
+  }
+}
+
+/**
+ * Skills the user is missing, heaviest first
+ * @param {string[]} userSkills - Skills from the user's profile
+ * @param {Object} [targetRole] - { title, skills: [{ name, required? }] }
+ * @returns {Array<{name, weight, source, from?}>} source is "role" or "adjacent";
+ *   adjacent gaps name the skill they build on in from
+ */
+export function findSkillGaps(userSkills = [], targetRole = null) {
+  const known = knownSkills(userSkills);
+  const gaps = new Map();
+  const add = gap => {
+    const key = gap.name.toLowerCase();
+    if (known.has(key) || (gaps.get(key)?.weight || 0) >= gap.weight) return;
+    gaps.set(key, gap);
+  };
+
+  if (targetRole?.skills?.length) {
+    for (const skill of targetRole.skills) {
+      const [name] = expandSkill(skill.name);
+      add({
+        name: name || skill.name,
+        weight: skill.required === false ? PREFERRED_GAP_WEIGHT : REQUIRED_GAP_WEIGHT,
+        source: 'role'
+      });
+    }
+  } else {
+    for (const { name } of normalizeSkills(userSkills).filter(skill => skill.known)) {
+      childSkills(name).forEach(child => add({ name: child, weight: ADJACENT_GAP_WEIGHT, source: 'adjacent', from: name }));
+    }
+  }
+
+  return [...gaps.values()].sort((a, b) => b.weight - a.weight || a.name.localeCompare(b.name));
+}
+
+/**
+ * Rank candidate courses or certifications for a user
+ * @param {Object[]} items - Catalog items; items without a skills list (e.g.
+ *   from OpenAI) are matched on the skills named in their title and description
+ * @param {Object} context
+ * @param {string[]} context.skills - Skills from the user's profile
+ * @param {string} [context.level] - junior, mid or senior
+ * @param {Object} [context.targetRole] - { title, skills: [{ name, required? }] }
+ * @param {number} [context.limit] - Keep the best this many
+ * @returns {Array<{item, score, closes, buildsOn, reason}>} Best first
+ */
+export function rankItems(items, { skills = [], level = null, targetRole = null, limit = Infinity } = {}) {
+  const known = knownSkills(skills);
+  const gaps = new Map(findSkillGaps(skills, targetRole).map(gap => [gap.name.toLowerCase(), gap]));
+  const hasRoleGaps = [...gaps.values()].some(gap => gap.source === 'role');
+  const context = { known, gaps, hasRoleGaps, level, targetRole };
+
+  const scored = items.map(item => scoreItem(item, context)).filter(Boolean);
+
+  // General items only fill in when nothing relevant was found
+  const relevant = scored.filter(result => !result.general);
+  return (relevant.length ? relevant : scored)
+    .sort((a, b) => b.score - a.score || a.item.title.localeCompare(b.item.title))
+    .slice(0, limit)
+    .map(result => ({
+      item: result.item,
+      score: result.score,
+      closes: result.closes.map(gap => gap.name),
+      buildsOn: result.buildsOn,
+      reason: explain(result, context)
+    }));
+}
+
+/**
+ * Ranked result as a recommendation item, with its score and explanation
+ * @param {Object} result - From rankItems
+ * @returns {Object} Recommendation item (recommendations.js)
+ */
+export function toRankedRecommendation({ item, score, reason }) {
+  return catalogRecommendation(item, { score, reason });
+}
+
+/**
+ * Names as an English list, e.g. "Docker, AWS and Terraform"
+ * @param {string[]} names
+ * @returns {string}
+ */
+export function listOf(names) {
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+}
+
+function scoreItem(item, { known, gaps, hasRoleGaps, level }) {
+  const itemSkills = item.skills
+    || detectSkills(`${item.title || ''}\n${item.description || ''}`).map(skill => skill.name);
+  const hasSkill = skill => known.has(skill.toLowerCase());
+
+  if (!(item.prerequisite_skills || []).every(hasSkill)) return null;
+
+  const closes = itemSkills.map(skill => gaps.get(skill.toLowerCase())).filter(Boolean);
+  const buildsOn = itemSkills.filter(hasSkill);
+  const general = !closes.length && !buildsOn.length;
+  if (general && !(item.tags || []).includes(GENERAL_TAG)) return null;
+
+  const closedWeight = closes.reduce((total, gap) => total + gap.weight, 0);
+  const buildsOnCounts = buildsOn.length && (closes.length || !hasRoleGaps);
+  const relevance = general
+    ? GENERAL_RELEVANCE
+    : GAP_SHARE * Math.min(closedWeight / GAP_SATURATION, 1) + (buildsOnCounts ? BUILDS_ON_SHARE : 0);
+
+  const levelFit = fitLevel(item.level, level);
+  const costFit = 1 - MAX_COST_PENALTY * Math.min((Number(item.price) || 0) / COST_CEILING, 1);
+
+  return {
+    item,
+    score: Math.round(relevance * levelFit.fit * costFit * 100) / 100,
+    closes,
+    buildsOn,
+    general,
+    levelFit
+  };
+}
+
+function fitLevel(itemLevel, experienceLevel) {
+  const itemIndex = CATALOG_LEVEL_ORDER.indexOf(itemLevel);
+  const idealIndex = CATALOG_LEVEL_ORDER.indexOf(LEVEL_FOR_EXPERIENCE[experienceLevel]);
+  if (itemIndex < 0 || idealIndex < 0) return { fit: UNKNOWN_LEVEL_FIT, distance: null };
+
+  const distance = itemIndex - idealIndex;
+  return { fit: LEVEL_FIT[Math.abs(distance)], distance };
+}
+
+// "Why this was recommended", one short sentence per factor
+function explain({ item, closes, buildsOn, general, levelFit }, { level, targetRole }) {
+  const sentences = [];
+
+  const roleGaps = closes.filter(gap => gap.source === 'role').map(gap => gap.name);
+  const adjacentGaps = closes.filter(gap => gap.source === 'adjacent');
+
+  if (roleGaps.length) {
+    sentences.push(`Covers ${listOf(roleGaps)}, which ${targetRole.title ? `${targetRole.title} roles need` : 'your target role needs'}`);
+  }
+  if (adjacentGaps.length) {
+    const from = [...new Set(adjacentGaps.map(gap => gap.from))];
+    sentences.push(`Teaches ${listOf(adjacentGaps.map(gap => gap.name))}, a next step from your ${listOf(from)} skills`);
+  }
+  if (buildsOn.length) {
+    sentences.push(closes.length ? `Builds on your ${listOf(buildsOn)} experience` : `Deepens your ${listOf(buildsOn)} experience`);
+  }
+  if (general) {
+    sentences.push('A solid foundation while you grow your skill set');
+  }
+
+  if (levelFit.distance === 0) {
+    sentences.push(`${capitalize(item.level)} level, matching your ${level}-level experience`);
+  } else if (levelFit.distance > 0) {
+    sentences.push(`${capitalize(item.level)} level, a step up from where you are`);
+  } else if (levelFit.distance < 0) {
+    sentences.push(`${capitalize(item.level)} level, below your experience, good as a refresher`);
+  }
+
+  if (item.price === 0) {
+    sentences.push('Free');
+  } else if (item.price > 0) {
+    sentences.push(`Costs ${item.price} ${item.currency || 'USD'}`);
+  }
+
+  return sentences.join('. ') + '.';
+}
+
+function knownSkills(userSkills) {
+  return new Set(
+    userSkills.flatMap(skill => {
+      const expanded = expandSkill(skill);
+      return expanded.length ? expanded : [skill];
+    }).map(skill => skill.toLowerCase())
+  );
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
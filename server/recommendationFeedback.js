@@ -0,0 +1,203 @@
+import { supabase } from './supabase.js';
+import { detectSkills } from './skillTaxonomy.js';
+import { catalogRecommendation, normalizeRecommendations, RECOMMENDATION_TYPES } from './recommendations.js';
+import { getActiveResume, activateResume } from './resumeVersions.js';
+import { applyOverridesToResume, updateOverrides } from './resumeOverrides.js';
+import { getParsedProfile } from './parseResume.js';
+
+/**
+ * Recommendation feedback: the user's latest reaction to each recommended
+ * item, kept in recommendation_feedback by recommendation item ID. Dismissed
+ * (and not relevant) and completed items are left out of later
+ * recommendations; completing a course or certification adds what it teaches
+ * to the user's profile.
+ */
+
+export const FEEDBACK_ACTIONS = ['like', 'dismiss', 'not_relevant', 'enrolled', 'completed'];
+
+// Reactions that keep an item out of future recommendations
+const EXCLUDED_ACTIONS = ['dismiss', 'not_relevant', 'completed'];
+// Reactions that only make sense for things you can take
+const LEARNING_ACTIONS = ['enrolled', 'completed'];
+
+// Stored recommendation runs searched for an item that is not in the catalog
+const RECENT_RUNS = 10;
+
+/**
+ * Validate a feedback request
+ * @param {string} itemId - Recommendation item ID, e.g. "course:coursera:machine-learning"
+ * @param {Object} body - { action }
+ * @returns {{feedback: Object|null, errors: string[]}} feedback is { itemId, type, action }
+ */
+export function parseFeedback(itemId, body = {}) {
+  const errors = [];
+
+  const type = typeof itemId === 'string' ? itemId.split(':')[0] : null;
+  if (!RECOMMENDATION_TYPES.includes(type) || itemId.length <= type.length + 1) {
+    errors.push('itemId must be a recommendation item ID (e.g. course:provider:title)');
+  }
+
+  const { action } = body;
+  if (!FEEDBACK_ACTIONS.includes(action)) {
+    errors.push(`action must be one of: ${FEEDBACK_ACTIONS.join(', ')}`);
+  } else if (type === 'job' && LEARNING_ACTIONS.includes(action)) {
+    errors.push(`${action} only applies to courses and certifications`);
+  }
+
+  return errors.length
+    ? { feedback: null, errors }
+    : { feedback: { itemId, type, action }, errors };
+}
+
+/**
+ * Store the user's reaction to an item, replacing any earlier one
+ * @param {string} userId - users.id
+ * @param {Object} feedback - From parseFeedback
+ * @param {string} [title] - Item title, for reading the table by hand
+ * @returns {Promise<Object>} Stored row
+ */
+export async function recordFeedback(userId, { itemId, type, action }, title = null) {
+  const { data, error } = await supabase
+    .from('recommendation_feedback')
+    .upsert({
+      user_id: userId,
+      item_id: itemId,
+      item_type: type,
+      action,
+      title,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,item_id' })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * IDs of the items a user dismissed or completed
+ * @param {string} userId - users.id
+ * @returns {Promise<Set<string>>}
+ */
+export async function getExcludedItemIds(userId) {
+  const { data, error } = await supabase
+    .from('recommendation_feedback')
+    .select('item_id')
+    .eq('user_id', userId)
+    .in('action', EXCLUDED_ACTIONS);
+
+  if (error) throw new Error(error.message);
+  return new Set(data.map(row => row.item_id));
+}
+
+/**
+ * The recommended item behind an ID, with the skills it teaches: from the
+ * catalog, else from the user's recent recommendation runs
+ * @param {string} userId - users.id
+ * @param {string} itemId - Recommendation item ID
+ * @param {Object[]} catalog - Catalog items (loadCatalog)
+ * @returns {Promise<{item: Object, skills: string[]}|null>}
+ */
+export async function findRecommendedItem(userId, itemId, catalog) {
+  const catalogItem = catalog.find(item => (item.slug || item.id) === itemId);
+  if (catalogItem) {
+    return { item: catalogRecommendation(catalogItem), skills: catalogItem.skills || [] };
+  }
+
+  const { data: runs, error } = await supabase
+    .from('recommendations')
+    .select('courses, certifications, jobs')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(RECENT_RUNS);
+
+  if (error) throw new Error(error.message);
+
+  for (const run of runs) {
+    const lists = normalizeRecommendations(run);
+    const item = [...lists.courses, ...lists.certifications, ...lists.jobs].find(entry => entry.id === itemId);
+    if (item) return { item, skills: skillsTaught(item) };
+  }
+
+  return null;
+}
+
+/**
+ * Add a completed course or certification to the user's profile: its skills,
+ * and for certifications the certification itself. Saved as overrides on the
+ * active resume so re-parsing keeps them, or straight onto the users row when
+ * there is no resume.
+ * @param {string} email - User email
+ * @param {Object} item - Recommendation item
+ * @param {string[]} skills - Skills the item teaches
+ * @returns {Promise<{skills: string[], certification: Object|null}>} What was added
+ */
+export async function addCompletionToProfile(email, item, skills) {
+  const resume = await getActiveResume(email, 'id, uploaded_at, parsed_data, parsed_overrides');
+  const profile = resume
+    ? getParsedProfile(applyOverridesToResume(resume.parsed_data, resume.parsed_overrides)) || {}
+    : await getProfileColumns(email);
+
+  const currentSkills = profile.skills || [];
+  const known = new Set(currentSkills.map(skill => skill.toLowerCase()));
+  const addedSkills = [...new Set(skills)].filter(skill => !known.has(skill.toLowerCase()));
+
+  const currentCertifications = profile.certifications || [];
+  const hasCertification = currentCertifications.some(entry => entry?.name?.toLowerCase() === item.title.toLowerCase());
+  const addedCertification = item.type === 'certification' && !hasCertification
+    ? {
+        name: item.title,
+        issuer: item.provider,
+        date: new Date().toISOString().slice(0, 7),
+        credentialId: null,
+        url: item.url
+      }
+    : null;
+
+  const changes = {};
+  if (addedSkills.length) changes.skills = [...currentSkills, ...addedSkills];
+  if (addedCertification) changes.certifications = [...currentCertifications, addedCertification];
+  if (!Object.keys(changes).length) return { skills: [], certification: null };
+
+  if (resume) {
+    const overrides = updateOverrides(resume.parsed_overrides, changes);
+    const { error } = await supabase
+      .from('resumes')
+      .update({ parsed_overrides: overrides })
+      .eq('id', resume.id)
+      .eq('user_email', email);
+
+    if (error) throw new Error(error.message);
+    await activateResume(email, { ...resume, parsed_overrides: overrides });
+  } else {
+    const { error } = await supabase
+      .from('users')
+      .update(changes)
+      .eq('email', email);
+
+    if (error) throw new Error(error.message);
+  }
+
+  return { skills: addedSkills, certification: addedCertification };
+}
+
+/**
+ * Skills an item teaches, read from its title and description (for items
+ * that are not in the catalog)
+ * @param {Object} item - Recommendation item
+ * @returns {string[]}
+ */
+export function skillsTaught(item) {
+  return detectSkills(`${item.title}\n${item.description || ''}`).map(skill => skill.name);
+}
+
+async function getProfileColumns(email) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('skills, certifications')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data || {};
+}
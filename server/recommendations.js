@@ -0,0 +1,157 @@
+import { catalogSlug } from './catalog/items.js';
+
+/**
+ * Recommendation items. Every producer (the cron job, POST /recommendations)
+ * emits this shape and every consumer (API responses, the email template)
+ * renders it:
+ *
+ *   { id, type, title, description, provider, url, reason, score }
+ *
+ * id is stable for the same course, certification or job, type is one of
+ * RECOMMENDATION_TYPES, score is 0-1 (or null when unranked), and every other
+ * field but title may be null. Rows stored before this schema hold plain
+ * title strings, and OpenAI answers use whatever keys it likes, so
+ * toRecommendationItem() upgrades both on read.
+ */
+
+export const RECOMMENDATION_TYPES = ['course', 'certification', 'job'];
+
+// Stored list name -> item type
+export const RECOMMENDATION_LISTS = {
+  courses: 'course',
+  certifications: 'certification',
+  jobs: 'job'
+};
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_TEXT_LENGTH = 1000;
+
+// Keys other producers have used for each field, most specific first
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'course', 'certification', 'job_title'],
+  description: ['description', 'summary', 'details'],
+  provider: ['provider', 'company', 'issuer', 'platform', 'organization', 'source'],
+  url: ['url', 'link', 'href', 'apply_link'],
+  reason: ['reason', 'why']
+};
+
+/**
+ * Upgrade anything that was stored or returned as a recommendation
+ * @param {string|Object} raw - A title string, a schema item, or an item with other key names
+ * @param {string} type - course, certification or job
+ * @returns {Object|null} Schema item, or null when there is no usable title
+ */
+export function toRecommendationItem(raw, type) {
+  if (!RECOMMENDATION_TYPES.includes(type)) return null;
+
+  const source = typeof raw === 'string' ? { title: raw } : raw;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) return null;
+
+  const title = cleanText(pickField(source, 'title'), MAX_TITLE_LENGTH);
+  if (!title) return null;
+
+  const provider = cleanText(pickField(source, 'provider'), MAX_TITLE_LENGTH);
+
+  return {
+    id: recommendationId(source, type, title, provider),
+    type,
+    title,
+    description: cleanText(pickField(source, 'description'), MAX_TEXT_LENGTH),
+    provider,
+    url: cleanUrl(pickField(source, 'url')),
+    reason: cleanText(pickField(source, 'reason'), MAX_TEXT_LENGTH),
+    score: cleanScore(source.score)
+  };
+}
+
+/**
+ * Upgrade a list of recommendations, dropping unusable entries and repeats
+ * @param {Array} list - Stored or produced items
+ * @param {string} type - course, certification or job
+ * @returns {Object[]} Schema items
+ */
+export function toRecommendationItems(list, type) {
+  if (!Array.isArray(list)) return [];
+
+  const items = new Map();
+  for (const raw of list) {
+    const item = toRecommendationItem(raw, type);
+    if (item && !items.has(item.id)) items.set(item.id, item);
+  }
+  return [...items.values()];
+}
+
+/**
+ * Upgrade a stored recommendation set ({ courses, certifications, jobs })
+ * @param {Object} [recommendations] - A recommendations row or users.parsed_resume.recommendations
+ * @returns {{courses: Object[], certifications: Object[], jobs: Object[]}}
+ */
+export function normalizeRecommendations(recommendations = {}) {
+  return Object.fromEntries(
+    Object.entries(RECOMMENDATION_LISTS).map(([list, type]) => [list, toRecommendationItems(recommendations?.[list], type)])
+  );
+}
+
+/**
+ * Recommendation item for a catalog course or certification. Its ID is the
+ * item's slug, which stays the same when the item is edited.
+ * @param {Object} catalogItem - Row from catalog_items (or the catalog file)
+ * @param {Object} [details] - { reason, score }
+ * @returns {Object} Schema item
+ */
+export function catalogRecommendation(catalogItem, { reason = null, score = null } = {}) {
+  return toRecommendationItem({
+    id: catalogItem.slug,
+    title: catalogItem.title,
+    description: catalogItem.description,
+    provider: catalogItem.provider,
+    url: catalogItem.url,
+    reason,
+    score
+  }, catalogItem.type);
+}
+
+/**
+ * Job source and ID behind a job recommendation, for looking up the posting
+ * @param {string} id - Recommendation ID, e.g. "job:remotive:123"
+ * @returns {{source: string, id: string}|null}
+ */
+export function parseJobRecommendationId(id) {
+  const match = typeof id === 'string' && id.match(/^job:(remotive|jsearch):(.+)$/);
+  return match ? { source: match[1], id: match[2] } : null;
+}
+
+// Jobs from the job APIs keep their source and ID; everything else is named
+// like its catalog entry, so the same course has the same ID everywhere
+function recommendationId(source, type, title, provider) {
+  if (typeof source.id === 'string' && source.id.startsWith(`${type}:`)) return source.id;
+  if (type === 'job' && source.source && source.id) return `job:${source.source}:${source.id}`;
+  return catalogSlug({ type, provider, title });
+}
+
+function pickField(source, field) {
+  const key = FIELD_ALIASES[field].find(alias => typeof source[alias] === 'string' && source[alias].trim());
+  return key ? source[key] : null;
+}
+
+function cleanText(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+function cleanUrl(value) {
+  if (typeof value !== 'string') return null;
+  try {
+    const url = new URL(value.trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function cleanScore(value) {
+  const score = typeof value === 'string' ? Number(value) : value;
+  if (typeof score !== 'number' || !Number.isFinite(score)) return null;
+  return Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100;
+}
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import path from 'path';
+import { findContactBlocks, findPhoneNumbers } from './parsers/contact.js';
+
+/**
+ * PII redaction for resume data. Phone numbers, street and postal addresses,
+ * national ID numbers and dates of birth are removed from parse results
+ * before they are cached or stored, from text sent to OpenAI, and from
+ * emails and filenames in logs. Phone numbers and street addresses look like
+ * plenty of other things (date ranges, amounts, "3 Agile Teams Way"), so
+ * outside the contact block only labelled ones ("Tel:", "Address:") and
+ * P.O. boxes are redacted.
+ *
+ * PII_REDACTION_MODE picks what replaces a value:
+ *   mask     - a label, "[PHONE]" (default)
+ *   tokenize - a label with a keyed hash, "[PHONE_1a2b3c4d]"; the same value
+ *              always gets the same token (needs PII_TOKEN_SECRET)
+ *   off      - nothing is redacted
+ *
+ * Structured contact fields that were redacted are cleared and listed in
+ * metadata.redaction, so the user can confirm them; contact.hasPhone records
+ * that the resume had a phone number. Confirmed values live in
+ * resumes.parsed_overrides, which is never redacted and wins on read.
+ */
+
+export const REDACTION_MODES = ['off', 'mask', 'tokenize'];
+
+const TOKEN_LENGTH = 8;
+
+// Labels are kept; only the value after them is replaced
+const DATE_OF_BIRTH = /(?<!\p{L})(?:date of birth|birth ?date|d\.o\.b\.?|dob|born(?: on)?|date de naissance|n[ée]e? le|fecha de nacimiento|geburtsdatum|geboren am|data de nascimento|tarehe ya kuzaliwa)\s*[:\-–]?\s*(\d{1,2}(?:st|nd|rd|th)?[\s./-]+(?:\d{1,2}|\p{L}+\.?)[\s./,-]+\d{2,4}|\p{L}+\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}|\d{4}[./-]\d{1,2}[./-]\d{1,2})/giud;
+const LABELLED_ID = /(?<!\p{L})(?:national id(?:entity)?(?: card)?(?: no\.?| number)?|id (?:no\.?|number|card(?: no\.?)?)|passport(?: no\.?| number)?|kra pin|ssn|social security(?: no\.?| number)?|nin|huduma(?: no\.?| number)?|dni|nie|cpf|personalausweis(?:nummer)?|steuer-?id|num[ée]ro de s[ée]curit[ée] sociale|nambari ya kitambulisho|kitambulisho)(?!\p{L})\s*[:#\-–]?\s*([A-Z0-9](?:[A-Z0-9.\-/]| (?=\d)){3,20}[A-Z0-9])/giud;
+const UNLABELLED_IDS = [
+  /\b\d{3}-\d{2}-\d{4}\b/g, // US SSN
+  /\b\d{3}\.\d{3}\.\d{3}-\d{2}\b/g, // Brazilian CPF
+  /\b[AP]\d{9}[A-Z]\b/g, // Kenyan KRA PIN
+  /\b[A-CEGHJ-PR-TW-Z]{2}\d{6}[A-D]\b/g // UK National Insurance number
+];
+const LABELLED_ADDRESS = /^[ \t]*(?:home address|postal address|address|adresse|direcci[óo]n|anschrift|endere[çc]o|morada|anwani)[ \t]*[:\-–][ \t]*([^\n]+)/gimd;
+const POSTAL_BOX = /\b(?:P\.?\s?O\.?\s?Box|Sanduku la Posta|Postfach|Caixa Postal|Apartado(?: de correos)?)\s*\d+(?:\s*[-–,]\s*\d{4,6})?/giu;
+// Unlabelled street addresses, only redacted inside the contact block
+const ADDRESSES = [
+  // "221B Baker Street", "14 Kenyatta Avenue": street names are capitalized
+  /\b\d{1,4}[A-Za-z]?,?\s+(?:\p{Lu}[\p{L}'.-]*\s+){1,4}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Close|Crescent|Way|Court|Ct|Place|Pl|Highway|Hwy|Terrace)\b\.?/gu,
+  /\b\d{1,4},?\s+(?:rue|avenue|boulevard|all[ée]e|chemin|impasse)\s+[\p{L}'’ -]{2,40}/giu,
+  /\b(?:calle|avenida|rua|barabara|travessa)\s+[\p{L}'’ .-]{2,40}?,?\s*\d{1,4}\b/giu,
+  /\b\p{Lu}[\p{L}-]*(?:straße|strasse|weg|allee|gasse)\s+\d{1,3}[a-z]?\b/gu
+];
+
+// Structured contact fields that are PII on their own
+const CONTACT_FIELDS = ['phone', 'phoneRaw'];
+
+// For text that is contact details through and through
+const WHOLE_TEXT = [{ start: 0, end: Infinity }];
+
+export function redactionMode() {
+  const mode = (process.env.PII_REDACTION_MODE || 'mask').toLowerCase();
+  if (!REDACTION_MODES.includes(mode)) return 'mask';
+  if (mode === 'tokenize' && !process.env.PII_TOKEN_SECRET) return 'mask';
+  return mode;
+}
+
+/**
+ * Replace PII in a piece of text
+ * @param {string} text - Any text
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Defaults to redactionMode()
+ * @param {string[]} [options.keep] - Values the user confirmed; left as they are
+ * @param {Array<{start, end}>} [options.contactBlocks] - Ranges holding contact
+ *   details (findContactBlocks); unlabelled phone numbers and street addresses
+ *   are only redacted inside them
+ * @returns {{text: string, replacements: Array<{start, end, type, replacement}>}}
+ */
+export function redactText(text, { mode = redactionMode(), keep = [], contactBlocks = [] } = {}) {
+  if (!text || mode === 'off') return { text: text || '', replacements: [] };
+
+  const kept = new Set(keep.filter(Boolean).map(comparable));
+  const spans = [];
+  const inContactBlock = (start, value) =>
+    contactBlocks.some(block => start >= block.start && start + value.length <= block.end);
+
+  // First match wins where patterns overlap, so the most specific run first
+  const add = (type, start, value) => {
+    const end = start + value.length;
+    if (!value.trim() || kept.has(comparable(value))) return;
+    if (spans.some(span => start < span.end && end > span.start)) return;
+    spans.push({ start, end, type, replacement: replacementFor(type, value, mode) });
+  };
+
+  for (const match of text.matchAll(LABELLED_ID)) {
+    if (/\d/.test(match[1])) add('ID', match.indices[1][0], match[1]);
+  }
+  UNLABELLED_IDS.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) add('ID', match.index, match[0]);
+  });
+  for (const match of text.matchAll(DATE_OF_BIRTH)) add('DOB', match.indices[1][0], match[1]);
+  for (const match of text.matchAll(LABELLED_ADDRESS)) add('ADDRESS', match.indices[1][0], match[1].trimEnd());
+  for (const match of text.matchAll(POSTAL_BOX)) add('ADDRESS', match.index, match[0].trimEnd());
+  ADDRESSES.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) {
+      const value = match[0].trimEnd();
+      if (inContactBlock(match.index, value)) add('ADDRESS', match.index, value);
+    }
+  });
+  findPhoneNumbers(text).forEach(({ raw, index, labelled }) => {
+    if (labelled || inContactBlock(index, raw)) add('PHONE', index, raw);
+  });
+
+  spans.sort((a, b) => a.start - b.start);
+
+  let redacted = '';
+  let cursor = 0;
+  for (const span of spans) {
+    redacted += text.slice(cursor, span.start) + span.replacement;
+    cursor = span.end;
+  }
+
+  return { text: redacted + text.slice(cursor), replacements: spans };
+}
+
+/**
+ * Redact a parse result (parseResumeBuffer output) before it is cached or
+ * stored: IDs, dates of birth and labelled contact details everywhere, any
+ * phone number or street address in the contact block. Evidence spans are
+ * moved to match the redacted rawText.
+ * @param {Object} result - Parse result
+ * @param {Object} [options] - { mode, keep } as for redactText
+ * @returns {Object} Redacted copy; the input is left alone
+ */
+export function redactParseResult(result, { mode = redactionMode(), keep = [] } = {}) {
+  if (!result?.parsedData || mode === 'off') return result;
+
+  const options = { mode, keep };
+  const language = result.metadata?.language?.code;
+  const kept = new Set(keep.filter(Boolean).map(comparable));
+  const { rawText, contact = {}, fieldConfidence, ...fields } = result.parsedData;
+  const raw = redactText(rawText || '', { ...options, contactBlocks: findContactBlocks(rawText || '', language) });
+  const extractedText = result.extractedText || '';
+  const redactedFields = [];
+
+  const redactedContact = { ...contact };
+  for (const field of CONTACT_FIELDS) {
+    if (redactedContact[field] && !kept.has(comparable(redactedContact[field]))) {
+      redactedContact[field] = null;
+      redactedFields.push(`contact.${field}`);
+    }
+  }
+  // Analysis still needs to know the resume lists a phone number
+  if (contact.phone && !redactedContact.phone) {
+    redactedContact.hasPhone = true;
+  }
+  // A street address in the location is replaced by the city and country
+  if (contact.location && redactText(contact.location, { ...options, contactBlocks: WHOLE_TEXT }).replacements.some(span => span.type === 'ADDRESS')) {
+    redactedContact.location = [contact.city, contact.country].filter(Boolean).join(', ') || null;
+    redactedFields.push('contact.location');
+  }
+
+  return {
+    ...result,
+    extractedText: redactText(extractedText, { ...options, contactBlocks: findContactBlocks(extractedText, language) }).text,
+    parsedData: {
+      ...redactStrings(fields, options),
+      contact: redactedContact,
+      rawText: raw.text,
+      ...(fieldConfidence ? { fieldConfidence: moveEvidence(fieldConfidence, raw, redactedFields) } : {})
+    },
+    metadata: {
+      ...result.metadata,
+      redaction: {
+        mode,
+        fields: redactedFields,
+        counts: raw.replacements.reduce((counts, span) => {
+          counts[span.type] = (counts[span.type] || 0) + 1;
+          return counts;
+        }, {})
+      }
+    }
+  };
+}
+
+/**
+ * Email address as it may appear in logs
+ * @param {string} email
+ * @returns {string} 'j***@example.com', a token, or the address when redaction is off
+ */
+export function redactEmail(email) {
+  const mode = redactionMode();
+  if (!email || mode === 'off') return email;
+  if (mode === 'tokenize') return replacementFor('EMAIL', email.toLowerCase(), mode);
+
+  const [local, domain] = email.split('@');
+  return domain ? `${local.slice(0, 1)}***@${domain}` : '***';
+}
+
+/**
+ * Upload filename as it may appear in logs; resumes are usually named after
+ * their owner, so only the extension is kept
+ * @param {string} filename
+ * @returns {string}
+ */
+export function redactFilename(filename) {
+  const mode = redactionMode();
+  if (!filename || mode === 'off') return filename;
+
+  const extension = path.extname(filename);
+  return mode === 'tokenize'
+    ? `${replacementFor('FILE', filename, mode)}${extension}`
+    : `[FILE]${extension}`;
+}
+
+function replacementFor(type, value, mode) {
+  if (mode !== 'tokenize') return `[${type}]`;
+
+  const digest = crypto
+    .createHmac('sha256', process.env.PII_TOKEN_SECRET)
+    .update(comparable(value))
+    .digest('hex')
+    .slice(0, TOKEN_LENGTH);
+  return `[${type}_${digest}]`;
+}
+
+// Phone numbers compare by digits, everything else by lowercased text
+function comparable(value) {
+  const text = String(value).trim().toLowerCase();
+  const digits = text.replace(/\D/g, '');
+  return digits.length >= 7 && /^[\d\s+().\-/]+$/.test(text) ? digits : text;
+}
+
+function redactStrings(value, options) {
+  if (typeof value === 'string') return redactText(value, options).text;
+  if (Array.isArray(value)) return value.map(item => redactStrings(item, options));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactStrings(item, options)]));
+  }
+  return value;
+}
+
+// Move evidence offsets past the replacements made in rawText
+function moveEvidence(fieldConfidence, raw, redactedFields) {
+  const mapOffset = offset => {
+    let shift = 0;
+    for (const span of raw.replacements) {
+      if (span.start >= offset) break;
+      // Inside a replaced value: snap to the start of its replacement
+      if (span.end > offset) return span.start + shift;
+      shift += span.replacement.length - (span.end - span.start);
+    }
+    return offset + shift;
+  };
+
+  return Object.fromEntries(
+    Object.entries(fieldConfidence)
+      .filter(([field]) => !redactedFields.includes(field))
+      .map(([field, entry]) => {
+        if (!entry.evidence) return [field, entry];
+        const start = mapOffset(entry.evidence.start);
+        const end = Math.max(start, mapOffset(entry.evidence.end));
+        return [field, { ...entry, evidence: { text: raw.text.slice(start, end), start, end } }];
+      })
+  );
+}
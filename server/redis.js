@@ -0,0 +1,7 @@
+import { createClient } from 'redis';
+
+// Shared Redis client. index.js connects it at startup (sessions); other modules
+// should check redisClient.isReady and fall back gracefully when it is down.
+export const redisClient = createClient({ url: process.env.REDIS_URL });
+
+export default redisClient;
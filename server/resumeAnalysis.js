@@ -0,0 +1,396 @@
+import { getParsedProfile } from './parseResume.js';
+import { detectSkills } from './skillTaxonomy.js';
+import { toMonthIndex, currentMonthIndex } from './parsers/dates.js';
+
+/**
+ * ATS-friendliness analysis of a parsed resume. Each check scores 0-1 and is
+ * weighted into a 0-100 total; every shortfall becomes a suggestion whose
+ * `impact` is the number of points fixing it would add, which is also how
+ * suggestions are ranked.
+ */
+
+// Check -> points out of 100
+export const CHECK_WEIGHTS = {
+  sections: 20,
+  contact: 15,
+  impact: 20,
+  length: 10,
+  dates: 15,
+  keywords: 15,
+  formatting: 5
+};
+
+// Plans that see every suggestion; others get the score and the top few
+export const FULL_ANALYSIS_PLANS = ['pro', 'premium'];
+export const FREE_SUGGESTION_LIMIT = 3;
+
+const SECTION_WEIGHTS = { experience: 0.35, skills: 0.3, education: 0.25, summary: 0.1 };
+const CONTACT_WEIGHTS = { email: 0.3, phone: 0.3, name: 0.2, location: 0.1, linkedin: 0.1 };
+
+// Share of experience bullets with a number in them that scores full marks
+const TARGET_QUANTIFIED_SHARE = 0.5;
+
+// Word counts that fit one to two pages
+const MIN_WORDS = 250;
+const MAX_WORDS = 1000;
+const MAX_PAGES = 2;
+
+const MIN_SKILLS = 8;
+const MAX_GAP_MONTHS = 6;
+
+const METRIC_PATTERN = /\d|%|[$€£]|\b(?:kes|ksh|usd|dozens?|hundreds|thousands|millions)\b/i;
+const WEAK_OPENERS = /^(?:responsible for|worked on|helped(?: to)?|assisted (?:with|in)|duties included|tasked with|involved in|participated in|in charge of)\b/i;
+
+// Formats ATS software reads most reliably
+const ATS_FRIENDLY_FORMATS = ['.pdf', '.docx'];
+
+/**
+ * Analyze a stored parse result
+ * @param {Object} parsedResume - resumes.parsed_data with overrides applied (see applyOverridesToResume)
+ * @returns {Object} { score, checks: { [name]: { score, weight, details } }, suggestions }
+ */
+export function analyzeResume(parsedResume) {
+  const profile = getParsedProfile(parsedResume) || {};
+  const metadata = parsedResume?.parsedData ? parsedResume.metadata || {} : {};
+  const language = metadata.language?.code || 'en';
+
+  const results = {
+    sections: checkSections(profile),
+    contact: checkContact(profile),
+    impact: checkImpact(profile, language),
+    length: checkLength(profile, metadata),
+    dates: checkDates(profile),
+    keywords: checkKeywords(profile),
+    formatting: checkFormatting(metadata)
+  };
+
+  const checks = {};
+  const suggestions = [];
+  let score = 0;
+
+  for (const [name, result] of Object.entries(results)) {
+    const weight = CHECK_WEIGHTS[name];
+    score += weight * result.score;
+    checks[name] = { score: round(result.score), weight, details: result.details };
+
+    for (const suggestion of result.suggestions) {
+      const impact = round(weight * suggestion.gain);
+      suggestions.push({
+        id: suggestion.id,
+        category: name,
+        priority: impact >= 8 ? 'high' : impact >= 4 ? 'medium' : 'low',
+        impact,
+        message: suggestion.message,
+        ...(suggestion.examples?.length ? { examples: suggestion.examples } : {})
+      });
+    }
+  }
+
+  suggestions.sort((a, b) => b.impact - a.impact);
+
+  return { score: Math.round(score), checks, suggestions };
+}
+
+/**
+ * Limit an analysis to what the user's plan includes
+ * @param {Object} analysis - analyzeResume output
+ * @param {string} plan - users.plan
+ * @returns {Object} Analysis with { truncated, totalSuggestions } added
+ */
+export function analysisForPlan(analysis, plan) {
+  const full = FULL_ANALYSIS_PLANS.includes(plan);
+
+  return {
+    ...analysis,
+    suggestions: full ? analysis.suggestions : analysis.suggestions.slice(0, FREE_SUGGESTION_LIMIT),
+    totalSuggestions: analysis.suggestions.length,
+    truncated: !full && analysis.suggestions.length > FREE_SUGGESTION_LIMIT
+  };
+}
+
+function checkSections(profile) {
+  const found = new Set((profile.sections || []).map(section => section.name));
+  const has = name => found.has(name) || (name === 'summary' ? Boolean(profile.summary) : profile[name]?.length > 0);
+
+  const missing = Object.keys(SECTION_WEIGHTS).filter(name => !has(name));
+  const messages = {
+    experience: 'Add a work experience section with a clear "Experience" heading so ATS software can find your positions',
+    skills: 'Add a dedicated "Skills" section listing your tools and technologies; ATS filters match against it',
+    education: 'Add an "Education" section, even if it only lists your highest qualification',
+    summary: 'Open with a two-to-three line professional summary that names your target role'
+  };
+
+  return {
+    score: 1 - missing.reduce((sum, name) => sum + SECTION_WEIGHTS[name], 0),
+    details: { found: [...found], missing },
+    suggestions: missing.map(name => ({ id: `missing_section_${name}`, gain: SECTION_WEIGHTS[name], message: messages[name] }))
+  };
+}
+
+function checkContact(profile) {
+  const contact = profile.contact || {};
+  // A redacted phone number is stored as hasPhone until the user confirms it
+  const has = field => Boolean(contact[field] || (field === 'phone' && contact.hasPhone));
+  const missing = Object.keys(CONTACT_WEIGHTS).filter(field => !has(field));
+  const messages = {
+    email: 'Add an email address near the top of your resume',
+    phone: 'Add a phone number, including the country code (e.g. +254 712 345 678)',
+    name: 'Put your full name on its own line at the top of the resume',
+    location: 'Add your city and country; many recruiters filter candidates by location',
+    linkedin: 'Add a link to your LinkedIn profile'
+  };
+
+  return {
+    score: 1 - missing.reduce((sum, field) => sum + CONTACT_WEIGHTS[field], 0),
+    details: { present: Object.keys(CONTACT_WEIGHTS).filter(has), missing },
+    suggestions: [
+      ...missing.map(field => ({ id: `missing_contact_${field}`, gain: CONTACT_WEIGHTS[field], message: messages[field] })),
+      ...(contact.hasPhone && !contact.phone
+        ? [{ id: 'confirm_contact_phone', gain: 0, message: 'Confirm your phone number; it is hidden in the stored copy, so exports leave it out until you do' }]
+        : [])
+    ]
+  };
+}
+
+function checkImpact(profile, language) {
+  const bullets = (profile.experience || []).flatMap(position => position.bullets || []);
+  if (bullets.length === 0) {
+    return {
+      score: 0,
+      details: { bullets: 0, quantified: 0, weakOpeners: 0 },
+      suggestions: [{
+        id: 'no_bullet_points',
+        gain: 1,
+        message: 'Describe each position with 3-5 bullet points about what you achieved'
+      }]
+    };
+  }
+
+  // Years ("since 2019") are not metrics
+  const quantified = bullets.filter(bullet => METRIC_PATTERN.test(bullet.replace(/\b(?:19|20)\d{2}\b/g, '')));
+  const unquantified = bullets.filter(bullet => !quantified.includes(bullet));
+  // Opener phrases are English; other languages are only checked for metrics
+  const weak = language === 'en' ? bullets.filter(bullet => WEAK_OPENERS.test(bullet)) : [];
+
+  const quantifiedScore = Math.min(1, quantified.length / bullets.length / TARGET_QUANTIFIED_SHARE);
+  const verbScore = 1 - weak.length / bullets.length;
+  const suggestions = [];
+
+  if (quantifiedScore < 1) {
+    suggestions.push({
+      id: 'quantify_achievements',
+      gain: 0.75 * (1 - quantifiedScore),
+      message: `Only ${quantified.length} of ${bullets.length} bullet points include a number. Add metrics such as percentages, amounts, team sizes or time saved`,
+      examples: unquantified.slice(0, 3)
+    });
+  }
+  if (weak.length) {
+    suggestions.push({
+      id: 'use_action_verbs',
+      gain: 0.25 * (1 - verbScore),
+      message: 'Start bullet points with a strong action verb ("Built", "Led", "Reduced") instead of phrases like "Responsible for"',
+      examples: weak.slice(0, 3)
+    });
+  }
+
+  return {
+    score: 0.75 * quantifiedScore + 0.25 * verbScore,
+    details: { bullets: bullets.length, quantified: quantified.length, weakOpeners: weak.length },
+    suggestions
+  };
+}
+
+function checkLength(profile, metadata) {
+  const words = (profile.rawText || '').split(/\s+/).filter(Boolean).length;
+  const pages = metadata.pages?.length || null;
+  const suggestions = [];
+  let score = 1;
+
+  if (words < MIN_WORDS) {
+    score = words / MIN_WORDS;
+    suggestions.push({
+      id: 'resume_too_short',
+      gain: 1 - score,
+      message: `Your resume has about ${words} words. Aim for ${MIN_WORDS}-${MAX_WORDS}: describe your achievements, projects and skills in more detail`
+    });
+  } else if (words > MAX_WORDS || (pages && pages > MAX_PAGES)) {
+    score = Math.max(0.4, Math.min(MAX_WORDS / words, pages ? MAX_PAGES / pages : 1));
+    suggestions.push({
+      id: 'resume_too_long',
+      gain: 1 - score,
+      message: `Your resume runs to ${pages ? `${pages} pages` : `about ${words} words`}. Keep it to ${MAX_PAGES} pages by trimming older or less relevant roles`
+    });
+  }
+
+  return { score, details: { words, pages }, suggestions };
+}
+
+function checkDates(profile) {
+  const positions = profile.experience || [];
+  if (positions.length === 0) {
+    return { score: 1, details: { positions: 0 }, suggestions: [] };
+  }
+
+  const dated = positions.filter(position => position.startDate);
+  const undated = positions.filter(position => !position.startDate);
+  const suggestions = [];
+
+  // Month precision on some positions and year-only on others
+  const precisions = new Set(dated.map(position => (position.startDate.length > 4 ? 'month' : 'year')));
+  const mixedFormats = precisions.size > 1;
+
+  const starts = dated.map(position => toMonthIndex(position.startDate, 1));
+  const reverseChronological = starts.every((start, index) => index === 0 || start <= starts[index - 1]);
+
+  const gaps = findGaps(dated);
+
+  let score = 1;
+  if (undated.length) {
+    const share = undated.length / positions.length;
+    score -= 0.5 * share;
+    suggestions.push({
+      id: 'missing_dates',
+      gain: 0.5 * share,
+      message: 'Add start and end dates (month and year) to every position',
+      examples: undated.map(position => position.title || position.company).filter(Boolean).slice(0, 3)
+    });
+  }
+  if (mixedFormats) {
+    score -= 0.2;
+    suggestions.push({
+      id: 'inconsistent_date_formats',
+      gain: 0.2,
+      message: 'Use one date format throughout, e.g. "Jan 2021 - Mar 2023", rather than mixing years and months'
+    });
+  }
+  if (!reverseChronological) {
+    score -= 0.2;
+    suggestions.push({
+      id: 'not_reverse_chronological',
+      gain: 0.2,
+      message: 'List positions in reverse-chronological order, most recent first'
+    });
+  }
+  if (gaps.length) {
+    score -= 0.1;
+    suggestions.push({
+      id: 'employment_gaps',
+      gain: 0.1,
+      message: `There ${gaps.length === 1 ? 'is a gap' : `are ${gaps.length} gaps`} of more than ${MAX_GAP_MONTHS} months between positions. Consider covering them with freelance work, study or projects`,
+      examples: gaps.map(gap => `${gap.from} to ${gap.to}`)
+    });
+  }
+
+  return {
+    score: Math.max(0, score),
+    details: { positions: positions.length, undated: undated.length, mixedFormats, reverseChronological, gaps },
+    suggestions
+  };
+}
+
+function findGaps(positions) {
+  const intervals = positions
+    .map(position => ({
+      start: toMonthIndex(position.startDate, 1),
+      end: position.current || !position.endDate ? currentMonthIndex() : toMonthIndex(position.endDate, 12),
+      startDate: position.startDate,
+      endDate: position.endDate
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const gaps = [];
+  let covered = null;
+
+  for (const interval of intervals) {
+    if (covered && interval.start - covered.end - 1 > MAX_GAP_MONTHS) {
+      gaps.push({ from: covered.endDate, to: interval.startDate, months: interval.start - covered.end - 1 });
+    }
+    if (!covered || interval.end > covered.end) covered = interval;
+  }
+
+  return gaps;
+}
+
+function checkKeywords(profile) {
+  const skills = profile.skillDetails || (profile.skills || []).map(name => ({ name, mentions: 1 }));
+  const words = (profile.rawText || '').split(/\s+/).filter(Boolean).length;
+
+  // Skills backed up by the experience and project descriptions, not just listed
+  const narrative = [
+    ...(profile.experience || []).flatMap(position => position.bullets || []),
+    ...(profile.projects || []).map(project => project.description || '')
+  ].join('\n');
+  const evidenced = new Set(detectSkills(narrative).map(skill => skill.name.toLowerCase()));
+  const unevidenced = skills.filter(skill => !evidenced.has(skill.name.toLowerCase()));
+
+  const mentions = skills.reduce((sum, skill) => sum + (skill.mentions || 1), 0);
+  const density = words ? round((mentions / words) * 100) : 0;
+
+  const countScore = Math.min(1, skills.length / MIN_SKILLS);
+  const evidenceScore = skills.length ? Math.min(1, (skills.length - unevidenced.length) / skills.length / 0.5) : 0;
+  const suggestions = [];
+
+  if (countScore < 1) {
+    suggestions.push({
+      id: 'too_few_skills',
+      gain: 0.5 * (1 - countScore),
+      message: `Only ${skills.length} skill${skills.length === 1 ? '' : 's'} could be identified. List the specific tools, languages and methods a job description would ask for`
+    });
+  }
+  if (skills.length && evidenceScore < 1) {
+    suggestions.push({
+      id: 'skills_not_in_experience',
+      gain: 0.5 * (1 - evidenceScore),
+      message: 'Mention your key skills in your experience bullet points too; ATS ranking weighs skills used in context',
+      examples: unevidenced.slice(0, 5).map(skill => skill.name)
+    });
+  }
+
+  return {
+    score: 0.5 * countScore + 0.5 * evidenceScore,
+    details: { skills: skills.length, usedInExperience: skills.length - unevidenced.length, density },
+    suggestions
+  };
+}
+
+function checkFormatting(metadata) {
+  const quality = metadata.quality;
+  const format = metadata.detectedFormat;
+  const suggestions = [];
+  let score = 1;
+
+  if (quality?.multiColumn) {
+    score -= 0.4;
+    suggestions.push({
+      id: 'multi_column_layout',
+      gain: 0.4,
+      message: 'Use a single-column layout; many ATS read multi-column resumes out of order'
+    });
+  }
+  if (quality?.ocr) {
+    score -= 0.4;
+    suggestions.push({
+      id: 'image_based_text',
+      gain: 0.4,
+      message: 'Some text is in images or scanned pages. Export your resume from a word processor so the text is selectable'
+    });
+  }
+  if (format && !ATS_FRIENDLY_FORMATS.includes(format)) {
+    score -= 0.2;
+    suggestions.push({
+      id: 'file_format',
+      gain: 0.2,
+      message: `Upload your resume as PDF or DOCX; ${format.slice(1).toUpperCase()} files are not accepted by every ATS`
+    });
+  }
+
+  return {
+    score: Math.max(0, score),
+    details: { format: format || null, multiColumn: Boolean(quality?.multiColumn), ocr: Boolean(quality?.ocr) },
+    suggestions
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,235 @@
+import { getParsedProfile } from './parseResume.js';
+import { normalizeSkill } from './skillTaxonomy.js';
+
+/**
+ * User corrections to parsed resume data. Overrides live in
+ * resumes.parsed_overrides as { "<field path>": { value, editedAt } }, apart
+ * from the parser output in resumes.parsed_data, so re-parsing a file never
+ * loses them. Readers merge them with applyOverrides().
+ */
+
+// Field path -> expected value type
+export const EDITABLE_FIELDS = {
+  'contact.name': 'string',
+  'contact.email': 'string',
+  'contact.phone': 'string',
+  'contact.location': 'string',
+  'contact.city': 'string',
+  'contact.country': 'string',
+  'contact.linkedin': 'string',
+  'contact.github': 'string',
+  'contact.website': 'string',
+  summary: 'string',
+  skills: 'stringArray',
+  companies: 'stringArray',
+  totalYearsExperience: 'number',
+  experience: 'objectArray',
+  education: 'array',
+  certifications: 'array',
+  projects: 'array',
+  awards: 'array',
+  languages: 'array',
+  publications: 'array'
+};
+
+const MAX_STRING_LENGTH = 5000;
+const MAX_ARRAY_LENGTH = 200;
+
+/**
+ * Turn a PATCH body (a partial profile, e.g. { contact: { name }, skills: [...] })
+ * into field-path changes. A null value removes the override.
+ * @param {Object} body - Request body
+ * @returns {{changes: Object, errors: string[]}}
+ */
+export function parseOverridePatch(body) {
+  const changes = {};
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { changes, errors: ['Body must be an object of fields to correct'] };
+  }
+
+  const entries = Object.entries(body).flatMap(([key, value]) =>
+    key === 'contact' && value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.entries(value).map(([field, fieldValue]) => [`contact.${field}`, fieldValue])
+      : [[key, value]]
+  );
+
+  for (const [field, value] of entries) {
+    const type = EDITABLE_FIELDS[field];
+
+    if (!type) {
+      errors.push(`${field} is not an editable field`);
+    } else if (value === null) {
+      changes[field] = null;
+    } else {
+      const error = validateValue(type, value);
+      if (error) errors.push(`${field} ${error}`);
+      else changes[field] = cleanValue(type, value);
+    }
+  }
+
+  if (!errors.length && !Object.keys(changes).length) {
+    errors.push('No fields to update');
+  }
+
+  return { changes, errors };
+}
+
+/**
+ * Apply field-path changes to stored overrides
+ * @param {Object} overrides - Current resumes.parsed_overrides
+ * @param {Object} changes - From parseOverridePatch
+ * @returns {Object} New overrides
+ */
+export function updateOverrides(overrides = {}, changes) {
+  const updated = { ...(overrides || {}) };
+  const editedAt = new Date().toISOString();
+
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === null) delete updated[field];
+    else updated[field] = { value, editedAt };
+  }
+
+  return updated;
+}
+
+/**
+ * Parsed profile with the user's overrides on top
+ * @param {Object} profile - parsedData (see getParsedProfile)
+ * @param {Object} overrides - resumes.parsed_overrides
+ * @returns {Object|null} Merged profile
+ */
+export function applyOverrides(profile, overrides) {
+  const fields = Object.keys(overrides || {});
+  if (!profile || fields.length === 0) return profile;
+
+  const merged = { ...profile, contact: { ...(profile.contact || {}) } };
+
+  for (const field of fields) {
+    const { value } = overrides[field];
+    if (field.startsWith('contact.')) {
+      merged.contact[field.slice('contact.'.length)] = value;
+    } else {
+      merged[field] = value;
+    }
+  }
+
+  // Keep derived fields in step with what the user corrected
+  if (overrides.skills) {
+    merged.skillDetails = userSkillDetails(overrides.skills.value);
+    merged.skills = merged.skillDetails.map(skill => skill.name);
+    merged.skillCategories = merged.skillDetails.reduce((grouped, skill) => {
+      (grouped[skill.category] = grouped[skill.category] || []).push(skill.name);
+      return grouped;
+    }, {});
+  }
+  if (overrides.experience && !overrides.companies) {
+    merged.companies = [...new Set(merged.experience.map(position => position.company).filter(Boolean))];
+  }
+
+  // User-confirmed values are fully trusted; item-level scores no longer apply
+  if (profile.fieldConfidence) {
+    merged.fieldConfidence = Object.fromEntries(
+      Object.entries(profile.fieldConfidence).filter(([path]) => !fields.includes(path.replace(/\[\d+\]$/, '')))
+    );
+    for (const field of fields) {
+      merged.fieldConfidence[field] = { score: 1, evidence: null, source: 'user' };
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Stored parse result (parseResumeBuffer output) with overrides merged into
+ * parsedData, the shape users.parsed_resume and the API responses carry
+ * @param {Object} parsedResume - resumes.parsed_data
+ * @param {Object} overrides - resumes.parsed_overrides
+ */
+export function applyOverridesToResume(parsedResume, overrides) {
+  if (!parsedResume || !Object.keys(overrides || {}).length) return parsedResume;
+
+  const profile = applyOverrides(getParsedProfile(parsedResume), overrides);
+  if (!parsedResume.parsedData) return profile;
+
+  // Fields the user has confirmed no longer need confirming
+  const quality = parsedResume.metadata?.quality;
+  const metadata = quality
+    ? {
+        ...parsedResume.metadata,
+        quality: {
+          ...quality,
+          weakFields: quality.weakFields.filter(path => !overrides[path.replace(/\[\d+\]$/, '')])
+        }
+      }
+    : parsedResume.metadata;
+
+  return { ...parsedResume, parsedData: profile, metadata };
+}
+
+/**
+ * Contact values the user has confirmed by editing them, which PII
+ * redaction must leave alone
+ * @param {Object} overrides - resumes.parsed_overrides
+ * @returns {string[]}
+ */
+export function getConfirmedContactValues(overrides) {
+  return Object.entries(overrides || {})
+    .filter(([field, override]) => field.startsWith('contact.') && typeof override?.value === 'string')
+    .map(([, override]) => override.value);
+}
+
+/**
+ * Field paths the user has edited
+ */
+export function getEditedFields(overrides) {
+  return Object.keys(overrides || {}).sort();
+}
+
+// User-entered skills are kept even when the taxonomy does not know them
+function userSkillDetails(skills) {
+  const details = new Map();
+
+  for (const raw of skills) {
+    const known = normalizeSkill(raw);
+    const name = known?.name || raw;
+    if (!details.has(name.toLowerCase())) {
+      details.set(name.toLowerCase(), { name, category: known?.category || 'other', source: 'user', mentions: 0 });
+    }
+  }
+
+  return [...details.values()];
+}
+
+function validateValue(type, value) {
+  switch (type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (value.length > MAX_STRING_LENGTH) return `must be at most ${MAX_STRING_LENGTH} characters`;
+      return null;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : 'must be a non-negative number';
+    case 'stringArray':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return 'must be an array of strings';
+      return value.length > MAX_ARRAY_LENGTH ? `must have at most ${MAX_ARRAY_LENGTH} items` : null;
+    case 'objectArray':
+      if (!Array.isArray(value) || value.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+        return 'must be an array of objects';
+      }
+      return value.length > MAX_ARRAY_LENGTH ? `must have at most ${MAX_ARRAY_LENGTH} items` : null;
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      return value.length > MAX_ARRAY_LENGTH ? `must have at most ${MAX_ARRAY_LENGTH} items` : null;
+    default:
+      return 'has an unknown type';
+  }
+}
+
+function cleanValue(type, value) {
+  if (type === 'string') return value.trim();
+  if (type === 'stringArray') {
+    return [...new Set(value.map(item => item.trim()).filter(Boolean))];
+  }
+  return value;
+}
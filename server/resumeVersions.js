@@ -0,0 +1,130 @@
+import { supabase } from './supabase.js';
+import { getParsedProfile } from './parseResume.js';
+import { applyOverridesToResume } from './resumeOverrides.js';
+
+/**
+ * Resume versions. Every upload is a row in `resumes`; the active one is
+ * `users.active_resume_id` (falling back to the latest upload for users who
+ * predate the column) and is mirrored, with the user's overrides applied, into
+ * users.parsed_resume, skills, certifications, education and companies, which
+ * the cron job and recommendation endpoints read.
+ */
+
+export const RESUME_SUMMARY_COLUMNS = 'id, filename, file_size, mime_type, uploaded_at';
+
+/**
+ * Get the resume row that currently drives the user's profile
+ * @param {string} email - User email
+ * @param {string} [columns] - Columns to select from resumes
+ * @returns {Promise<Object|null>} Resume row or null when the user has none
+ */
+export async function getActiveResume(email, columns = '*') {
+  const activeId = await getActiveResumeId(email);
+
+  if (activeId) {
+    const { data: active, error } = await supabase
+      .from('resumes')
+      .select(columns)
+      .eq('id', activeId)
+      .eq('user_email', email)
+      .maybeSingle();
+
+    if (error) {
+      console.warn(`⚠️ Failed to load active resume ${activeId}:`, error.message);
+    }
+    if (active) return active;
+  }
+
+  return getLatestResume(email, columns);
+}
+
+/**
+ * ID of the active version: the stored pointer, or the latest upload
+ * @param {string} email - User email
+ * @returns {Promise<string|null>}
+ */
+export async function getActiveResumeId(email) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('active_resume_id')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('⚠️ Could not read active_resume_id, using latest upload:', error.message);
+  }
+  if (user?.active_resume_id) return user.active_resume_id;
+
+  const latest = await getLatestResume(email, 'id');
+  return latest?.id || null;
+}
+
+/**
+ * Most recent upload for a user
+ */
+export async function getLatestResume(email, columns = '*') {
+  const { data, error } = await supabase
+    .from('resumes')
+    .select(columns)
+    .eq('user_email', email)
+    .order('uploaded_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('⚠️ Failed to load latest resume:', error.message);
+  }
+
+  return data || null;
+}
+
+/**
+ * Make a resume version drive the user's profile
+ * @param {string} email - User email
+ * @param {Object} resume - Resume row with id, parsed_data, parsed_overrides and uploaded_at
+ */
+export async function activateResume(email, resume) {
+  const parsedResume = applyOverridesToResume(resume.parsed_data, resume.parsed_overrides);
+  const profile = getParsedProfile(parsedResume) || {};
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      active_resume_id: resume.id,
+      resume_uploaded_at: resume.uploaded_at,
+      parsed_resume: parsedResume,
+      // Update profile fields from resume if they exist
+      skills: profile.skills?.length ? profile.skills : null,
+      certifications: profile.certifications?.length ? profile.certifications : null,
+      education: profile.education?.length ? profile.education : null,
+      companies: profile.companies?.length ? profile.companies : null
+    })
+    .eq('email', email);
+
+  if (error) {
+    throw new Error(`Failed to activate resume ${resume.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Clear the resume-derived profile columns once the last version is gone
+ * @param {string} email - User email
+ */
+export async function clearActiveResume(email) {
+  const { error } = await supabase
+    .from('users')
+    .update({
+      active_resume_id: null,
+      resume_uploaded_at: null,
+      parsed_resume: null,
+      skills: null,
+      certifications: null,
+      education: null,
+      companies: null
+    })
+    .eq('email', email);
+
+  if (error) {
+    throw new Error(`Failed to clear resume profile: ${error.message}`);
+  }
+}
@@ -0,0 +1,150 @@
+import express from 'express';
+import { verifyAuthToken } from '../authMiddleware.js';
+import { supabase } from '../supabase.js';
+import { getParsedProfile } from '../parseResume.js';
+import { getActiveResume } from '../resumeVersions.js';
+import { applyOverridesToResume } from '../resumeOverrides.js';
+import { listRoles, parseCareerGoal, goalRequirements } from '../careerRoles.js';
+import { buildCareerPath } from '../careerPath.js';
+import { determineExperienceLevel } from '../recommendationEngine.js';
+import { loadCatalog } from '../catalog/index.js';
+import { redactEmail } from '../redaction.js';
+
+const router = express.Router();
+
+// Roles a career goal can target
+const getCareerRoles = (req, res) => {
+  res.json({ success: true, roles: listRoles() });
+};
+
+const getCareerGoal = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('career_goal')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, career_goal: user.career_goal || null });
+
+  } catch (error) {
+    console.error('❌ Error fetching career goal:', error.message);
+    res.status(500).json({ error: 'Failed to fetch career goal', details: error.message });
+  }
+};
+
+// Set (or replace) the role the user is working towards and by when
+const setCareerGoal = async (req, res) => {
+  const email = req.user.email;
+
+  const { goal, errors } = parseCareerGoal(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid career goal', details: errors });
+  }
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ career_goal: goal })
+      .eq('email', email)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`🎯 Career goal for ${redactEmail(email)}: ${goal.role} in ${goal.timeframe_months} months`);
+    res.json({ success: true, career_goal: goal });
+
+  } catch (error) {
+    console.error('❌ Error saving career goal:', error.message);
+    res.status(500).json({ error: 'Failed to save career goal', details: error.message });
+  }
+};
+
+const clearCareerGoal = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const { error } = await supabase
+      .from('users')
+      .update({ career_goal: null })
+      .eq('email', email);
+
+    if (error) throw new Error(error.message);
+
+    res.json({ success: true, career_goal: null });
+
+  } catch (error) {
+    console.error('❌ Error clearing career goal:', error.message);
+    res.status(500).json({ error: 'Failed to clear career goal', details: error.message });
+  }
+};
+
+// Staged roadmap from the active resume to the career goal
+const getCareerPath = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('skills, parsed_resume, career_goal')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const targetRole = goalRequirements(user.career_goal);
+    if (!targetRole) {
+      return res.status(404).json({ error: 'No career goal set. Set one with PUT /career-goal.' });
+    }
+
+    // Confirmed edits win over the parser; users without a resume row fall
+    // back to the profile copy
+    const resume = await getActiveResume(email, 'id, parsed_data, parsed_overrides');
+    const profile = (resume && getParsedProfile(applyOverridesToResume(resume.parsed_data, resume.parsed_overrides)))
+      || getParsedProfile(user.parsed_resume)
+      || {};
+    const skills = profile.skills?.length ? profile.skills : (user.skills || []);
+    const level = determineExperienceLevel(profile.experience || [], profile.totalYearsExperience);
+
+    const path = buildCareerPath({
+      skills,
+      level,
+      targetRole,
+      goal: user.career_goal,
+      catalog: await loadCatalog()
+    });
+
+    res.json({
+      success: true,
+      career_goal: user.career_goal,
+      experience_level: level,
+      ...path
+    });
+
+  } catch (error) {
+    console.error('❌ Error building career path:', error.message);
+    res.status(500).json({ error: 'Failed to build career path', details: error.message });
+  }
+};
+
+router.get('/career-roles', getCareerRoles);
+router.get('/career-goal', verifyAuthToken, getCareerGoal);
+router.put('/career-goal', verifyAuthToken, setCareerGoal);
+router.delete('/career-goal', verifyAuthToken, clearCareerGoal);
+router.get('/career-path', verifyAuthToken, getCareerPath);
+
+export default router;
@@ -0,0 +1,177 @@
+import express from 'express';
+import { verifyAuthToken, requireAdmin } from '../authMiddleware.js';
+import {
+  CATALOG_ITEM_TYPES,
+  parseCatalogItem,
+  listCatalogItems,
+  getCatalogItem,
+  createCatalogItem,
+  updateCatalogItem,
+  renameCatalogItem,
+  deleteCatalogItem,
+  importCatalogItems
+} from '../catalog/index.js';
+import { normalizeSkill } from '../skillTaxonomy.js';
+
+const router = express.Router();
+
+// Postgres unique_violation: an item with the same type, provider and title
+const DUPLICATE_ITEM = '23505';
+
+router.use(verifyAuthToken, requireAdmin);
+
+// List catalog items, filtered by type, skill or tag
+const listItems = async (req, res) => {
+  const { type, skill, tag, limit, offset } = req.query;
+
+  if (type && !CATALOG_ITEM_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${CATALOG_ITEM_TYPES.join(', ')}` });
+  }
+
+  try {
+    const { items, total } = await listCatalogItems({
+      type,
+      skill: skill && (normalizeSkill(skill)?.name || skill),
+      tag,
+      includeInactive: req.query.include_inactive === 'true',
+      limit,
+      offset
+    });
+
+    res.json({ success: true, total, items });
+
+  } catch (error) {
+    console.error('❌ Error listing catalog items:', error.message);
+    res.status(500).json({ error: 'Failed to list catalog items', details: error.message });
+  }
+};
+
+const getItem = async (req, res) => {
+  try {
+    const item = await getCatalogItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Catalog item not found' });
+    }
+
+    res.json({ success: true, item });
+
+  } catch (error) {
+    console.error('❌ Error fetching catalog item:', error.message);
+    res.status(500).json({ error: 'Failed to fetch catalog item', details: error.message });
+  }
+};
+
+const createItem = async (req, res) => {
+  const { item, errors } = parseCatalogItem(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid catalog item', details: errors });
+  }
+
+  try {
+    const created = await createCatalogItem(item);
+    console.log(`📚 Catalog ${created.type} "${created.title}" added (${created.id})`);
+    res.status(201).json({ success: true, item: created });
+
+  } catch (error) {
+    if (error.code === DUPLICATE_ITEM) {
+      return res.status(409).json({ error: 'A catalog item with this type, provider and title already exists' });
+    }
+    console.error('❌ Error creating catalog item:', error.message);
+    res.status(500).json({ error: 'Failed to create catalog item', details: error.message });
+  }
+};
+
+// Edits keep the item's slug (its recommendation ID); the type is part of
+// that ID, so it cannot change
+const updateItem = async (req, res) => {
+  const { item: changes, errors } = parseCatalogItem(req.body, { partial: true });
+  if ('type' in changes) {
+    errors.push('type cannot be changed; add a new item instead');
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid catalog item', details: errors });
+  }
+
+  try {
+    const updated = await updateCatalogItem(req.params.id, changes);
+    if (!updated) {
+      return res.status(404).json({ error: 'Catalog item not found' });
+    }
+
+    console.log(`✏️ Catalog item ${updated.id} updated: ${Object.keys(changes).join(', ')}`);
+    res.json({ success: true, item: updated });
+
+  } catch (error) {
+    console.error('❌ Error updating catalog item:', error.message);
+    res.status(500).json({ error: 'Failed to update catalog item', details: error.message });
+  }
+};
+
+// Re-derive the slug from the item's current provider and title
+const renameItem = async (req, res) => {
+  try {
+    const renamed = await renameCatalogItem(req.params.id);
+    if (!renamed) {
+      return res.status(404).json({ error: 'Catalog item not found' });
+    }
+
+    console.log(`🏷️ Catalog item ${renamed.id} slug is now ${renamed.slug}`);
+    res.json({ success: true, item: renamed });
+
+  } catch (error) {
+    if (error.code === DUPLICATE_ITEM) {
+      return res.status(409).json({ error: 'A catalog item with this type, provider and title already exists' });
+    }
+    console.error('❌ Error renaming catalog item:', error.message);
+    res.status(500).json({ error: 'Failed to rename catalog item', details: error.message });
+  }
+};
+
+const deleteItem = async (req, res) => {
+  try {
+    const deleted = await deleteCatalogItem(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Catalog item not found' });
+    }
+
+    console.log(`🗑️ Catalog item ${req.params.id} deleted`);
+    res.json({ success: true, deleted_id: req.params.id });
+
+  } catch (error) {
+    console.error('❌ Error deleting catalog item:', error.message);
+    res.status(500).json({ error: 'Failed to delete catalog item', details: error.message });
+  }
+};
+
+// Bulk import: { items: [...], deactivate_missing?: boolean }, or a bare array.
+// Items are matched by type, provider and title, so re-importing updates them.
+const importItems = async (req, res) => {
+  const items = Array.isArray(req.body) ? req.body : req.body?.items;
+
+  try {
+    const result = await importCatalogItems(items, {
+      deactivateMissing: req.body?.deactivate_missing === true
+    });
+
+    if (result.errors.length) {
+      return res.status(400).json({ error: 'Import rejected, nothing was saved', details: result.errors });
+    }
+
+    console.log(`📦 Catalog import: ${result.imported} items saved, ${result.deactivated} deactivated`);
+    res.json({ success: true, imported: result.imported, deactivated: result.deactivated });
+
+  } catch (error) {
+    console.error('❌ Error importing catalog:', error.message);
+    res.status(500).json({ error: 'Failed to import catalog', details: error.message });
+  }
+};
+
+router.get('/', listItems);
+router.post('/', createItem);
+router.post('/import', importItems);
+router.get('/:id', getItem);
+router.patch('/:id', updateItem);
+router.post('/:id/rename', renameItem);
+router.delete('/:id', deleteItem);
+
+export default router;
@@ -0,0 +1,84 @@
+import express from 'express';
+import { verifyAuthToken } from '../authMiddleware.js';
+import { getParsedProfile } from '../parseResume.js';
+import { getActiveResume } from '../resumeVersions.js';
+import { applyOverridesToResume } from '../resumeOverrides.js';
+import { toJsonResume } from '../exporters/jsonResume.js';
+import { toEuropassXml } from '../exporters/europass.js';
+import { renderResumePdf } from '../exporters/pdf.js';
+import { exportFilename } from '../exporters/common.js';
+import { redactEmail } from '../redaction.js';
+
+const router = express.Router();
+
+// Export formats: how to render the profile and what to send it as
+const EXPORT_FORMATS = {
+  'json-resume': {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    render: async (profile, options) => JSON.stringify(toJsonResume(profile, options), null, 2)
+  },
+  europass: {
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'xml',
+    render: async (profile, options) => toEuropassXml(profile, options)
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    render: renderResumePdf
+  }
+};
+
+// Download the active resume (with the user's edits) as JSON Resume, Europass XML or PDF
+const exportResume = async (req, res) => {
+  const email = req.user.email;
+  const format = EXPORT_FORMATS[req.params.format];
+
+  if (!format) {
+    return res.status(400).json({
+      error: `Unsupported export format: ${req.params.format}`,
+      supported: Object.keys(EXPORT_FORMATS)
+    });
+  }
+
+  try {
+    const resume = await getActiveResume(email, 'id, parsed_data, parsed_overrides, uploaded_at');
+    const parsed = resume && applyOverridesToResume(resume.parsed_data, resume.parsed_overrides);
+    const profile = parsed && getParsedProfile(parsed);
+    if (!profile) {
+      return res.status(404).json({ error: 'No parsed resume found. Upload a resume first.' });
+    }
+
+    const options = {
+      language: parsed.metadata?.language?.code,
+      updatedAt: resume.uploaded_at
+    };
+
+    let body;
+    try {
+      body = await format.render(profile, options);
+    } catch (error) {
+      if (req.params.format !== 'pdf') throw error;
+      console.error('❌ PDF renderer failed:', error.message);
+      return res.status(503).json({ error: 'PDF export is temporarily unavailable', details: error.message });
+    }
+
+    console.log(`📤 Exported resume ${resume.id} as ${req.params.format} for ${redactEmail(email)}`);
+
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${exportFilename(profile.contact?.name, format.extension)}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(body);
+
+  } catch (error) {
+    console.error('❌ Error exporting resume:', error.message);
+    res.status(500).json({ error: 'Failed to export resume', details: error.message });
+  }
+};
+
+router.get('/export/:format', verifyAuthToken, exportResume);
+
+export default router;
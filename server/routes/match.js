@@ -0,0 +1,111 @@
+import express from 'express';
+import { verifyAuthToken } from '../authMiddleware.js';
+import { getParsedProfile } from '../parseResume.js';
+import { getActiveResume } from '../resumeVersions.js';
+import { applyOverridesToResume } from '../resumeOverrides.js';
+import { extractJobRequirements, matchResumeToJob } from '../jobMatch.js';
+import { JOB_SOURCES, getJobPosting, htmlToText } from '../jobPostings.js';
+import { redactEmail } from '../redaction.js';
+import { parseJobRecommendationId } from '../recommendations.js';
+
+const router = express.Router();
+
+const MIN_DESCRIPTION_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 50000;
+
+/**
+ * The posting to match against: a pasted description, or a job from
+ * /jobs/remotive, /jobs/jsearch or a job recommendation (its full text when
+ * we still have it)
+ * @returns {Promise<{posting: Object|null, error: string|null}>}
+ */
+const resolvePosting = async (body = {}) => {
+  if (typeof body.job_description === 'string') {
+    const description = htmlToText(body.job_description);
+    if (description.length < MIN_DESCRIPTION_LENGTH) {
+      return { posting: null, error: `job_description must be at least ${MIN_DESCRIPTION_LENGTH} characters` };
+    }
+    return {
+      posting: {
+        title: typeof body.job_title === 'string' ? body.job_title : '',
+        description: description.slice(0, MAX_DESCRIPTION_LENGTH)
+      },
+      error: null
+    };
+  }
+
+  const job = body.job;
+  if (!job || typeof job !== 'object') {
+    return { posting: null, error: 'Provide job_description (text) or job (from /jobs/remotive or /jobs/jsearch)' };
+  }
+
+  const reference = parseJobRecommendationId(job.id)
+    || (JOB_SOURCES.includes(job.source) && job.id ? { source: job.source, id: String(job.id) } : null);
+  if (reference) {
+    const stored = await getJobPosting(reference.source, reference.id);
+    if (stored) return { posting: stored, error: null };
+  }
+
+  // Not cached (or expired): fall back to what the client sent back
+  if (typeof job.description !== 'string' || !job.description.trim()) {
+    return { posting: null, error: 'job.description is required' };
+  }
+
+  return {
+    posting: {
+      title: typeof job.title === 'string' ? job.title : '',
+      company: job.company || job.provider || null,
+      description: htmlToText(job.description).slice(0, MAX_DESCRIPTION_LENGTH)
+    },
+    error: null
+  };
+};
+
+// How well the user's resume fits a job posting
+const matchResume = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const { posting, error } = await resolvePosting(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const resume = await getActiveResume(email, 'id, parsed_data, parsed_overrides');
+    const profile = resume && getParsedProfile(applyOverridesToResume(resume.parsed_data, resume.parsed_overrides));
+    if (!profile) {
+      return res.status(404).json({ error: 'No parsed resume found. Upload a resume first.' });
+    }
+
+    const requirements = extractJobRequirements(posting);
+    const match = matchResumeToJob(profile, requirements);
+
+    console.log(`🎯 Resume ${resume.id} matched against "${posting.title || 'pasted job'}" for ${redactEmail(email)}: ${match.matchPercentage}%`);
+
+    res.json({
+      success: true,
+      resume_id: resume.id,
+      job: {
+        title: posting.title || null,
+        company: posting.company || null,
+        source: posting.source || null,
+        required_skills: requirements.skills.filter(skill => skill.required).map(skill => skill.name),
+        preferred_skills: requirements.skills.filter(skill => !skill.required).map(skill => skill.name),
+        seniority: requirements.seniority
+      },
+      match_percentage: match.matchPercentage,
+      matched_skills: match.matchedSkills,
+      missing_skills: match.missingSkills,
+      seniority: match.seniority,
+      suggested_keywords: match.suggestedKeywords
+    });
+
+  } catch (error) {
+    console.error('❌ Error matching resume:', error.message);
+    res.status(500).json({ error: 'Failed to match resume', details: error.message });
+  }
+};
+
+router.post('/match', verifyAuthToken, matchResume);
+
+export default router;
@@ -0,0 +1,135 @@
+import express from 'express';
+import { verifyAuthToken } from '../authMiddleware.js';
+import { normalizeRecommendations, toRecommendationItem } from '../recommendations.js';
+import {
+  parseFeedback,
+  recordFeedback,
+  getExcludedItemIds,
+  findRecommendedItem,
+  addCompletionToProfile,
+  skillsTaught
+} from '../recommendationFeedback.js';
+import { loadCatalog } from '../catalog/index.js';
+import { redactEmail } from '../redaction.js';
+import { supabase } from '../supabase.js';
+
+const router = express.Router();
+
+// Latest stored recommendations (from the cron job), in the recommendation item
+// schema. Rows written before the schema existed are upgraded here, and items
+// the user has since dismissed or completed are left out.
+const getLatestRecommendations = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, parsed_resume, last_recommendation_at')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (userError) throw new Error(userError.message);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { data: latest, error } = await supabase
+      .from('recommendations')
+      .select('id, courses, certifications, jobs, created_at')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    // Users from before the recommendations table only have the copy on their profile
+    const stored = latest || user.parsed_resume?.recommendations;
+    if (!stored) {
+      return res.status(404).json({ error: 'No recommendations yet' });
+    }
+
+    const excluded = await getExcludedItemIds(user.id);
+    const lists = Object.fromEntries(
+      Object.entries(normalizeRecommendations(stored)).map(([list, items]) => [list, items.filter(item => !excluded.has(item.id))])
+    );
+
+    res.json({
+      success: true,
+      recommendation_id: latest?.id || null,
+      created_at: latest?.created_at || user.last_recommendation_at || null,
+      ...lists
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching recommendations:', error.message);
+    res.status(500).json({ error: 'Failed to fetch recommendations', details: error.message });
+  }
+};
+
+// Record what the user thought of a recommended item. Items from
+// POST /recommendations are not stored, so the client may send the item back
+// in body.item for the ones the catalog does not have.
+const submitFeedback = async (req, res) => {
+  const email = req.user.email;
+
+  const { feedback, errors } = parseFeedback(req.params.itemId, req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid feedback', details: errors });
+  }
+
+  try {
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (userError) throw new Error(userError.message);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const found = await findRecommendedItem(user.id, feedback.itemId, await loadCatalog());
+    const submitted = req.body.item && toRecommendationItem({ ...req.body.item, id: feedback.itemId }, feedback.type);
+    const item = found?.item || submitted || null;
+
+    if (feedback.action === 'completed' && !item) {
+      return res.status(404).json({ error: 'Recommendation not found. Send the item in body.item.' });
+    }
+
+    const stored = await recordFeedback(user.id, feedback, item?.title);
+
+    let added = null;
+    if (feedback.action === 'completed') {
+      added = await addCompletionToProfile(email, item, found?.skills?.length ? found.skills : skillsTaught(item));
+    }
+
+    console.log(`👍 Feedback from ${redactEmail(email)}: ${feedback.action} on ${feedback.itemId}`);
+
+    res.json({
+      success: true,
+      feedback: {
+        item_id: stored.item_id,
+        type: stored.item_type,
+        action: stored.action,
+        updated_at: stored.updated_at
+      },
+      ...(added ? {
+        profile_updated: {
+          skills_added: added.skills,
+          certification_added: added.certification
+        }
+      } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving recommendation feedback:', error.message);
+    res.status(500).json({ error: 'Failed to save feedback', details: error.message });
+  }
+};
+
+router.get('/', verifyAuthToken, getLatestRecommendations);
+router.post('/:itemId/feedback', verifyAuthToken, submitFeedback);
+
+export default router;
@@ -1,6 +1,44 @@
 import express from 'express';
 import multer from 'multer';
-import { parseResumeBuffer } from '../parseResume.js';
+import { SUPPORTED_FORMATS } from '../parsers/documentFormats.js';
+import { ResumeParseError } from '../parsers/errors.js';
+import { resolveFileType } from '../parsers/fileType.js';
+import { getParsedProfile, PARSER_VERSION } from '../parseResume.js';
+import { evictCachedParse } from '../parseCache.js';
+import {
+  createParseJob,
+  getJob,
+  waitForJob,
+  subscribeToJob,
+  serializeJob,
+  TERMINAL_STATUSES
+} from '../jobs/resumeJobs.js';
+import { getPoolStats } from '../jobs/workerPool.js';
+import {
+  RESUME_SUMMARY_COLUMNS,
+  getActiveResumeId,
+  getLatestResume,
+  activateResume,
+  clearActiveResume
+} from '../resumeVersions.js';
+import {
+  storeOriginalFile,
+  readOriginalFile,
+  removeOriginalFile,
+  checksumOf,
+  createDownloadUrl,
+  verifyDownloadToken
+} from '../storage/index.js';
+import {
+  parseOverridePatch,
+  updateOverrides,
+  applyOverrides,
+  applyOverridesToResume,
+  getEditedFields,
+  getConfirmedContactValues
+} from '../resumeOverrides.js';
+import { analyzeResume, analysisForPlan } from '../resumeAnalysis.js';
+import { redactEmail, redactFilename } from '../redaction.js';
 import { supabase } from '../supabase.js'; // This should be your admin client
 import path from 'path';
 import { verifyAuthToken } from '../authMiddleware.js';
@@ -9,37 +47,145 @@ const router = express.Router();
 
 // Configure multer with memory storage instead of disk storage
 const storage = multer.memoryStorage();
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
 
 // Configure multer with file validation
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_UPLOAD_BYTES, // 10MB limit
+    files: 1
   },
   fileFilter: (req, file, cb) => {
-    // Accept only PDF and DOC/DOCX files
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
+    // Cheap first pass on name and declared type; the parser sniffs the real
+    // content from the magic bytes once the file is buffered
+    const format = SUPPORTED_FORMATS[path.extname(file.originalname).toLowerCase()];
+    // Browsers often send .md/.rtf files without a specific type
+    const genericTypes = ['application/octet-stream', ''];
     
-    if (allowedTypes.includes(file.mimetype)) {
+    if (format && (format.mimeTypes.includes(file.mimetype) || genericTypes.includes(file.mimetype || ''))) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF and Word documents are allowed.'), false);
+      cb(new ResumeParseError('UNSUPPORTED_FORMAT', `Invalid file type. Supported formats: ${Object.keys(SUPPORTED_FORMATS).join(', ')}`, {
+        supportedFormats: Object.keys(SUPPORTED_FORMATS)
+      }), false);
     }
   }
 });
 
-// Upload endpoint - fixed to match current schema
+// The user's latest version with exactly these bytes, if they uploaded it before
+const findDuplicateResume = async (email, checksum) => {
+  const { data, error } = await supabase
+    .from('resumes')
+    .select('*')
+    .eq('user_email', email)
+    .eq('file_checksum', checksum)
+    .order('uploaded_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data || null;
+};
+
+/**
+ * Store a finished parse: keep the original file, insert the resumes row and
+ * refresh the user's profile. Uploading a file the user already has reuses
+ * that version (re-parsed data replaces an older parser's output) instead of
+ * adding a copy.
+ * @returns {Promise<{resumeId: string, deduplicated: boolean}>}
+ */
+const saveParsedResume = async (user, file, resumeData, checksum) => {
+  const userEmail = user.email;
+
+  const duplicate = await findDuplicateResume(userEmail, checksum);
+  if (duplicate) {
+    let resume = duplicate;
+
+    if (duplicate.parsed_data?.metadata?.parserVersion !== PARSER_VERSION) {
+      const { data, error } = await supabase
+        .from('resumes')
+        .update({ parsed_data: resumeData })
+        .eq('id', duplicate.id)
+        .select()
+        .single();
+
+      if (error) throw new Error(error.message);
+      resume = data;
+    }
+
+    console.log(`♻️ ${redactFilename(file.originalname)} matches resume ${duplicate.id}, not storing a copy`);
+
+    try {
+      await activateResume(userEmail, resume);
+    } catch (updateError) {
+      console.warn('⚠️ Failed to update user profile:', updateError.message);
+    }
+
+    return { resumeId: duplicate.id, deduplicated: true };
+  }
+
+  const stored = await storeOriginalFile({
+    userId: user.id,
+    buffer: file.buffer,
+    filename: file.originalname,
+    contentType: resumeData.metadata.mimeType || file.mimetype
+  });
+
+  // Store in Supabase using admin client to bypass RLS
+  const { data, error } = await supabase
+    .from('resumes')
+    .insert({
+      user_email: userEmail,  // ✅ Use email as FK (current schema)
+      filename: file.originalname,
+      file_size: file.size,
+      // Type detected from the content, not the one the client sent
+      mime_type: resumeData.metadata.mimeType || file.mimetype,
+      parsed_data: resumeData,
+      storage_key: stored.storageKey,
+      storage_driver: stored.storageDriver,
+      file_checksum: stored.checksum,
+      uploaded_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Supabase insert error:', error);
+    // Don't leave an orphaned file behind
+    await removeOriginalFile({ storage_key: stored.storageKey, storage_driver: stored.storageDriver })
+      .catch(removeError => console.warn('⚠️ Failed to remove stored file:', removeError.message));
+    throw new Error(error.message);
+  }
+
+  console.log(`✅ Resume saved with ID: ${data.id}`);
+
+  // A new upload becomes the active version and refreshes the users profile columns
+  try {
+    await activateResume(userEmail, data);
+  } catch (updateError) {
+    console.warn('⚠️ Failed to update user profile:', updateError.message);
+    // Don't fail the request, just log the warning
+  }
+
+  return { resumeId: data.id, deduplicated: false };
+};
+
+// Upload endpoint - queues a parse job and answers with its ID right away.
+// ?wait=true keeps the old behaviour of responding with the parsed resume.
 const uploadResume = async (req, res) => {
   try {
     // Handle file upload
     upload.single('resume')(req, res, async (err) => {
       if (err) {
         console.error('Upload error:', err);
-        return res.status(400).json({ error: err.message });
+        if (err instanceof ResumeParseError) {
+          return res.status(err.status).json(err.toJSON());
+        }
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json(new ResumeParseError('FILE_TOO_LARGE', undefined, { limitBytes: MAX_UPLOAD_BYTES }).toJSON());
+        }
+        return res.status(400).json({ error: err.message, code: err.code });
       }
 
       if (!req.file) {
@@ -47,11 +193,7 @@ const uploadResume = async (req, res) => {
       }
 
       try {
-        console.log(`✅ Authenticated as: ${req.user.email}`);
-        console.log(`Processing ${req.file.originalname} buffer of size: ${req.file.size} bytes`);
-
-        // Parse resume from buffer (no file system involved)
-        const resumeData = await parseResumeBuffer(req.file.buffer, req.file.originalname);
+        console.log(`Queueing ${redactFilename(req.file.originalname)} buffer of size: ${req.file.size} bytes`);
 
         // Get user email from auth middleware
         const userEmail = req.user.email;
@@ -60,6 +202,9 @@ const uploadResume = async (req, res) => {
           return res.status(401).json({ error: 'User email not found in token' });
         }
 
+        // Reject mislabelled or unsupported content before it takes a worker
+        resolveFileType(req.file.buffer, path.extname(req.file.originalname).toLowerCase(), Object.keys(SUPPORTED_FORMATS));
+
         // First, get user ID for potential future use and validation
         const { data: user, error: userError } = await supabase
           .from('users')
@@ -72,63 +217,58 @@ const uploadResume = async (req, res) => {
           return res.status(404).json({ error: 'User not found in database' });
         }
 
-        console.log(`Found user ID: ${user.id} for email: ${userEmail}`);
-
-        // Store in Supabase using admin client to bypass RLS
-        const { data, error } = await supabase
-          .from('resumes')
-          .insert({
-            user_email: userEmail,  // ✅ Use email as FK (current schema)
-            filename: req.file.originalname,
-            file_size: req.file.size,
-            mime_type: req.file.mimetype,
-            parsed_data: resumeData,
-            uploaded_at: new Date().toISOString()
-          })
-          .select()
-          .single();
+        console.log(`Found user ID: ${user.id} for email: ${redactEmail(userEmail)}`);
+
+        const file = req.file;
+        const checksum = checksumOf(file.buffer);
+        const job = await createParseJob({
+          userEmail,
+          userId: user.id,
+          buffer: file.buffer,
+          filename: file.originalname,
+          fileSize: file.size,
+          checksum
+        }, resumeData => saveParsedResume(user, file, resumeData, checksum));
 
-        if (error) {
-          console.error('❌ Supabase insert error:', error);
-          return res.status(500).json({ 
-            error: 'Failed to save resume data',
-            details: error.message 
+        console.log(`📥 Resume job ${job.id} queued for ${redactEmail(userEmail)}`);
+
+        if (req.query.wait !== 'true') {
+          return res.status(202).json({
+            success: true,
+            message: 'Resume uploaded, parsing in progress',
+            job_id: job.id,
+            user_id: user.id,
+            status: job.status,
+            status_url: `${req.baseUrl}/jobs/${job.id}`,
+            events_url: `${req.baseUrl}/jobs/${job.id}/events`
           });
         }
 
-        console.log(`✅ Resume saved with ID: ${data.id}`);
-
-        // Optional: Update users table with latest resume info using admin client
-        const { error: updateError } = await supabase
-          .from('users')
-          .update({
-            resume_uploaded_at: new Date().toISOString(),
-            parsed_resume: resumeData,
-            // Update profile fields from resume if they exist
-            skills: resumeData.skills || null,
-            certifications: resumeData.certifications || null,
-            education: resumeData.education || null,
-            companies: resumeData.companies || null
-          })
-          .eq('email', userEmail);
-
-        if (updateError) {
-          console.warn('⚠️ Failed to update user profile:', updateError.message);
-          // Don't fail the request, just log the warning
+        const finished = await waitForJob(job.id);
+        if (finished.status === 'failed') {
+          const { status, ...error } = finished.error;
+          return res.status(status || 500).json(error);
         }
 
         res.json({
           success: true,
           message: 'Resume uploaded and parsed successfully',
-          resume_id: data.id,
+          resume_id: finished.resumeId,
           user_id: user.id,
-          data: resumeData
+          job_id: job.id,
+          cached: finished.cached,
+          deduplicated: finished.deduplicated,
+          data: finished.result
         });
 
       } catch (parseError) {
         console.error('❌ Parse error:', parseError);
+        if (parseError instanceof ResumeParseError) {
+          return res.status(parseError.status).json(parseError.toJSON());
+        }
         res.status(500).json({ 
           error: 'Failed to parse resume',
+          code: 'PARSE_FAILED',
           details: parseError.message 
         });
       }
@@ -143,6 +283,80 @@ const uploadResume = async (req, res) => {
   }
 };
 
+// Load a job owned by the authenticated user, or answer 404
+const findOwnJob = async (req, res) => {
+  const job = await getJob(req.params.id);
+
+  if (!job || job.userEmail !== req.user.email) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+
+  return job;
+};
+
+// Job status endpoint for polling
+const getJobStatus = async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    res.json({ success: true, job: serializeJob(job) });
+  } catch (error) {
+    console.error('❌ Job status error:', error);
+    res.status(500).json({ error: 'Failed to fetch job status', details: error.message });
+  }
+};
+
+// Server-Sent Events stream of job progress; closes after 'completed' or 'failed'
+const streamJobEvents = async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Render)
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const send = update => {
+      if (closed) return;
+      const event = TERMINAL_STATUSES.includes(update.status) ? update.status : 'progress';
+      res.write(`event: ${event}\ndata: ${JSON.stringify(serializeJob(update))}\n\n`);
+      if (event !== 'progress') close();
+    };
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const unsubscribe = subscribeToJob(job.id, send);
+    const close = () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    req.on('close', close);
+    send(job);
+  } catch (error) {
+    console.error('❌ Job events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream job events', details: error.message });
+    }
+  }
+};
+
+// EventSource cannot set headers, so the events stream also accepts ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 // Health check endpoint for testing
 const healthCheck = async (req, res) => {
   res.json({
@@ -151,13 +365,396 @@ const healthCheck = async (req, res) => {
     user: req.user ? {
       email: req.user.email,
       id: req.user.id
-    } : null
+    } : null,
+    workers: getPoolStats()
   });
 };
 
+// Load a resume version owned by the authenticated user
+const findOwnResume = async (email, id, columns = '*') => {
+  const { data, error } = await supabase
+    .from('resumes')
+    .select(columns)
+    .eq('id', id)
+    .eq('user_email', email)
+    .maybeSingle();
+
+  // Malformed IDs fail the cast in Postgres; treat them as not found
+  if (error && error.code !== '22P02') {
+    throw new Error(error.message);
+  }
+
+  return data || null;
+};
+
+// List resume versions, newest first
+const listResumes = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const { data: resumes, error } = await supabase
+      .from('resumes')
+      .select(RESUME_SUMMARY_COLUMNS)
+      .eq('user_email', email)
+      .order('uploaded_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const activeId = await getActiveResumeId(email);
+
+    res.json({
+      success: true,
+      active_resume_id: activeId,
+      count: resumes.length,
+      resumes: resumes.map(resume => ({ ...resume, is_active: resume.id === activeId }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing resumes:', error.message);
+    res.status(500).json({ error: 'Failed to list resumes', details: error.message });
+  }
+};
+
+// Fetch one resume version with its parsed data
+const getResume = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const resume = await findOwnResume(email, req.params.id);
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const activeId = await getActiveResumeId(email);
+
+    res.json({
+      success: true,
+      resume: {
+        ...resume,
+        is_active: resume.id === activeId,
+        edited_fields: getEditedFields(resume.parsed_overrides)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching resume:', error.message);
+    res.status(500).json({ error: 'Failed to fetch resume', details: error.message });
+  }
+};
+
+// Make an older version drive the profile again
+const activateResumeVersion = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const resume = await findOwnResume(email, req.params.id);
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    await activateResume(email, resume);
+    console.log(`✅ Resume ${resume.id} activated for ${redactEmail(email)}`);
+
+    res.json({
+      success: true,
+      message: 'Resume version activated',
+      active_resume_id: resume.id,
+      data: resume.parsed_data
+    });
+
+  } catch (error) {
+    console.error('❌ Error activating resume:', error.message);
+    res.status(500).json({ error: 'Failed to activate resume', details: error.message });
+  }
+};
+
+// Delete a version. Deleting the active one promotes the most recent remaining
+// upload; deleting the last one clears the resume-derived profile columns.
+const deleteResume = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const resume = await findOwnResume(email, req.params.id, 'id, storage_key, storage_driver, file_checksum');
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const wasActive = (await getActiveResumeId(email)) === resume.id;
+
+    const { error } = await supabase
+      .from('resumes')
+      .delete()
+      .eq('id', resume.id)
+      .eq('user_email', email);
+
+    if (error) throw error;
+
+    console.log(`🗑️ Resume ${resume.id} deleted for ${redactEmail(email)}`);
+
+    try {
+      await removeOriginalFile(resume);
+    } catch (removeError) {
+      console.warn(`⚠️ Failed to remove stored file for resume ${resume.id}:`, removeError.message);
+    }
+
+    if (resume.file_checksum) {
+      await evictCachedParse(resume.file_checksum);
+    }
+
+    let activeId = wasActive ? null : await getActiveResumeId(email);
+    if (wasActive) {
+      const fallback = await getLatestResume(email);
+      if (fallback) {
+        await activateResume(email, fallback);
+        activeId = fallback.id;
+        console.log(`🔄 Resume ${fallback.id} is now active for ${redactEmail(email)}`);
+      } else {
+        await clearActiveResume(email);
+        console.log(`🧹 No resumes left for ${redactEmail(email)}, profile cleared`);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Resume deleted',
+      deleted_resume_id: resume.id,
+      active_resume_id: activeId
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting resume:', error.message);
+    res.status(500).json({ error: 'Failed to delete resume', details: error.message });
+  }
+};
+
+// Signed, time-limited download URL for the original file
+const getDownloadUrl = async (req, res) => {
+  try {
+    const resume = await findOwnResume(req.user.email, req.params.id, 'id, filename, storage_key, storage_driver, file_checksum');
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+    if (!resume.storage_key) {
+      return res.status(404).json({ error: 'Original file was not stored for this resume version' });
+    }
+
+    const routeBase = `${process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`}${req.baseUrl}`;
+    const { url, expiresAt } = await createDownloadUrl(resume, routeBase);
+
+    res.json({
+      success: true,
+      url,
+      expires_at: expiresAt,
+      filename: resume.filename,
+      checksum: resume.file_checksum
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating download URL:', error.message);
+    res.status(500).json({ error: 'Failed to create download URL', details: error.message });
+  }
+};
+
+// Serve a locally stored original; the signed token is the authorization
+const downloadFile = async (req, res) => {
+  const resumeId = verifyDownloadToken(req.params.token);
+  if (!resumeId) {
+    return res.status(403).json({ error: 'Download link is invalid or has expired' });
+  }
+
+  try {
+    const { data: resume, error } = await supabase
+      .from('resumes')
+      .select('id, filename, mime_type, storage_key, storage_driver, file_checksum')
+      .eq('id', resumeId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const buffer = resume?.storage_key ? await readOriginalFile(resume) : null;
+    if (!buffer) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set({
+      'Content-Type': resume.mime_type || 'application/octet-stream',
+      'Content-Length': buffer.length,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.attachment(resume.filename);
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('❌ Error serving resume file:', error.message);
+    res.status(500).json({ error: 'Failed to download file', details: error.message });
+  }
+};
+
+// Correct individual parsed fields. Overrides are stored next to the parser
+// output and win over it everywhere the profile is read.
+const updateParsedFields = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const { changes, errors } = parseOverridePatch(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid corrections', details: errors });
+    }
+
+    const resume = await findOwnResume(email, req.params.id);
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const overrides = updateOverrides(resume.parsed_overrides, changes);
+    const { data: updated, error } = await supabase
+      .from('resumes')
+      .update({ parsed_overrides: overrides })
+      .eq('id', resume.id)
+      .eq('user_email', email)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Keep the users profile columns in step when this version drives them
+    if ((await getActiveResumeId(email)) === resume.id) {
+      await activateResume(email, updated);
+    }
+
+    console.log(`✏️ Resume ${resume.id} corrected by ${redactEmail(email)}: ${Object.keys(changes).join(', ')}`);
+
+    res.json({
+      success: true,
+      resume_id: resume.id,
+      edited_fields: getEditedFields(overrides),
+      data: applyOverrides(getParsedProfile(updated.parsed_data), overrides)
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating parsed resume:', error.message);
+    res.status(500).json({ error: 'Failed to update parsed resume', details: error.message });
+  }
+};
+
+// Parse the stored original again (e.g. after a parser upgrade). Only
+// parsed_data is replaced; the user's overrides are left alone, and the
+// contact values they confirmed are not redacted.
+const reparseResume = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const resume = await findOwnResume(email, req.params.id);
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const buffer = resume.storage_key ? await readOriginalFile(resume) : null;
+    if (!buffer) {
+      return res.status(409).json({ error: 'Original file was not stored for this resume version' });
+    }
+
+    const job = await createParseJob({
+      userEmail: email,
+      userId: req.user.id,
+      buffer,
+      filename: resume.filename,
+      fileSize: buffer.length,
+      checksum: resume.file_checksum,
+      refreshCache: true,
+      keep: getConfirmedContactValues(resume.parsed_overrides)
+    }, async resumeData => {
+      const { data: updated, error } = await supabase
+        .from('resumes')
+        .update({ parsed_data: resumeData })
+        .eq('id', resume.id)
+        .select()
+        .single();
+
+      if (error) throw new Error(error.message);
+
+      if ((await getActiveResumeId(email)) === resume.id) {
+        await activateResume(email, updated);
+      }
+      return { resumeId: resume.id };
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Re-parsing resume',
+      job_id: job.id,
+      resume_id: resume.id,
+      status_url: `${req.baseUrl}/jobs/${job.id}`,
+      events_url: `${req.baseUrl}/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('❌ Error re-parsing resume:', error.message);
+    res.status(500).json({ error: 'Failed to re-parse resume', details: error.message });
+  }
+};
+
+// ATS-friendliness score and ranked improvement suggestions. The full list
+// of suggestions is a paid-plan feature; basic gets the score and the top few.
+const getResumeAnalysis = async (req, res) => {
+  const email = req.user.email;
+
+  try {
+    const resume = await findOwnResume(email, req.params.id, 'id, parsed_data, parsed_overrides');
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('plan')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const plan = user?.plan || 'basic';
+    const analysis = analysisForPlan(
+      analyzeResume(applyOverridesToResume(resume.parsed_data, resume.parsed_overrides)),
+      plan
+    );
+
+    res.json({
+      success: true,
+      resume_id: resume.id,
+      plan,
+      analysis,
+      ...(analysis.truncated ? {
+        upgrade: {
+          plan: 'pro',
+          message: `Upgrade to Pro to see all ${analysis.totalSuggestions} suggestions for this resume`
+        }
+      } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ Error analyzing resume:', error.message);
+    res.status(500).json({ error: 'Failed to analyze resume', details: error.message });
+  }
+};
+
 // Define routes - using verifyAuthToken as middleware
 router.post('/', verifyAuthToken, uploadResume);
 router.get('/health', verifyAuthToken, healthCheck);
+router.get('/jobs/:id', verifyAuthToken, getJobStatus);
+router.get('/jobs/:id/events', tokenFromQuery, verifyAuthToken, streamJobEvents);
+router.get('/files/:token', downloadFile);
+router.get('/', verifyAuthToken, listResumes);
+router.get('/:id', verifyAuthToken, getResume);
+router.get('/:id/download', verifyAuthToken, getDownloadUrl);
+router.get('/:id/analysis', verifyAuthToken, getResumeAnalysis);
+router.post('/:id/activate', verifyAuthToken, activateResumeVersion);
+router.patch('/:id/parsed', verifyAuthToken, updateParsedFields);
+router.post('/:id/reparse', verifyAuthToken, reparseResume);
+router.delete('/:id', verifyAuthToken, deleteResume);
 
 // Export the router as default
 export default router;
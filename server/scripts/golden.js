@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseResumeBuffer, getParsedProfile } from '../parseResume.js';
+
+/**
+ * Golden-file regression check for the resume parser. Every resume in
+ * fixtures/golden has a <file>.expected.json next to it holding the fields
+ * we expect the parser to extract. This script parses each fixture again,
+ * diffs the result field by field and prints per-field accuracy, so the
+ * effect of a parser change shows up before it ships.
+ *
+ * Expected files are what a person reading the resume would extract, not
+ * just whatever the parser produced once, so known parser gaps show up as
+ * misses. After --update, review the diff and correct the expected files
+ * by hand before committing them.
+ *
+ *   node scripts/golden.js [fixture ...]           compare, exit 1 on any difference
+ *   node scripts/golden.js --update [fixture ...]  overwrite with the current output
+ */
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'golden');
+const EXPECTED_SUFFIX = '.expected.json';
+
+const args = process.argv.slice(2);
+const update = args.includes('--update');
+const only = args.filter(arg => !arg.startsWith('--')).map(arg => path.basename(arg));
+
+// Parser logging would drown the report
+const log = console.log;
+console.log = () => {};
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(name => !name.endsWith(EXPECTED_SUFFIX) && !name.startsWith('.'))
+  .filter(name => !only.length || only.includes(name))
+  .sort();
+
+if (!fixtures.length) {
+  console.error(`No fixtures found in ${FIXTURES_DIR}`);
+  process.exit(1);
+}
+
+const results = [];
+let failedFixtures = 0;
+
+for (const name of fixtures) {
+  const expectedPath = path.join(FIXTURES_DIR, name + EXPECTED_SUFFIX);
+
+  let actual;
+  try {
+    const parsed = await parseResumeBuffer(fs.readFileSync(path.join(FIXTURES_DIR, name)), name);
+    actual = goldenView(parsed);
+  } catch (error) {
+    log(`✖ ${name}: parse failed (${error.code || error.message})`);
+    failedFixtures++;
+    continue;
+  }
+
+  if (update) {
+    fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+    log(`✎ ${name}: expected output written`);
+    continue;
+  }
+
+  if (!fs.existsSync(expectedPath)) {
+    log(`? ${name}: no ${name}${EXPECTED_SUFFIX} yet (run with --update)`);
+    failedFixtures++;
+    continue;
+  }
+
+  const fixtureResults = [];
+  compareValues(JSON.parse(fs.readFileSync(expectedPath, 'utf8')), actual, '', fixtureResults);
+  const mismatches = fixtureResults.filter(result => !result.ok);
+  results.push(...fixtureResults);
+
+  if (mismatches.length) {
+    failedFixtures++;
+    log(`✖ ${name}: ${mismatches.length} of ${fixtureResults.length} fields differ`);
+    mismatches.forEach(result => log(`    ${result.path}: ${describe(result)}`));
+  } else {
+    log(`✔ ${name}: ${fixtureResults.length} fields match`);
+  }
+}
+
+if (!update && results.length) {
+  log('\nField accuracy');
+  const byField = new Map();
+  for (const result of results) {
+    const counts = byField.get(result.field) || { correct: 0, total: 0 };
+    counts.total++;
+    if (result.ok) counts.correct++;
+    byField.set(result.field, counts);
+  }
+
+  const width = Math.max(...[...byField.keys()].map(field => field.length)) + 2;
+  [...byField.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([field, { correct, total }]) => {
+      log(`  ${field.padEnd(width)}${String(correct).padStart(4)}/${String(total).padEnd(4)} ${percent(correct, total)}`);
+    });
+
+  const correct = results.filter(result => result.ok).length;
+  log(`\nOverall: ${correct}/${results.length} fields (${percent(correct, results.length)}), ${fixtures.length - failedFixtures}/${fixtures.length} fixtures clean`);
+}
+
+process.exit(failedFixtures && !update ? 1 : 0);
+
+/**
+ * The parts of a parse result the fixtures pin down. Scores, raw text and
+ * durations (which move with today's date for current jobs) are left out.
+ */
+function goldenView(result) {
+  const profile = getParsedProfile(result);
+  const contact = profile.contact || {};
+
+  return pick({
+    language: result.metadata?.language?.code,
+    contact: pick(contact, ['name', 'email', 'phone', 'location', 'city', 'country', 'countryCode', 'linkedin', 'github', 'website']),
+    summary: profile.summary,
+    experience: (profile.experience || []).map(position =>
+      pick(position, ['title', 'company', 'location', 'startDate', 'endDate', 'current', 'bullets'])
+    ),
+    education: (profile.education || []).map(block => pick(block, ['institutions', 'degrees'])),
+    skills: profile.skills,
+    certifications: (profile.certifications || []).map(item => pick(item, ['name', 'issuer', 'date', 'credentialId'])),
+    projects: (profile.projects || []).map(item => pick(item, ['name', 'technologies', 'url', 'startDate', 'endDate'])),
+    awards: (profile.awards || []).map(item => pick(item, ['title', 'issuer', 'date'])),
+    languages: (profile.languages || []).map(item => pick(item, ['language', 'proficiency'])),
+    publications: (profile.publications || []).map(item => pick(item, ['title', 'venue', 'date']))
+  });
+}
+
+// Copy the listed keys, dropping empty values so expected files stay short
+function pick(source, keys = Object.keys(source)) {
+  const picked = {};
+  for (const key of keys) {
+    const value = source[key];
+    if (value === null || value === undefined || value === '') continue;
+    if (Array.isArray(value) && !value.length) continue;
+    picked[key] = value;
+  }
+  return picked;
+}
+
+/**
+ * Diff expected against actual, one result per leaf field. Lists of plain
+ * values (skills, bullets) are compared as sets: each expected item is a
+ * hit or a miss, each extra item a miss. Lists of objects compare by index.
+ */
+function compareValues(expected, actual, fieldPath, out) {
+  const record = (ok, details) => out.push({ path: fieldPath, field: fieldPath.replace(/\[\d+\]/g, '[]'), ok, ...details });
+
+  if (Array.isArray(expected) || Array.isArray(actual)) {
+    const expectedItems = Array.isArray(expected) ? expected : [];
+    const actualItems = Array.isArray(actual) ? actual : [];
+
+    if ([...expectedItems, ...actualItems].every(item => item === null || typeof item !== 'object')) {
+      const listPath = `${fieldPath}[]`;
+      const field = listPath.replace(/\[\d+\]/g, '[]');
+      const actualSet = new Set(actualItems);
+      const expectedSet = new Set(expectedItems);
+      expectedItems.forEach(item => out.push({ path: listPath, field, ok: actualSet.has(item), missing: item }));
+      actualItems
+        .filter(item => !expectedSet.has(item))
+        .forEach(item => out.push({ path: listPath, field, ok: false, unexpected: item }));
+      return;
+    }
+
+    const length = Math.max(expectedItems.length, actualItems.length);
+    for (let index = 0; index < length; index++) {
+      compareValues(expectedItems[index], actualItems[index], `${fieldPath}[${index}]`, out);
+    }
+    return;
+  }
+
+  if (isObject(expected) || isObject(actual)) {
+    const keys = new Set([...Object.keys(expected || {}), ...Object.keys(actual || {})]);
+    for (const key of keys) {
+      compareValues(expected?.[key], actual?.[key], fieldPath ? `${fieldPath}.${key}` : key, out);
+    }
+    return;
+  }
+
+  if (expected === undefined && actual === undefined) return;
+  record(expected === actual, { expected, actual });
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(result) {
+  if ('missing' in result) return `missing ${JSON.stringify(result.missing)}`;
+  if ('unexpected' in result) return `unexpected ${JSON.stringify(result.unexpected)}`;
+  return `expected ${JSON.stringify(result.expected)}, got ${JSON.stringify(result.actual)}`;
+}
+
+function percent(correct, total) {
+  return `${total ? Math.round((correct / total) * 1000) / 10 : 100}%`;
+}
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { importCatalogItems } from '../catalog/index.js';
+
+/**
+ * Bulk-load courses and certifications into the catalog_items table.
+ *
+ *   node scripts/import-catalog.js [file.json] [--deactivate-missing]
+ *
+ * The file is a JSON array of items shaped like catalog/default-catalog.json,
+ * which is imported when no file is given. Items are matched by type,
+ * provider and title, so running it again updates them in place.
+ * --deactivate-missing deactivates stored items the file does not contain.
+ */
+
+const DEFAULT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'catalog', 'default-catalog.json');
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--')) || DEFAULT_FILE;
+
+if (args.includes('--help')) {
+  console.error('Usage: node scripts/import-catalog.js [file.json] [--deactivate-missing]');
+  process.exit(0);
+}
+
+try {
+  const items = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const result = await importCatalogItems(items, {
+    deactivateMissing: args.includes('--deactivate-missing')
+  });
+
+  if (result.errors.length) {
+    console.error(`❌ ${path.basename(file)} was not imported:`);
+    result.errors.forEach(message => console.error(`    ${message}`));
+    process.exit(1);
+  }
+
+  console.log(`✅ Imported ${result.imported} catalog items from ${path.basename(file)}${result.deactivated ? `, deactivated ${result.deactivated}` : ''}`);
+  process.exit(0);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseResumeBuffer, getParsedProfile } from '../parseResume.js';
+import { ResumeParseError } from '../parsers/errors.js';
+
+/**
+ * Run the resume parser on a local file, without the server or a database.
+ *
+ *   node scripts/parse-resume.js <file> [--json]
+ *
+ * Prints a readable summary, or the full parse result with --json. Parser
+ * logging goes to stderr so --json output can be piped.
+ */
+
+const USAGE = 'Usage: node scripts/parse-resume.js <file> [--json]';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const file = args.find(arg => !arg.startsWith('--'));
+
+if (!file || args.includes('--help')) {
+  console.error(USAGE);
+  process.exit(file ? 0 : 1);
+}
+
+// Keep stdout for the result
+const log = console.log;
+console.log = (...messages) => console.error(...messages);
+
+try {
+  const buffer = fs.readFileSync(file);
+  const result = await parseResumeBuffer(buffer, path.basename(file));
+
+  if (asJson) {
+    log(JSON.stringify(result, null, 2));
+  } else {
+    log(formatSummary(result));
+  }
+  process.exit(0);
+} catch (error) {
+  if (error instanceof ResumeParseError) {
+    console.error(`❌ ${error.code}: ${error.message}`);
+  } else {
+    console.error(`❌ ${error.message}`);
+  }
+  process.exit(1);
+}
+
+function formatSummary(result) {
+  const profile = getParsedProfile(result);
+  const contact = profile.contact || {};
+  const metadata = result.metadata || {};
+  const lines = [];
+  const add = (label, value) => {
+    if (value !== null && value !== undefined && value !== '') lines.push(`${label.padEnd(16)}${value}`);
+  };
+
+  add('File', `${result.filename} (${metadata.detectedFormat}, ${metadata.processingMethod})`);
+  add('Language', metadata.language && `${metadata.language.name} (${metadata.language.confidence})`);
+  add('Quality', metadata.quality && `${metadata.quality.score}${metadata.quality.weakFields.length ? `, weak: ${metadata.quality.weakFields.join(', ')}` : ''}`);
+  lines.push('');
+  add('Name', contact.name);
+  add('Email', contact.email);
+  add('Phone', contact.phone || contact.phoneRaw);
+  add('Location', contact.location);
+  add('LinkedIn', contact.linkedin);
+  add('GitHub', contact.github);
+  add('Website', contact.website);
+  add('Experience', profile.totalYearsExperience != null ? `${profile.totalYearsExperience} years` : null);
+
+  for (const position of profile.experience || []) {
+    const dates = [position.startDate, position.current ? 'present' : position.endDate].filter(Boolean).join(' – ');
+    lines.push(`  - ${[position.title, position.company].filter(Boolean).join(' @ ')}${dates ? ` (${dates})` : ''}`);
+  }
+
+  add('Education', (profile.education || []).flatMap(block => block.institutions || []).join('; '));
+  add('Skills', (profile.skills || []).join(', '));
+  add('Certifications', (profile.certifications || []).map(item => item.name).join('; '));
+  add('Projects', (profile.projects || []).map(item => item.name).join('; '));
+  add('Languages', (profile.languages || []).map(item => item.proficiency ? `${item.language} (${item.proficiency})` : item.language).join(', '));
+  add('Summary', profile.summary);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,348 @@
+/**
+ * Skill taxonomy shared by the resume parser, the /recommendations prompt and
+ * the recommendation cron job.
+ *
+ * Every skill has a canonical name, a category and the aliases it shows up as
+ * in resumes. `parents` lets a specific skill count towards a broader one
+ * (TypeScript -> JavaScript, Django -> Python). Skills marked `caseSensitive`
+ * have names that are ordinary English words in lowercase ("go", "express",
+ * "excel"); their capitalized aliases are only matched as written when
+ * scanning free text.
+ */
+
+export const SKILL_CATEGORIES = {
+  language: 'Programming Language',
+  framework: 'Framework / Library',
+  database: 'Database',
+  cloud: 'Cloud',
+  devops: 'DevOps / Tooling',
+  data: 'Data & AI',
+  mobile: 'Mobile',
+  design: 'Design',
+  tool: 'Tool',
+  business: 'Business',
+  soft_skill: 'Soft Skill',
+  other: 'Other'
+};
+
+const SKILLS = [
+  // Programming languages
+  { name: 'JavaScript', category: 'language', aliases: ['javascript', 'js', 'es6', 'ecmascript', 'vanilla js'] },
+  { name: 'TypeScript', category: 'language', aliases: ['typescript', 'ts'], parents: ['JavaScript'] },
+  { name: 'Python', category: 'language', aliases: ['python', 'python3', 'py'] },
+  { name: 'Java', category: 'language', aliases: ['java', 'java se', 'java ee'] },
+  { name: 'C', category: 'language', aliases: ['C'], caseSensitive: true },
+  { name: 'C++', category: 'language', aliases: ['c++', 'cpp'] },
+  { name: 'C#', category: 'language', aliases: ['c#', 'csharp', 'c sharp'] },
+  { name: 'Go', category: 'language', aliases: ['Go', 'golang'], caseSensitive: true },
+  { name: 'Rust', category: 'language', aliases: ['Rust'], caseSensitive: true },
+  { name: 'Ruby', category: 'language', aliases: ['ruby'] },
+  { name: 'PHP', category: 'language', aliases: ['php'] },
+  { name: 'Kotlin', category: 'language', aliases: ['kotlin'] },
+  { name: 'Swift', category: 'language', aliases: ['Swift'], caseSensitive: true },
+  { name: 'Dart', category: 'language', aliases: ['dart'] },
+  { name: 'R', category: 'language', aliases: ['R'], caseSensitive: true },
+  { name: 'Scala', category: 'language', aliases: ['scala'] },
+  { name: 'SQL', category: 'language', aliases: ['sql', 'structured query language', 't-sql', 'pl/sql'] },
+  { name: 'HTML', category: 'language', aliases: ['html', 'html5'] },
+  { name: 'CSS', category: 'language', aliases: ['css', 'css3', 'sass', 'scss'] },
+  { name: 'Bash', category: 'language', aliases: ['bash', 'shell scripting', 'zsh'] },
+  { name: 'MATLAB', category: 'language', aliases: ['matlab'] },
+  { name: 'Solidity', category: 'language', aliases: ['solidity'] },
+
+  // Frameworks and libraries
+  { name: 'React', category: 'framework', aliases: ['react', 'react.js', 'reactjs'], parents: ['JavaScript'] },
+  { name: 'Next.js', category: 'framework', aliases: ['next.js', 'nextjs', 'next js'], parents: ['React'] },
+  { name: 'Vue.js', category: 'framework', aliases: ['vue', 'vue.js', 'vuejs'], parents: ['JavaScript'] },
+  { name: 'Angular', category: 'framework', aliases: ['angular', 'angularjs', 'angular.js'], parents: ['TypeScript'] },
+  { name: 'Svelte', category: 'framework', aliases: ['svelte', 'sveltekit'], parents: ['JavaScript'] },
+  { name: 'Node.js', category: 'framework', aliases: ['node', 'node.js', 'nodejs', 'node js'], parents: ['JavaScript'] },
+  { name: 'Express', category: 'framework', aliases: ['Express', 'express.js', 'expressjs'], parents: ['Node.js'], caseSensitive: true },
+  { name: 'NestJS', category: 'framework', aliases: ['nestjs', 'nest.js'], parents: ['Node.js'] },
+  { name: 'Django', category: 'framework', aliases: ['django', 'django rest framework', 'drf'], parents: ['Python'] },
+  { name: 'Flask', category: 'framework', aliases: ['flask'], parents: ['Python'] },
+  { name: 'FastAPI', category: 'framework', aliases: ['fastapi'], parents: ['Python'] },
+  { name: 'Spring Boot', category: 'framework', aliases: ['spring boot', 'spring framework', 'springboot'], parents: ['Java'] },
+  { name: '.NET', category: 'framework', aliases: ['.net', 'dotnet', 'asp.net', '.net core'], parents: ['C#'] },
+  { name: 'Laravel', category: 'framework', aliases: ['laravel'], parents: ['PHP'] },
+  { name: 'Ruby on Rails', category: 'framework', aliases: ['rails', 'ruby on rails', 'ror'], parents: ['Ruby'] },
+  { name: 'jQuery', category: 'framework', aliases: ['jquery'], parents: ['JavaScript'] },
+  { name: 'Tailwind CSS', category: 'framework', aliases: ['tailwind', 'tailwindcss', 'tailwind css'], parents: ['CSS'] },
+  { name: 'Bootstrap', category: 'framework', aliases: ['bootstrap'], parents: ['CSS'] },
+  { name: 'Redux', category: 'framework', aliases: ['redux', 'redux toolkit'], parents: ['React'] },
+  { name: 'GraphQL', category: 'framework', aliases: ['graphql', 'apollo'] },
+  { name: 'REST APIs', category: 'framework', aliases: ['rest api', 'rest apis', 'restful', 'restful apis', 'api development'] },
+
+  // Mobile
+  { name: 'React Native', category: 'mobile', aliases: ['react native', 'react-native'], parents: ['React'] },
+  { name: 'Flutter', category: 'mobile', aliases: ['flutter'], parents: ['Dart'] },
+  { name: 'Android', category: 'mobile', aliases: ['android', 'android development'] },
+  { name: 'iOS', category: 'mobile', aliases: ['ios', 'ios development'] },
+
+  // Databases
+  { name: 'PostgreSQL', category: 'database', aliases: ['postgresql', 'postgres', 'psql'], parents: ['SQL'] },
+  { name: 'MySQL', category: 'database', aliases: ['mysql', 'mariadb'], parents: ['SQL'] },
+  { name: 'SQL Server', category: 'database', aliases: ['sql server', 'mssql', 'microsoft sql server'], parents: ['SQL'] },
+  { name: 'Oracle Database', category: 'database', aliases: ['oracle database', 'oracle db', 'oracle'], parents: ['SQL'] },
+  { name: 'SQLite', category: 'database', aliases: ['sqlite'], parents: ['SQL'] },
+  { name: 'MongoDB', category: 'database', aliases: ['mongodb', 'mongo', 'mongoose'] },
+  { name: 'Redis', category: 'database', aliases: ['redis'] },
+  { name: 'Elasticsearch', category: 'database', aliases: ['elasticsearch', 'elastic search', 'elk'] },
+  { name: 'Firebase', category: 'database', aliases: ['firebase', 'firestore'] },
+  { name: 'Supabase', category: 'database', aliases: ['supabase'], parents: ['PostgreSQL'] },
+  { name: 'DynamoDB', category: 'database', aliases: ['dynamodb'], parents: ['AWS'] },
+
+  // Cloud
+  { name: 'AWS', category: 'cloud', aliases: ['aws', 'amazon web services', 'ec2', 's3', 'aws lambda', 'lambda'] },
+  { name: 'Azure', category: 'cloud', aliases: ['azure', 'microsoft azure'] },
+  { name: 'Google Cloud', category: 'cloud', aliases: ['gcp', 'google cloud', 'google cloud platform'] },
+  { name: 'Heroku', category: 'cloud', aliases: ['heroku'] },
+  { name: 'Vercel', category: 'cloud', aliases: ['vercel'] },
+  { name: 'Serverless', category: 'cloud', aliases: ['serverless'] },
+
+  // DevOps and tooling
+  { name: 'Docker', category: 'devops', aliases: ['docker', 'containers', 'containerization'] },
+  { name: 'Kubernetes', category: 'devops', aliases: ['kubernetes', 'k8s', 'eks', 'aks', 'gke'] },
+  { name: 'Terraform', category: 'devops', aliases: ['terraform', 'infrastructure as code', 'iac'] },
+  { name: 'Ansible', category: 'devops', aliases: ['ansible'] },
+  { name: 'CI/CD', category: 'devops', aliases: ['ci/cd', 'ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  { name: 'Jenkins', category: 'devops', aliases: ['jenkins'], parents: ['CI/CD'] },
+  { name: 'GitHub Actions', category: 'devops', aliases: ['github actions'], parents: ['CI/CD'] },
+  { name: 'Git', category: 'devops', aliases: ['git', 'github', 'gitlab', 'bitbucket', 'version control'] },
+  { name: 'Linux', category: 'devops', aliases: ['linux', 'ubuntu', 'unix', 'centos', 'debian'] },
+  { name: 'Nginx', category: 'devops', aliases: ['nginx'] },
+  { name: 'Microservices', category: 'devops', aliases: ['microservices', 'microservice architecture'] },
+
+  // Data and AI
+  { name: 'Machine Learning', category: 'data', aliases: ['machine learning', 'ml'] },
+  { name: 'Deep Learning', category: 'data', aliases: ['deep learning', 'neural networks'], parents: ['Machine Learning'] },
+  { name: 'TensorFlow', category: 'data', aliases: ['tensorflow', 'keras'], parents: ['Machine Learning'] },
+  { name: 'PyTorch', category: 'data', aliases: ['pytorch'], parents: ['Machine Learning'] },
+  { name: 'scikit-learn', category: 'data', aliases: ['scikit-learn', 'sklearn', 'scikit learn'], parents: ['Machine Learning', 'Python'] },
+  { name: 'Pandas', category: 'data', aliases: ['pandas'], parents: ['Python'] },
+  { name: 'NumPy', category: 'data', aliases: ['numpy'], parents: ['Python'] },
+  { name: 'Natural Language Processing', category: 'data', aliases: ['nlp', 'natural language processing'], parents: ['Machine Learning'] },
+  { name: 'Data Analysis', category: 'data', aliases: ['data analysis', 'data analytics', 'analytics'] },
+  { name: 'Data Visualization', category: 'data', aliases: ['data visualization', 'data visualisation'] },
+  { name: 'Power BI', category: 'data', aliases: ['power bi', 'powerbi'], parents: ['Data Visualization'] },
+  { name: 'Tableau', category: 'data', aliases: ['tableau'], parents: ['Data Visualization'] },
+  { name: 'Apache Spark', category: 'data', aliases: ['Spark', 'apache spark', 'pyspark'], caseSensitive: true },
+  { name: 'ETL', category: 'data', aliases: ['etl', 'data pipelines', 'data pipeline'] },
+  { name: 'Statistics', category: 'data', aliases: ['statistics', 'statistical analysis'] },
+  { name: 'Generative AI', category: 'data', aliases: ['generative ai', 'genai', 'llm', 'llms', 'prompt engineering', 'openai'] },
+
+  // Design
+  { name: 'Figma', category: 'design', aliases: ['figma'] },
+  { name: 'UI/UX Design', category: 'design', aliases: ['ui/ux', 'ux', 'ui design', 'ux design', 'user experience', 'user interface design'] },
+  { name: 'Adobe Photoshop', category: 'design', aliases: ['photoshop', 'adobe photoshop'] },
+  { name: 'Adobe Illustrator', category: 'design', aliases: ['illustrator', 'adobe illustrator'] },
+
+  // Tools
+  { name: 'Microsoft Excel', category: 'tool', aliases: ['Excel', 'microsoft excel', 'ms excel', 'advanced excel'], caseSensitive: true },
+  { name: 'Microsoft Office', category: 'tool', aliases: ['microsoft office', 'ms office', 'office 365', 'microsoft 365'] },
+  { name: 'Jira', category: 'tool', aliases: ['jira'] },
+  { name: 'Postman', category: 'tool', aliases: ['postman'] },
+  { name: 'Salesforce', category: 'tool', aliases: ['salesforce', 'salesforce crm'] },
+  { name: 'SAP', category: 'tool', aliases: ['sap', 'sap erp'] },
+  { name: 'QuickBooks', category: 'tool', aliases: ['quickbooks'] },
+  { name: 'Unit Testing', category: 'tool', aliases: ['unit testing', 'jest', 'mocha', 'pytest', 'junit', 'tdd', 'test driven development'] },
+
+  // Business
+  { name: 'Project Management', category: 'business', aliases: ['project management', 'pmp', 'prince2'] },
+  { name: 'Agile', category: 'business', aliases: ['agile', 'scrum', 'kanban', 'agile methodologies'] },
+  { name: 'Product Management', category: 'business', aliases: ['product management', 'product strategy'] },
+  { name: 'Digital Marketing', category: 'business', aliases: ['digital marketing', 'seo', 'sem', 'social media marketing', 'google ads'] },
+  { name: 'Accounting', category: 'business', aliases: ['accounting', 'bookkeeping', 'financial reporting'] },
+  { name: 'Financial Analysis', category: 'business', aliases: ['financial analysis', 'financial modelling', 'financial modeling'] },
+  { name: 'Sales', category: 'business', aliases: ['sales', 'business development'] },
+  { name: 'Customer Service', category: 'business', aliases: ['customer service', 'customer support', 'customer care'] },
+  { name: 'Cybersecurity', category: 'business', aliases: ['cybersecurity', 'cyber security', 'information security', 'infosec', 'penetration testing'] },
+
+  // Soft skills
+  { name: 'Communication', category: 'soft_skill', aliases: ['communication', 'communication skills', 'written communication', 'verbal communication'] },
+  { name: 'Leadership', category: 'soft_skill', aliases: ['leadership', 'team leadership', 'people management'] },
+  { name: 'Teamwork', category: 'soft_skill', aliases: ['teamwork', 'collaboration', 'team player'] },
+  { name: 'Problem Solving', category: 'soft_skill', aliases: ['problem solving', 'problem-solving', 'analytical thinking', 'critical thinking'] },
+  { name: 'Time Management', category: 'soft_skill', aliases: ['time management', 'prioritization'] },
+  { name: 'Mentoring', category: 'soft_skill', aliases: ['mentoring', 'mentorship', 'coaching'] },
+  { name: 'Public Speaking', category: 'soft_skill', aliases: ['public speaking', 'presentation skills', 'presentations'] },
+  { name: 'Adaptability', category: 'soft_skill', aliases: ['adaptability', 'flexibility'] },
+  { name: 'Negotiation', category: 'soft_skill', aliases: ['negotiation', 'negotiation skills'] }
+];
+
+// Filler phrases that precede the actual skill in free-form skill lists
+const FILLER_PREFIXES = /^(?:(?:highly\s+)?proficient\s+(?:in|with)|experienced?\s+(?:in|with)|experience\s+(?:in|with)|knowledge\s+of|familiar(?:ity)?\s+with|strong|excellent|good|advanced|expert\s+in|working\s+knowledge\s+of|skilled\s+in|ability\s+to|understanding\s+of|and|&)\s+/i;
+
+const NON_SKILLS = new Set([
+  'proficient in', 'experience with', 'knowledge of', 'familiar with', 'skills', 'tools', 'technologies',
+  'languages', 'frameworks', 'others', 'other', 'etc', 'and', 'including', 'such as', 'various'
+]);
+
+const ALIAS_INDEX = new Map();
+const SKILL_INDEX = new Map();
+for (const skill of SKILLS) {
+  SKILL_INDEX.set(skill.name.toLowerCase(), skill);
+  ALIAS_INDEX.set(skill.name.toLowerCase(), skill);
+  skill.aliases.forEach(alias => ALIAS_INDEX.set(alias.toLowerCase(), skill));
+}
+
+// Longest aliases first so "react native" wins over "react"
+// Single letters ("C", "R") are too ambiguous in prose and only count in skill lists
+const SCAN_PATTERNS = SKILLS
+  .flatMap(skill => skill.aliases.map(alias => ({ skill, alias })))
+  .filter(({ alias }) => alias.length > 1)
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ skill, alias }) => ({
+    skill,
+    pattern: new RegExp(
+      `(?<![\\p{L}\\p{N}+#.])${escapeRegExp(alias)}(?![\\p{L}\\p{N}+#]|\\.[\\p{L}\\p{N}])`,
+      skill.caseSensitive && /\p{Lu}/u.test(alias) ? 'gu' : 'giu'
+    )
+  }));
+
+/**
+ * Map a raw skill string to its taxonomy entry
+ * @param {string} raw - e.g. "JS", "node", "Proficient in React.js"
+ * @returns {Object|null} { name, category, parents } or null when unknown
+ */
+export function normalizeSkill(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+
+  const cleaned = cleanSkillText(raw).toLowerCase();
+  const skill = ALIAS_INDEX.get(cleaned);
+  return skill ? toResult(skill) : null;
+}
+
+/**
+ * Normalize and de-duplicate a skill list. Unknown entries are kept (as
+ * category "other") when they still look like a skill after cleanup.
+ * @param {string[]} rawSkills - Skills as written by the user or parser
+ * @returns {Array<{name, category, parents, known}>}
+ */
+export function normalizeSkills(rawSkills = []) {
+  const results = new Map();
+
+  for (const raw of rawSkills) {
+    const value = typeof raw === 'string' ? raw : raw?.name;
+    if (!value) continue;
+
+    const known = normalizeSkill(value);
+    if (known) {
+      if (!results.has(known.name.toLowerCase())) {
+        results.set(known.name.toLowerCase(), { ...known, known: true });
+      }
+      continue;
+    }
+
+    const cleaned = cleanSkillText(value);
+    if (!looksLikeSkill(cleaned)) continue;
+
+    const key = cleaned.toLowerCase();
+    if (!results.has(key)) {
+      results.set(key, { name: cleaned, category: 'other', parents: [], known: false });
+    }
+  }
+
+  return [...results.values()];
+}
+
+/**
+ * Find every taxonomy skill mentioned anywhere in a block of text
+ * @param {string} text - Resume body, job description, ...
+ * @returns {Array<{name, category, parents, mentions}>} most-mentioned first
+ */
+export function detectSkills(text) {
+  if (!text) return [];
+
+  const found = new Map();
+  let remaining = text;
+
+  for (const { skill, pattern } of SCAN_PATTERNS) {
+    pattern.lastIndex = 0;
+    const matches = remaining.match(pattern);
+    if (!matches) continue;
+
+    const entry = found.get(skill.name) || { ...toResult(skill), mentions: 0 };
+    entry.mentions += matches.length;
+    found.set(skill.name, entry);
+
+    // Blank out matched text so "react native" is not also counted as "react"
+    remaining = remaining.replace(pattern, match => ' '.repeat(match.length));
+  }
+
+  return [...found.values()].sort((a, b) => b.mentions - a.mentions || a.name.localeCompare(b.name));
+}
+
+/**
+ * Canonical names of a skill plus every broader skill it implies
+ * @param {string} raw - Skill name or alias
+ * @returns {string[]} e.g. "Next.js" -> ["Next.js", "React", "JavaScript"]
+ */
+export function expandSkill(raw) {
+  const skill = normalizeSkill(raw);
+  if (!skill) return [];
+
+  const names = [skill.name];
+  for (let i = 0; i < names.length; i++) {
+    const entry = SKILL_INDEX.get(names[i].toLowerCase());
+    (entry?.parents || []).forEach(parent => {
+      if (!names.includes(parent)) names.push(parent);
+    });
+  }
+  return names;
+}
+
+/**
+ * Skills that build directly on a skill (the ones listing it as a parent)
+ * @param {string} raw - Skill name or alias
+ * @returns {string[]} e.g. "React" -> ["Next.js", "React Native", ...]
+ */
+export function childSkills(raw) {
+  const skill = normalizeSkill(raw);
+  if (!skill) return [];
+
+  return SKILLS
+    .filter(entry => (entry.parents || []).includes(skill.name))
+    .map(entry => entry.name);
+}
+
+/**
+ * Group skills by category
+ * @param {Array<string|{name}>} skills - Skill names or normalized entries
+ * @returns {Object} { [category]: string[] }
+ */
+export function categorizeSkills(skills = []) {
+  const grouped = {};
+
+  for (const skill of normalizeSkills(skills)) {
+    (grouped[skill.category] = grouped[skill.category] || []).push(skill.name);
+  }
+
+  return grouped;
+}
+
+function toResult(skill) {
+  return { name: skill.name, category: skill.category, parents: skill.parents || [] };
+}
+
+function cleanSkillText(raw) {
+  let value = raw.trim().replace(/^[-•·*▪◦●\s]+/, '').replace(/[\s.;:,]+$/, '');
+  let previous;
+  do {
+    previous = value;
+    value = value.replace(FILLER_PREFIXES, '');
+  } while (value !== previous);
+  // "React (Hooks)" -> "React"
+  return value.replace(/\s*\([^)]*\)\s*$/, '').trim();
+}
+
+function looksLikeSkill(value) {
+  if (!value || value.length < 2 || value.length > 40) return false;
+  if (NON_SKILLS.has(value.toLowerCase())) return false;
+  if (value.split(/\s+/).length > 4) return false;
+  return /\p{L}/u.test(value) && !/[@]/.test(value);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import path from 'path';
+import { createLocalStore } from './localStore.js';
+import { createSupabaseStore } from './supabaseStore.js';
+
+/**
+ * Storage for original resume files. Drivers share one interface:
+ *   put(key, buffer, { contentType }), get(key) -> Buffer|null, remove(key),
+ *   getSignedUrl(key, { expiresIn, filename }) -> string|null
+ * RESUME_STORAGE_DRIVER picks the driver for new uploads ('local' or
+ * 'supabase'); each resumes row records the driver its file was written with.
+ */
+
+const DRIVERS = {
+  local: createLocalStore,
+  supabase: createSupabaseStore
+};
+
+export const DOWNLOAD_URL_TTL_SECONDS = Number(process.env.RESUME_DOWNLOAD_URL_TTL) || 15 * 60;
+
+const stores = new Map();
+
+/**
+ * Get a blob store by driver name (defaults to RESUME_STORAGE_DRIVER)
+ */
+export function getBlobStore(driver = process.env.RESUME_STORAGE_DRIVER || 'local') {
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown resume storage driver: ${driver}`);
+  }
+  if (!stores.has(driver)) {
+    stores.set(driver, DRIVERS[driver]());
+  }
+  return stores.get(driver);
+}
+
+/**
+ * SHA-256 of the file contents, hex encoded
+ */
+export function checksumOf(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Keep the original bytes of an upload
+ * @param {Object} file - { userId, buffer, filename, contentType }
+ * @returns {Promise<{storageKey, storageDriver, checksum}>} Columns for the resumes row
+ */
+export async function storeOriginalFile({ userId, buffer, filename, contentType }) {
+  const store = getBlobStore();
+  const extension = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const storageKey = `resumes/${userId}/${crypto.randomUUID()}${extension}`;
+
+  await store.put(storageKey, buffer, { contentType });
+
+  return {
+    storageKey,
+    storageDriver: store.driver,
+    checksum: checksumOf(buffer)
+  };
+}
+
+/**
+ * Read a stored original and check it against the recorded checksum
+ * @param {Object} resume - Resume row with storage_key, storage_driver, file_checksum
+ * @returns {Promise<Buffer|null>} File contents, null when missing
+ * @throws {Error} When the stored bytes no longer match the checksum
+ */
+export async function readOriginalFile(resume) {
+  const buffer = await getBlobStore(resume.storage_driver).get(resume.storage_key);
+  if (!buffer) return null;
+
+  if (resume.file_checksum && checksumOf(buffer) !== resume.file_checksum) {
+    throw new Error(`Checksum mismatch for stored resume ${resume.id}`);
+  }
+
+  return buffer;
+}
+
+/**
+ * Delete a stored original; missing files are not an error
+ */
+export async function removeOriginalFile(resume) {
+  if (!resume?.storage_key) return;
+  await getBlobStore(resume.storage_driver).remove(resume.storage_key);
+}
+
+/**
+ * Time-limited download URL for a stored original. Supabase Storage signs its
+ * own URLs; local files get an HMAC token for /upload-resume/files/:token.
+ * @param {Object} resume - Resume row
+ * @param {string} routeBase - Absolute URL of the resume router (for local files)
+ * @returns {Promise<{url: string, expiresAt: string}>}
+ */
+export async function createDownloadUrl(resume, routeBase) {
+  const expiresIn = DOWNLOAD_URL_TTL_SECONDS;
+  const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+
+  const signedUrl = await getBlobStore(resume.storage_driver).getSignedUrl(resume.storage_key, {
+    expiresIn,
+    filename: resume.filename
+  });
+  if (signedUrl) {
+    return { url: signedUrl, expiresAt };
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    id: resume.id,
+    exp: Math.floor(Date.now() / 1000) + expiresIn
+  })).toString('base64url');
+
+  return { url: `${routeBase}/files/${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Check a download token from createDownloadUrl
+ * @param {string} token - "<payload>.<signature>"
+ * @returns {string|null} Resume ID, or null when the token is invalid or expired
+ */
+export function verifyDownloadToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const { id, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return exp > Date.now() / 1000 ? id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sign(payload) {
+  const secret = process.env.RESUME_DOWNLOAD_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
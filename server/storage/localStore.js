@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+/**
+ * Blob store on the local filesystem (default driver). Downloads go through
+ * the signed /upload-resume/files/:token route, see storage/index.js.
+ */
+export function createLocalStore(root = process.env.RESUME_STORAGE_DIR || DEFAULT_ROOT) {
+  const resolveKey = key => {
+    const filePath = path.resolve(root, key);
+    // Keys are generated server-side, but never let one escape the root
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    driver: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    // Served by our own route, so there is no external URL to hand out
+    async getSignedUrl() {
+      return null;
+    }
+  };
+}
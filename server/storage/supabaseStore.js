@@ -0,0 +1,38 @@
+import { adminSupabase } from '../supabase.js';
+
+/**
+ * Blob store backed by a private Supabase Storage bucket. Signed URLs point
+ * straight at Supabase, so downloads never touch this server.
+ */
+export function createSupabaseStore(bucket = process.env.RESUME_STORAGE_BUCKET || 'resumes') {
+  const storage = () => adminSupabase.storage.from(bucket);
+
+  return {
+    driver: 'supabase',
+
+    async put(key, buffer, { contentType } = {}) {
+      const { error } = await storage().upload(key, buffer, { contentType, upsert: false });
+      if (error) throw new Error(`Supabase Storage upload failed: ${error.message}`);
+    },
+
+    async get(key) {
+      const { data, error } = await storage().download(key);
+      if (error) {
+        if (error.statusCode === '404' || /not found/i.test(error.message)) return null;
+        throw new Error(`Supabase Storage download failed: ${error.message}`);
+      }
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(key) {
+      const { error } = await storage().remove([key]);
+      if (error) throw new Error(`Supabase Storage delete failed: ${error.message}`);
+    },
+
+    async getSignedUrl(key, { expiresIn, filename }) {
+      const { data, error } = await storage().createSignedUrl(key, expiresIn, { download: filename || true });
+      if (error) throw new Error(`Supabase Storage signed URL failed: ${error.message}`);
+      return data.signedUrl;
+    }
+  };
+}
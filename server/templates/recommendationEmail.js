@@ -1,4 +1,33 @@
+import { toRecommendationItems } from '../recommendations.js';
+
+const escapeHtml = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// One card per recommendation item; the link is left out when there is no URL
+const renderItems = (items, linkLabel, metaLabel) => items.map(item => `
+            <div class="recommendation-card">
+              <div class="recommendation-title">${escapeHtml(item.title)}</div>
+              ${item.description ? `<div class="recommendation-description">${escapeHtml(item.description)}</div>` : ''}
+              ${item.reason ? `<div class="recommendation-reason">${escapeHtml(item.reason)}</div>` : ''}
+              <div class="recommendation-meta">
+                <span>${escapeHtml(item.provider || metaLabel)}</span>
+                ${item.url ? `<a href="${escapeHtml(item.url)}" class="recommendation-link">${linkLabel}</a>` : ''}
+              </div>
+            </div>`).join('');
+
+/**
+ * Recommendation email body. Lists may hold recommendation items or stored
+ * legacy values (plain titles); both are rendered as items.
+ */
 export function generateRecommendationEmail({ firstName, primarySkill, email, courses = [], certifications = [], jobs = [] }) {
+    const courseItems = toRecommendationItems(courses, 'course');
+    const certificationItems = toRecommendationItems(certifications, 'certification');
+    const jobItems = toRecommendationItems(jobs, 'job');
+
     return `
     <!DOCTYPE html>
     <html>
@@ -15,6 +44,7 @@ export function generateRecommendationEmail({ firstName, primarySkill, email, co
         .recommendation-card { background: #f9f9f9; border-left: 3px solid #0077b5; padding: 15px; margin-bottom: 15px; border-radius: 4px; }
         .recommendation-title { font-size: 16px; font-weight: 600; color: #0077b5; margin-bottom: 5px; }
         .recommendation-description { font-size: 14px; color: #555; margin-bottom: 10px; }
+        .recommendation-reason { font-size: 13px; color: #777; font-style: italic; margin-bottom: 10px; }
         .recommendation-meta { font-size: 13px; display: flex; justify-content: space-between; }
         .recommendation-link { background: #0077b5; color: white; padding: 6px 12px; text-decoration: none; border-radius: 4px; font-weight: bold; }
         .footer { background: #f5f5f5; text-align: center; padding: 15px; font-size: 12px; color: #666; }
@@ -26,50 +56,28 @@ export function generateRecommendationEmail({ firstName, primarySkill, email, co
           <h1 class="header-title">Your Personalized Career Recommendations</h1>
         </div>
         <div class="content">
-          <p>Hi ${firstName},</p>
-          <p>Here are your latest course, certification, and job suggestions based on your skills in ${primarySkill}.</p>
+          <p>Hi ${escapeHtml(firstName)},</p>
+          <p>Here are your latest course, certification, and job suggestions based on your skills in ${escapeHtml(primarySkill)}.</p>
   
+          ${courseItems.length ? `
           <h2 class="section-title">📚 Courses</h2>
-          ${courses.map(course => `
-            <div class="recommendation-card">
-              <div class="recommendation-title">${course.title}</div>
-              <div class="recommendation-description">${course.description}</div>
-              <div class="recommendation-meta">
-                <span>${course.source}</span>
-                <a href="${course.link}" class="recommendation-link">View Course</a>
-              </div>
-            </div>`).join('')}
+          ${renderItems(courseItems, 'View Course', 'Course')}
+          ` : ''}
   
-          ${certifications.length ? `
+          ${certificationItems.length ? `
           <h2 class="section-title">🎖️ Certifications</h2>
-          ${certifications.map(cert => `
-            <div class="recommendation-card">
-              <div class="recommendation-title">${cert.title}</div>
-              <div class="recommendation-description">${cert.description}</div>
-              <div class="recommendation-meta">
-                <span>${cert.source}</span>
-                <a href="${cert.link}" class="recommendation-link">View</a>
-              </div>
-            </div>`).join('')}
+          ${renderItems(certificationItems, 'View', 'Certification')}
           ` : ''}
   
-          ${jobs.length ? `
+          ${jobItems.length ? `
           <h2 class="section-title">💼 Job Opportunities</h2>
-          ${jobs.map(job => `
-            <div class="recommendation-card">
-              <div class="recommendation-title">${job.title} at ${job.company}</div>
-              <div class="recommendation-description">${job.description}</div>
-              <div class="recommendation-meta">
-                <span>Live Job</span>
-                <a href="${job.link}" class="recommendation-link">Apply Now</a>
-              </div>
-            </div>`).join('')}
+          ${renderItems(jobItems, 'Apply Now', 'Live Job')}
           ` : ''}
   
           <p>Visit your Skillarly dashboard anytime for updated suggestions or to manage your plan.</p>
         </div>
         <div class="footer">
-          <p>&copy; 2025 Skillarly – <a href="https://skillarly.com/unsubscribe?email=${email}">Unsubscribe</a></p>
+          <p>&copy; 2025 Skillarly – <a href="https://skillarly.com/unsubscribe?email=${encodeURIComponent(email)}">Unsubscribe</a></p>
         </div>
       </div>
     </body>
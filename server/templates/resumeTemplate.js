@@ -0,0 +1,148 @@
+import { educationEntries, groupedSkills, PROFICIENCY_LABELS } from '../exporters/common.js';
+
+const escapeHtml = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const formatDate = (value) => {
+    if (!value) return '';
+    const [year, month] = value.split('-');
+    return month ? `${MONTHS[Number(month) - 1]} ${year}` : year;
+};
+
+const formatRange = (startDate, endDate, current) => {
+    const end = current ? 'Present' : formatDate(endDate);
+    const start = formatDate(startDate);
+    return start && end ? `${start} – ${end}` : start || end;
+};
+
+const section = (title, body) => body ? `
+        <section>
+          <h2>${title}</h2>
+          ${body}
+        </section>` : '';
+
+const entry = ({ heading, subheading, dates, details = [] }) => `
+          <div class="entry">
+            <div class="entry-header">
+              <span class="entry-title">${escapeHtml(heading)}</span>
+              <span class="entry-dates">${escapeHtml(dates || '')}</span>
+            </div>
+            ${subheading ? `<div class="entry-subtitle">${escapeHtml(subheading)}</div>` : ''}
+            ${details.length ? `<ul>${details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>` : ''}
+          </div>`;
+
+/**
+ * Printable resume for the PDF export. Everything comes from user-supplied
+ * resume text, so every value is escaped.
+ * @param {Object} profile - parsedData with overrides applied
+ * @param {Object} [options] - { language }
+ * @returns {string} HTML
+ */
+export function generateResumeHtml(profile, { language } = {}) {
+    const contact = profile.contact || {};
+    const contactItems = [
+        contact.email,
+        contact.phoneRaw || contact.phone,
+        contact.location,
+        contact.linkedin,
+        contact.github,
+        contact.website
+    ].filter(Boolean);
+
+    const experience = (profile.experience || []).map(position => entry({
+        heading: position.title || position.company,
+        subheading: [position.title ? position.company : null, position.location].filter(Boolean).join(', '),
+        dates: formatRange(position.startDate, position.endDate, position.current),
+        details: position.bullets || []
+    })).join('');
+
+    const education = educationEntries(profile, language).map(school => entry({
+        heading: school.degree || school.institution,
+        subheading: school.degree ? school.institution : null,
+        dates: formatRange(school.startDate, school.endDate, false),
+        details: school.notes
+    })).join('');
+
+    const skills = groupedSkills(profile).map(group => `
+          <div class="skill-group"><strong>${escapeHtml(group.label)}:</strong> ${escapeHtml(group.skills.join(', '))}</div>`
+    ).join('');
+
+    const projects = (profile.projects || []).map(project => entry({
+        heading: project.name,
+        subheading: project.technologies?.length ? project.technologies.join(', ') : null,
+        dates: formatRange(project.startDate, project.endDate, false),
+        details: [project.description, project.url].filter(Boolean)
+    })).join('');
+
+    const certifications = (profile.certifications || []).map(certification => entry({
+        heading: certification.name,
+        subheading: certification.issuer,
+        dates: formatDate(certification.date)
+    })).join('');
+
+    const awards = (profile.awards || []).map(award => entry({
+        heading: award.title,
+        subheading: award.issuer,
+        dates: formatDate(award.date)
+    })).join('');
+
+    const publications = (profile.publications || []).map(publication => entry({
+        heading: publication.title,
+        subheading: publication.venue,
+        dates: formatDate(publication.date)
+    })).join('');
+
+    const languages = (profile.languages || [])
+        .map(item => escapeHtml(item.proficiency ? `${item.language} (${PROFICIENCY_LABELS[item.proficiency]})` : item.language))
+        .join(' · ');
+
+    return `
+    <!DOCTYPE html>
+    <html lang="${escapeHtml(language || 'en')}">
+    <head>
+      <meta charset="UTF-8">
+      <title>${escapeHtml(contact.name || 'Resume')}</title>
+      <style>
+        @page { size: A4; margin: 16mm 18mm; }
+        body { font-family: 'Segoe UI', Arial, sans-serif; color: #222; font-size: 10.5pt; line-height: 1.4; margin: 0; }
+        header { border-bottom: 2px solid #0077b5; padding-bottom: 8px; margin-bottom: 12px; }
+        h1 { font-size: 22pt; margin: 0; color: #0077b5; }
+        .contact { font-size: 9.5pt; color: #555; margin-top: 4px; }
+        .contact span + span::before { content: ' | '; color: #aaa; }
+        h2 { font-size: 12pt; text-transform: uppercase; letter-spacing: 0.05em; color: #0077b5; border-bottom: 1px solid #ddd; padding-bottom: 2px; margin: 14px 0 6px; }
+        .summary { margin: 0; }
+        .entry { margin-bottom: 8px; page-break-inside: avoid; }
+        .entry-header { display: flex; justify-content: space-between; }
+        .entry-title { font-weight: 600; }
+        .entry-dates { color: #666; font-size: 9.5pt; white-space: nowrap; margin-left: 12px; }
+        .entry-subtitle { color: #555; font-style: italic; }
+        ul { margin: 3px 0 0; padding-left: 18px; }
+        li { margin-bottom: 1px; }
+        .skill-group { margin-bottom: 2px; }
+      </style>
+    </head>
+    <body>
+      <header>
+        <h1>${escapeHtml(contact.name || '')}</h1>
+        <div class="contact">${contactItems.map(item => `<span>${escapeHtml(item)}</span>`).join('')}</div>
+      </header>
+      <main>
+        ${section('Summary', profile.summary ? `<p class="summary">${escapeHtml(profile.summary)}</p>` : '')}
+        ${section('Experience', experience)}
+        ${section('Education', education)}
+        ${section('Skills', skills)}
+        ${section('Projects', projects)}
+        ${section('Certifications', certifications)}
+        ${section('Awards', awards)}
+        ${section('Publications', publications)}
+        ${section('Languages', languages ? `<p>${languages}</p>` : '')}
+      </main>
+    </body>
+    </html>`;
+}
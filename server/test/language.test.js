@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage } from '../parsers/language.js';
+
+test('short Spanish and Portuguese lines are detected', () => {
+  assert.equal(detectLanguage('Desarrollador de software en la empresa').code, 'es');
+  assert.equal(detectLanguage('Ingeniero de datos para el equipo').code, 'es');
+  assert.equal(detectLanguage('Desenvolvedor de software na empresa com foco em dados').code, 'pt');
+  assert.equal(detectLanguage('Engenheiro de dados na equipe').code, 'pt');
+});
+
+test('English stays the default when the text says too little', () => {
+  assert.deepEqual(detectLanguage('Java, Docker, Kubernetes'), { code: 'en', name: 'English', confidence: 0 });
+  assert.equal(detectLanguage('Java in Docker').code, 'en');
+  assert.equal(detectLanguage('Senior engineer at Acme, built the payments platform with the team').code, 'en');
+});
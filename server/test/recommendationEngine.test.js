@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { rankItems } from '../recommendationEngine.js';
+import { findRole } from '../careerRoles.js';
+
+const catalog = JSON.parse(fs.readFileSync(new URL('../catalog/default-catalog.json', import.meta.url), 'utf8'));
+const courses = catalog.filter(item => item.type === 'course');
+
+test('with a target role, items that close its gaps rank first', () => {
+  const ranked = rankItems(courses, {
+    skills: ['JavaScript', 'React', 'Node.js', 'Git', 'Docker'],
+    level: 'mid',
+    targetRole: findRole('cloud-architect')
+  });
+
+  const firstMiss = ranked.findIndex(result => !result.closes.length);
+  assert.ok(firstMiss > 0, 'some items close a gap');
+  assert.ok(ranked.slice(firstMiss).every(result => !result.closes.length), 'gap-closing items come before the rest');
+  assert.equal(ranked[0].item.title, 'Architecting on AWS');
+  assert.ok(ranked.findIndex(result => result.item.title === 'Learn Next.js') >= firstMiss);
+});
+
+test('without a target role, building on current skills still counts', () => {
+  const ranked = rankItems(courses, { skills: ['React'], level: 'mid' });
+  const nextjs = ranked.find(result => result.item.title === 'Learn Next.js');
+
+  assert.ok(nextjs.score > 0);
+  assert.deepEqual(nextjs.buildsOn, ['React']);
+});
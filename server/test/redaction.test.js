@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseResumeBuffer } from '../parseResume.js';
+import { findPhoneNumbers } from '../parsers/contact.js';
+import { redactText, redactParseResult } from '../redaction.js';
+import { analyzeResume } from '../resumeAnalysis.js';
+
+const RESUME = `Jane Wanjiru
+Nairobi, Kenya
+jane.wanjiru@example.com
++254 712 345 678
+14 Kenyatta Avenue
+
+EXPERIENCE
+Software Engineer, Acme Ltd
+01.2019 - 12.2020
+- Cut cloud costs by 1 500 000 EUR a year
+- Coached 3 Agile Teams Way beyond their sprint goals
+- Upgraded the billing service to Node 18.12.1 and documented it in ISBN 978-3-16-148410-0
+
+SKILLS
+JavaScript, Node.js, PostgreSQL
+`;
+
+test('findPhoneNumbers skips dates, amounts and ISBNs', () => {
+  for (const text of ['01.2019 - 12.2020', '03/2019 - 12/2021', '2018/2019', '1 500 000 EUR', '2.750.000', 'ISBN 978-3-16-148410-0']) {
+    assert.deepEqual(findPhoneNumbers(text), [], text);
+  }
+  assert.deepEqual(findPhoneNumbers('+254 712 345 678').map(phone => phone.raw), ['+254 712 345 678']);
+  assert.deepEqual(findPhoneNumbers('(555) 123-4567').map(phone => phone.raw), ['(555) 123-4567']);
+});
+
+test('findPhoneNumbers trusts a label over the number shape', () => {
+  const [phone] = findPhoneNumbers('Tel: 1 500 000');
+  assert.equal(phone.raw, '1 500 000');
+  assert.equal(phone.labelled, true);
+});
+
+test('redactText only redacts unlabelled phones and addresses inside the contact block', () => {
+  const bullet = 'Coached 3 Agile Teams Way and called 0712 345 678';
+  assert.equal(redactText(bullet, { mode: 'mask' }).text, bullet);
+  assert.equal(
+    redactText(bullet, { mode: 'mask', contactBlocks: [{ start: 0, end: bullet.length }] }).text,
+    'Coached [ADDRESS] and called [PHONE]'
+  );
+  assert.equal(redactText('Questions? Tel: 0712 345 678', { mode: 'mask' }).text, 'Questions? Tel: [PHONE]');
+  assert.equal(redactText('Write to P.O. Box 1234-00100', { mode: 'mask' }).text, 'Write to [ADDRESS]');
+});
+
+test('redactParseResult leaves dates, amounts and bullets alone', async () => {
+  const parsed = await parseResumeBuffer(Buffer.from(RESUME), 'resume.txt');
+  const { parsedData } = redactParseResult(parsed, { mode: 'mask' });
+  const [position] = parsedData.experience;
+
+  assert.match(position.dateText, /01\.2019 - 12\.2020/);
+  assert.ok(position.bullets.some(bullet => bullet.includes('1 500 000 EUR')));
+  assert.ok(position.bullets.some(bullet => bullet.includes('3 Agile Teams Way')));
+  assert.ok(position.bullets.some(bullet => bullet.includes('978-3-16-148410-0')));
+  assert.doesNotMatch(parsedData.rawText, /712 345 678|14 Kenyatta Avenue/);
+  assert.match(parsedData.rawText, /01\.2019 - 12\.2020/);
+});
+
+test('a redacted phone still counts as present in the analysis', async () => {
+  const parsed = await parseResumeBuffer(Buffer.from(RESUME), 'resume.txt');
+  const redacted = redactParseResult(parsed, { mode: 'mask' });
+
+  assert.equal(redacted.parsedData.contact.phone, null);
+  assert.equal(redacted.parsedData.contact.hasPhone, true);
+
+  const ids = analyzeResume(redacted).suggestions.map(suggestion => suggestion.id);
+  assert.ok(!ids.includes('missing_contact_phone'));
+  assert.ok(ids.includes('confirm_contact_phone'));
+});